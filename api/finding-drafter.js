@@ -0,0 +1,57 @@
+// finding-drafter.js
+// Audit finding drafter: turns one procedure's test results and exceptions into a 5C finding.
+// Synchronous entry point; the pipeline and its request body live in lib/pipelines/finding-drafter.js.
+
+const pipeline = require('../lib/pipelines/finding-drafter');
+const { exportFormats, isExportFormat, sendResult } = require('../lib/export');
+const { wantsStream, streamPipeline } = require('../lib/sse');
+const { applyCors, authorize, withQuota } = require('../lib/auth');
+
+// ---------------------- Main Handler ----------------------
+module.exports = async (req, res) => {
+  // CORS
+  if (!applyCors(req, res, 'POST, OPTIONS')) return res.status(403).json({ error: 'Origin not allowed' });
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'POST only' });
+
+  try {
+    const { principal, error: denied } = await authorize(req, res, { pipeline: 'finding-drafter' });
+    if (denied) return res.status(denied.status).json({ error: denied.message });
+
+    let body = req.body;
+    if (!body || (Object.keys(body).length === 0 && req.rawBody)) {
+      try {
+        body = JSON.parse(req.rawBody.toString());
+      } catch (e) {
+        body = null;
+      }
+    }
+
+    // output_format: html (JSON payload, default) | docx | pdf | markdown
+    const output = { format: body?.output_format, delivery: body?.output_delivery };
+    if (output.format && !isExportFormat(output.format, 'finding-drafter')) {
+      return res.status(400).json({ error: `output_format must be one of: ${exportFormats('finding-drafter').join(', ')}` });
+    }
+
+    const { input, error } = await pipeline.prepare(body);
+    if (error) return res.status(error.status).json({ error: error.message });
+    // Cached results are only served back to the caller that produced them (lib/cache.js)
+    input.owner = principal?.id || null;
+
+    // SSE mode: progress, model output fragments and the final payload as events
+    if (wantsStream(req)) return withQuota(principal, () => streamPipeline(res, 'finding-drafter', pipeline, input, output));
+
+    return sendResult(res, 'finding-drafter', await withQuota(principal, () => pipeline.run(input)), output);
+
+  } catch (err) {
+    console.error('=== FINDING DRAFTER ERROR ===', err);
+    // A budget stop answers 402 with the usage of the calls made so far
+    if (err.code === 'quota_exceeded') res.setHeader('Retry-After', String(err.retryAfter));
+    return res.status(err.code === 'budget_exceeded' ? 402 : err.code === 'quota_exceeded' ? 429 : 500).json({
+      error: err.message || String(err),
+      details: err.response?.data || null,
+      usage: err.usage
+    });
+  }
+};
@@ -0,0 +1,98 @@
+// jobs.js
+// Asynchronous job API for documents too long to finish within a single request (lib/jobs.js).
+//   POST /api/jobs                 { pipeline, ...same body as the endpoint } -> 202 { job_id, status_url, result_url }
+//   GET  /api/jobs/:id[/status]    -> per-stage progress
+//   GET  /api/jobs/:id/result      -> 200 final payload | 202 still running | 500 failed
+
+const pipelines = require('../lib/pipelines');
+const { getJobStore } = require('../lib/job-store');
+const { submitJob, runJob, needsRun, statusView, keepAlive } = require('../lib/jobs');
+const { exportFormats, isExportFormat, sendResult } = require('../lib/export');
+const { applyCors, authorize, withQuota } = require('../lib/auth');
+
+function jobLinks(id) {
+  return {
+    status_url: `/api/jobs/${id}/status`,
+    result_url: `/api/jobs/${id}/result`
+  };
+}
+
+module.exports = async (req, res) => {
+  if (!applyCors(req, res, 'GET, POST, OPTIONS')) return res.status(403).json({ error: 'Origin not allowed' });
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  const store = getJobStore();
+
+  try {
+    // Status polls are not counted against the per-minute limit
+    const { principal, error: denied } = await authorize(req, res, {
+      pipeline: req.method === 'POST' ? req.body?.pipeline : null,
+      limit: req.method === 'POST'
+    });
+    if (denied) return res.status(denied.status).json({ error: denied.message });
+
+    if (req.method === 'POST') {
+      const body = req.body || {};
+      const pipeline = pipelines[body.pipeline];
+      if (!pipeline) {
+        return res.status(400).json({ error: `pipeline must be one of: ${Object.keys(pipelines).join(', ')}` });
+      }
+
+      if (body.output_format && !isExportFormat(body.output_format, body.pipeline)) {
+        return res.status(400).json({ error: `output_format must be one of: ${exportFormats(body.pipeline).join(', ')}` });
+      }
+
+      const { input, error } = await pipeline.prepare(body);
+      if (error) return res.status(error.status).json({ error: error.message });
+      // Cached results are only served back to the caller that produced them (lib/cache.js)
+      input.owner = principal?.id || null;
+
+      const output = { format: body.output_format, delivery: body.output_delivery };
+      const job = await submitJob(store, body.pipeline, input, { output, owner: principal?.id || null });
+      res.status(202).json({ job_id: job.id, status: job.status, ...jobLinks(job.id) });
+
+      // Work continues after the response; progress is persisted chunk by chunk
+      await keepAlive(withQuota(principal, () => runJob(store, job.id)));
+      return;
+    }
+
+    if (req.method !== 'GET') return res.status(405).json({ error: 'GET or POST only' });
+
+    const id = req.query?.id;
+    if (!id) return res.status(400).json({ error: 'id query parameter required' });
+
+    const job = await store.get(id);
+    // Someone else's job answers like a missing one
+    if (!job || (principal && job.owner && job.owner !== principal.id)) return res.status(404).json({ error: `Job ${id} not found` });
+
+    const view = req.query?.view || 'status';
+    if (view === 'result' && job.status === 'succeeded') {
+      // ?format= overrides the output_format given on submit
+      const format = req.query?.format || job.output?.format;
+      if (format && !isExportFormat(format, job.pipeline)) {
+        return res.status(400).json({ error: `format must be one of: ${exportFormats(job.pipeline).join(', ')}` });
+      }
+      return sendResult(res, job.pipeline, job.result, {
+        format,
+        delivery: req.query?.delivery || job.output?.delivery
+      });
+    }
+    if (view === 'result' && job.status === 'failed') {
+      return res.status(500).json({ ...statusView(job), error: job.error?.message, details: job.error?.details, usage: job.error?.usage });
+    }
+
+    res.status(view === 'result' ? 202 : 200).json({ ...statusView(job), ...jobLinks(job.id) });
+
+    // A queued job or one whose worker died at maxDuration resumes from its checkpoint
+    if (needsRun(job)) await keepAlive(withQuota(job.owner ? principal : null, () => runJob(store, job.id)));
+
+  } catch (err) {
+    console.error('=== JOBS ERROR ===', err);
+    if (res.headersSent) return;
+    return res.status(500).json({
+      error: err.message || String(err),
+      details: err.response?.data || null
+    });
+  }
+};
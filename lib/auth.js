@@ -0,0 +1,331 @@
+// auth.js
+// Access control shared by the API handlers:
+//   CORS         CORS_ALLOWED_ORIGINS="https://app.example.com,https://*.bubbleapps.io" ("*" = any origin;
+//                unset = no browser origin, only server-to-server calls)
+//   API keys     "Authorization: Bearer vdk_..." or "X-API-Key: vdk_...", issued with scripts/api-keys.js;
+//                only a hash of each key is kept in the key store (lib/key-store.js)
+//   Tokens       HS256 JWTs signed with AUTH_TOKEN_SECRET: { sub, exp?, pipelines?, rpm?, daily_tokens? }
+//   Limits       requests per minute and LLM tokens per UTC day, per key or token subject
+//                (RATE_LIMIT_PER_MINUTE / DAILY_TOKEN_QUOTA defaults, overridable per key; 0 = unlimited)
+// AUTH_MODE=off skips authentication and limits (local development only).
+// Failures: 401 missing/invalid credentials, 403 disabled key / pipeline not allowed / origin not
+// allowed, 429 rate limit or daily quota exhausted (with Retry-After).
+
+const crypto = require('crypto');
+const { getKeyStore } = require('./key-store');
+const { meterUsage } = require('./providers');
+
+const KEY_PREFIX = 'vdk_';
+const KEY_PATTERN = /^vdk_([a-f0-9]{12})_([A-Za-z0-9_-]{20,})$/;
+
+const DEFAULT_RATE_LIMIT = Number(process.env.RATE_LIMIT_PER_MINUTE ?? 30);
+const DEFAULT_TOKEN_QUOTA = Number(process.env.DAILY_TOKEN_QUOTA ?? 2000000);
+
+function authDisabled() {
+  return String(process.env.AUTH_MODE || '').toLowerCase() === 'off';
+}
+
+// ---------------------- CORS ----------------------
+function allowedOrigins() {
+  return String(process.env.CORS_ALLOWED_ORIGINS || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+function originAllowed(origin, allowed = allowedOrigins()) {
+  return allowed.some(pattern => {
+    if (pattern === '*') return true;
+    if (!pattern.includes('*')) return pattern.toLowerCase() === origin.toLowerCase();
+    const re = new RegExp(`^${pattern.split('*').map(p => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]+')}$`, 'i');
+    return re.test(origin);
+  });
+}
+
+/**
+ * Set the CORS headers for a request. Returns false when the request comes from a
+ * browser origin outside CORS_ALLOWED_ORIGINS (the handler answers 403).
+ * Requests without an Origin header (server-to-server) are always allowed.
+ */
+function applyCors(req, res, methods) {
+  const origin = req.headers?.origin;
+  const allowed = allowedOrigins();
+  res.setHeader('Access-Control-Allow-Methods', methods);
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+  res.setHeader('Access-Control-Expose-Headers', 'Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining');
+  if (allowed.includes('*')) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    return true;
+  }
+  res.setHeader('Vary', 'Origin');
+  if (!origin) return true;
+  if (!originAllowed(origin, allowed)) return false;
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  return true;
+}
+
+// ---------------------- API Keys ----------------------
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function sameHash(a, b) {
+  const x = Buffer.from(String(a), 'hex');
+  const y = Buffer.from(String(b), 'hex');
+  return x.length === y.length && x.length > 0 && crypto.timingSafeEqual(x, y);
+}
+
+/**
+ * Create a key and save its record. The plaintext key is only ever returned here.
+ * Limits left null fall back to the environment defaults; pipelines null = all pipelines.
+ */
+async function issueKey(store, { name, pipelines = null, rate_limit_per_minute = null, daily_token_quota = null } = {}) {
+  const id = crypto.randomBytes(6).toString('hex');
+  const key = `${KEY_PREFIX}${id}_${crypto.randomBytes(24).toString('base64url')}`;
+  const record = {
+    id,
+    name: name || id,
+    hash: hashKey(key),
+    pipelines,
+    rate_limit_per_minute,
+    daily_token_quota,
+    disabled: false,
+    created_at: new Date().toISOString()
+  };
+  await store.putKey(record);
+  return { key, record };
+}
+
+async function keyPrincipal(store, key) {
+  const m = key.match(KEY_PATTERN);
+  const record = m ? await store.getKey(m[1]) : null;
+  if (!record || !sameHash(record.hash, hashKey(key))) {
+    return { error: { status: 401, message: 'Invalid API key' } };
+  }
+  if (record.disabled) return { error: { status: 403, message: `API key ${record.id} is disabled` } };
+  return {
+    principal: {
+      id: `key:${record.id}`,
+      name: record.name,
+      pipelines: record.pipelines,
+      rate_limit_per_minute: record.rate_limit_per_minute,
+      daily_token_quota: record.daily_token_quota
+    }
+  };
+}
+
+// ---------------------- Signed Tokens ----------------------
+function base64url(value) {
+  return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+}
+
+function signature(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+/**
+ * Sign an HS256 token for a caller that should not hold a long-lived key
+ * (e.g. a browser session minted by the app's own backend). `expiresIn` is in seconds.
+ */
+function signToken(claims, secret = process.env.AUTH_TOKEN_SECRET, { expiresIn = 3600 } = {}) {
+  if (!secret) throw new Error('AUTH_TOKEN_SECRET is not set');
+  const now = Math.floor(Date.now() / 1000);
+  const payload = { iat: now, ...(expiresIn ? { exp: now + expiresIn } : {}), ...claims };
+  const data = `${base64url({ alg: 'HS256', typ: 'JWT' })}.${base64url(payload)}`;
+  return `${data}.${signature(data, secret)}`;
+}
+
+function verifyToken(token, secret = process.env.AUTH_TOKEN_SECRET) {
+  if (!secret) return { error: { status: 401, message: 'Signed tokens are not enabled' } };
+  const parts = token.split('.');
+  if (parts.length !== 3) return { error: { status: 401, message: 'Malformed token' } };
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (e) {
+    return { error: { status: 401, message: 'Malformed token' } };
+  }
+  const expected = Buffer.from(signature(`${parts[0]}.${parts[1]}`, secret));
+  const given = Buffer.from(parts[2]);
+  if (header?.alg !== 'HS256' || expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return { error: { status: 401, message: 'Invalid token signature' } };
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp === 'number' && claims.exp <= now) return { error: { status: 401, message: 'Token expired' } };
+  if (typeof claims.nbf === 'number' && claims.nbf > now) return { error: { status: 401, message: 'Token not yet valid' } };
+  if (!claims.sub) return { error: { status: 401, message: 'Token has no subject (sub)' } };
+  return { claims };
+}
+
+function tokenPrincipal(token) {
+  const { claims, error } = verifyToken(token);
+  if (error) return { error };
+  return {
+    principal: {
+      id: `token:${claims.sub}`,
+      name: String(claims.sub),
+      pipelines: Array.isArray(claims.pipelines) ? claims.pipelines : null,
+      rate_limit_per_minute: claims.rpm ?? null,
+      daily_token_quota: claims.daily_tokens ?? null
+    }
+  };
+}
+
+function credentials(req) {
+  const header = String(req.headers?.authorization || '');
+  const bearer = header.match(/^Bearer\s+(\S+)$/i);
+  if (bearer) return bearer[1];
+  return req.headers?.['x-api-key'] ? String(req.headers['x-api-key']).trim() : null;
+}
+
+/**
+ * Identify the caller. Returns { principal } or { error: { status, message } }.
+ */
+async function authenticate(req, store = getKeyStore()) {
+  const credential = credentials(req);
+  if (!credential) {
+    return { error: { status: 401, message: 'Authentication required: send an API key (Authorization: Bearer <key> or X-API-Key) or a signed token' } };
+  }
+  return credential.startsWith(KEY_PREFIX) ? keyPrincipal(store, credential) : tokenPrincipal(credential);
+}
+
+// ---------------------- Limits ----------------------
+function limitOf(value, fallback) {
+  const n = Number(value ?? fallback);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+function utcDay(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function secondsToMidnight(now) {
+  const next = new Date(now);
+  next.setUTCHours(24, 0, 0, 0);
+  return Math.max(1, Math.ceil((next - now) / 1000));
+}
+
+function quotaMessage(quota, used) {
+  return `Daily token quota of ${quota} exhausted (${used} used); resets at 00:00 UTC`;
+}
+
+// A counter that cannot be read or written (e.g. a read-only or full disk) must not turn every
+// request into a 500: the limit is skipped and the failure logged
+async function counter(fn) {
+  try {
+    return await fn();
+  } catch (err) {
+    console.error('=== LIMIT COUNTER ERROR ===', err.message || err);
+    return null;
+  }
+}
+
+/**
+ * Count the request against the caller's per-minute limit and check the daily token quota.
+ * Returns {} when the request may go ahead, or { error, retryAfter } for a 429.
+ */
+async function checkLimits(store, principal, res, now = Date.now()) {
+  const rpm = limitOf(principal.rate_limit_per_minute, DEFAULT_RATE_LIMIT);
+  const minute = Math.floor(now / 60000);
+  const used = rpm ? await counter(() => store.increment(`rate:${principal.id}`, String(minute), 1)) : null;
+  if (used !== null) {
+    res.setHeader('X-RateLimit-Limit', String(rpm));
+    res.setHeader('X-RateLimit-Remaining', String(Math.max(0, rpm - used)));
+    if (used > rpm) {
+      return {
+        error: { status: 429, message: `Rate limit exceeded: ${rpm} requests per minute` },
+        retryAfter: Math.max(1, Math.ceil(((minute + 1) * 60000 - now) / 1000))
+      };
+    }
+  }
+
+  const quota = limitOf(principal.daily_token_quota, DEFAULT_TOKEN_QUOTA);
+  const spent = quota ? await counter(() => store.count(`tokens:${principal.id}`, utcDay(now))) : null;
+  if (spent !== null && spent >= quota) {
+    return {
+      error: { status: 429, message: quotaMessage(quota, spent) },
+      retryAfter: secondsToMidnight(now)
+    };
+  }
+  return {};
+}
+
+/**
+ * Authenticate the request and apply its limits. Returns { principal } (null with AUTH_MODE=off)
+ * or { error: { status, message } }; Retry-After is already set on `res` for 429s.
+ * `pipeline` is checked against the key's or token's allowed pipelines when given.
+ */
+async function authorize(req, res, { pipeline = null, limit = true } = {}) {
+  if (authDisabled()) return { principal: null };
+
+  const store = getKeyStore();
+  const { principal, error } = await authenticate(req, store);
+  if (error) {
+    if (error.status === 401) res.setHeader('WWW-Authenticate', 'Bearer');
+    return { error };
+  }
+  if (pipeline && Array.isArray(principal.pipelines) && !principal.pipelines.includes(pipeline)) {
+    return { error: { status: 403, message: `Not allowed to use the ${pipeline} pipeline` } };
+  }
+  if (limit) {
+    const limited = await checkLimits(store, principal, res);
+    if (limited.error) {
+      res.setHeader('Retry-After', String(limited.retryAfter));
+      return { error: limited.error };
+    }
+  }
+  return { principal };
+}
+
+/**
+ * Run `fn` for `principal` against its daily token quota. Every model call is checked before it
+ * is made (through the usage meter's check hook) and charged as soon as it returns, so a long run
+ * stops at the quota instead of overshooting it, and concurrent runs see each other's usage.
+ * A refused call throws { code: 'quota_exceeded', status: 429, retryAfter }.
+ * Without a principal the work is not metered.
+ */
+async function withQuota(principal, fn) {
+  if (!principal?.id) return fn();
+  const store = getKeyStore();
+  const name = `tokens:${principal.id}`;
+  const quota = limitOf(principal.daily_token_quota, DEFAULT_TOKEN_QUOTA);
+  let charged = Promise.resolve();
+  const meter = {
+    async check(spec) {
+      if (!quota || spec.provider === 'replay') return;
+      await charged;
+      const now = Date.now();
+      const used = await counter(() => store.count(name, utcDay(now)));
+      if (used !== null && used >= quota) {
+        throw Object.assign(new Error(quotaMessage(quota, used)), { code: 'quota_exceeded', status: 429, retryAfter: secondsToMidnight(now) });
+      }
+    },
+    record(call) {
+      if (call.provider === 'replay') return;
+      const tokens = call.input_tokens + call.output_tokens;
+      charged = charged
+        .then(() => store.increment(name, utcDay(Date.now()), tokens))
+        .catch(err => console.error('=== QUOTA ACCOUNTING ERROR ===', err.message || err));
+    }
+  };
+  try {
+    return await meterUsage(meter, fn);
+  } finally {
+    await charged;
+  }
+}
+
+module.exports = {
+  KEY_PREFIX,
+  applyCors,
+  originAllowed,
+  issueKey,
+  hashKey,
+  signToken,
+  verifyToken,
+  authenticate,
+  checkLimits,
+  authorize,
+  withQuota
+};
@@ -0,0 +1,239 @@
+// cache.js
+// Content-addressed cache for pipeline results, so a resubmitted document (browser refresh,
+// double click) does not pay for the whole creator -> reviewer run again. Two levels:
+//   result  the final payload, keyed on the normalized document text (and previous version in
+//           compare mode), user inputs, source documents, prompt template version and models
+//   chunk   a single creator-stage model call, keyed on its rendered prompt and model, so editing
+//           one section of a long document only re-runs the chunks whose text changed
+// Normalization ignores line-ending, trailing-whitespace and blank-line differences.
+// Both levels are scoped to the authenticated caller (`input.owner`): another API key that submits
+// the same document never gets a result produced for someone else. A redacted run's result is
+// stored with its placeholders; the pipeline restores the values for each request it answers.
+// Partial (degraded) results are never stored. Requests send cache: "bypass" to skip lookups;
+// the fresh result still replaces the cached one.
+//   CACHE_STORE      file (default) | memory | off
+//   CACHE_DIR        directory of the file store (default: <tmp>/vd-orchestrator-cache)
+//   CACHE_TTL_HOURS  how long entries are served (default 168; 0 = no expiry)
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Bump when a code change alters pipeline output for the same input
+const CACHE_VERSION = 3;
+const CACHE_MODES = ['use', 'bypass'];
+const KEY_PATTERN = /^[a-f0-9]{64}$/;
+
+function ttlMs() {
+  const hours = Number(process.env.CACHE_TTL_HOURS ?? 168);
+  return Number.isFinite(hours) && hours > 0 ? hours * 3600000 : 0;
+}
+
+function fresh(entry) {
+  const ttl = ttlMs();
+  return !!entry && (!ttl || Date.now() - Date.parse(entry.created_at) <= ttl);
+}
+
+// ---------------------- Stores ----------------------
+function createMemoryCache() {
+  const entries = new Map();
+  return {
+    kind: 'memory',
+    async get(key) {
+      const entry = entries.get(key);
+      return fresh(entry) ? JSON.parse(JSON.stringify(entry)) : null;
+    },
+    async put(key, value) {
+      entries.set(key, JSON.parse(JSON.stringify({ key, created_at: new Date().toISOString(), value })));
+    }
+  };
+}
+
+function createFileCache(dir = process.env.CACHE_DIR || path.join(os.tmpdir(), 'vd-orchestrator-cache')) {
+  // Two-level fan-out keeps directories small
+  const fileFor = (key) => {
+    if (!KEY_PATTERN.test(String(key))) throw new Error(`Invalid cache key "${key}"`);
+    return path.join(dir, key.slice(0, 2), `${key}.json`);
+  };
+  return {
+    kind: 'file',
+    async get(key) {
+      if (!KEY_PATTERN.test(String(key))) return null;
+      try {
+        const entry = JSON.parse(await fs.promises.readFile(fileFor(key), 'utf8'));
+        return fresh(entry) ? entry : null;
+      } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        // A corrupt entry is a miss; the next put replaces it
+        if (e instanceof SyntaxError) return null;
+        throw e;
+      }
+    },
+    async put(key, value) {
+      const target = fileFor(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      const tmp = `${target}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify({ key, created_at: new Date().toISOString(), value }));
+      await fs.promises.rename(tmp, target);
+    }
+  };
+}
+
+let defaultCache;
+
+// null when CACHE_STORE=off
+function getCache() {
+  if (defaultCache === undefined) {
+    const kind = (process.env.CACHE_STORE || 'file').toLowerCase();
+    defaultCache = kind === 'off' ? null : kind === 'memory' ? createMemoryCache() : createFileCache();
+  }
+  return defaultCache;
+}
+
+// ---------------------- Keys ----------------------
+function normalizeText(text) {
+  return String(text ?? '')
+    .normalize('NFC')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function hashKey(parts) {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+// The parts of a model spec that change its output (the fallback only matters on failure)
+function modelKey(spec) {
+  return [spec.provider, spec.model, spec.temperature ?? null, spec.max_tokens ?? null];
+}
+
+function resultKey(pipeline, input) {
+  const prompts = input.prompts || {};
+  return hashKey([
+    'result',
+    CACHE_VERSION,
+    pipeline,
+    input.owner || null,
+    normalizeText(input.document_text),
+    normalizeText(input.user_inputs),
+    [input.mode || null, normalizeText(input.previous_document_text)],
+    input.adjudication || null,
+    input.redaction || null,
+    input.finding || null,
+    input.compliance || null,
+    (input.documents || []).map(d => [d.id, d.name, d.role, normalizeText(d.text)]),
+    [prompts.id || null, prompts.version || null, prompts.fingerprint || null],
+    Object.keys(input.roles || {}).sort().map(role => [role, modelKey(input.roles[role])]),
+    [input.chunking?.max_tokens ?? null, input.chunking?.overlap_tokens ?? null]
+  ]);
+}
+
+function callKey(spec, system, user, owner = null) {
+  return hashKey(['call', CACHE_VERSION, owner, modelKey(spec), normalizeText(system), normalizeText(user)]);
+}
+
+/**
+ * Read the cache option from a request body: { cache: "use" | "bypass" } or an
+ * { error } for prepare() to answer with.
+ */
+function parseCacheMode(body) {
+  const value = body && typeof body === 'object' ? body.cache : undefined;
+  if (value === undefined || value === null || value === '') return { cache: 'use' };
+  const mode = String(value).trim().toLowerCase();
+  if (!CACHE_MODES.includes(mode)) {
+    return { error: { status: 400, message: `cache must be one of: ${CACHE_MODES.join(', ')}` } };
+  }
+  return { cache: mode };
+}
+
+// ---------------------- Run Cache ----------------------
+/**
+ * Cache access for one pipeline run. A store that fails is logged and treated as a miss:
+ * the cache must never fail a run that would otherwise succeed.
+ */
+function createRunCache(pipeline, input, { store = getCache(), onEvent = async () => {} } = {}) {
+  const mode = store ? input.cache || 'use' : 'off';
+  const key = store ? resultKey(pipeline, input) : null;
+  const chunks = { hits: 0, misses: 0 };
+
+  const safely = async (fn) => {
+    try {
+      return await fn();
+    } catch (err) {
+      console.error('=== CACHE ERROR ===', err.message || err);
+      return null;
+    }
+  };
+
+  return {
+    /**
+     * The cached payload for this input, or null. `usage` is the run's (empty) usage
+     * summary: a cache hit costs nothing.
+     */
+    async lookup(usage) {
+      if (mode !== 'use') return null;
+      const entry = await safely(() => store.get(key));
+      if (!entry) return null;
+      console.log('=== CACHE HIT ===', key.slice(0, 16));
+      await onEvent({ type: 'cache_hit', level: 'result', key });
+      return {
+        ...entry.value,
+        usage,
+        cache: {
+          status: 'hit',
+          key,
+          cached_at: entry.created_at,
+          saved_cost_usd: entry.value.usage?.total?.cost_usd ?? null,
+          chunks: null
+        }
+      };
+    },
+
+    // Store a finished payload (partial results are not cached)
+    async save(payload) {
+      if (mode === 'off' || payload.partial) return;
+      await safely(() => store.put(key, payload));
+    },
+
+    /**
+     * Run one creator-stage call through the chunk cache. `fn` makes the call;
+     * `replay(text)` re-emits a cached response to a streaming client.
+     */
+    async chunk(spec, system, user, fn, { stage, index, replay = () => {} } = {}) {
+      if (mode === 'off') return fn();
+      const k = callKey(spec, system, user, input.owner || null);
+      if (mode === 'use') {
+        const entry = await safely(() => store.get(k));
+        if (entry && typeof entry.value === 'string' && entry.value) {
+          chunks.hits++;
+          await onEvent({ type: 'cache_hit', level: 'chunk', stage, index });
+          replay(entry.value);
+          return entry.value;
+        }
+      }
+      chunks.misses++;
+      const text = await fn();
+      if (text) await safely(() => store.put(k, text));
+      return text;
+    },
+
+    summary() {
+      return { status: mode === 'use' ? 'miss' : mode, key, chunks };
+    }
+  };
+}
+
+module.exports = {
+  CACHE_VERSION,
+  createMemoryCache,
+  createFileCache,
+  getCache,
+  normalizeText,
+  resultKey,
+  callKey,
+  parseCacheMode,
+  createRunCache
+};
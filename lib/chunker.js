@@ -0,0 +1,368 @@
+// chunker.js
+// Structure-aware, token-budgeted chunking shared by both pipelines.
+// The document is parsed into units (headings, numbered clauses, paragraphs, table
+// blocks); units are packed into chunks without cutting a clause or table apart,
+// neighbouring chunks share a small overlap window, and every chunk carries the
+// heading path it starts in so reviewers know which section they are reading.
+
+const DEFAULT_MAX_TOKENS = 3000;
+const DEFAULT_OVERLAP_TOKENS = Number(process.env.CHUNK_OVERLAP_TOKENS ?? 150);
+// Accepted request values: smaller chunks cost a model call per paragraph, larger ones exceed
+// what the models review reliably in one pass
+const MAX_TOKENS_RANGE = [200, 8000];
+const OVERLAP_TOKENS_RANGE = [0, 2000];
+
+// ---------------------- Tokens ----------------------
+// Approximation of BPE token counts for English prose (~4 chars or ~0.75 words per token).
+// Good enough for budgeting; pass `countTokens` to use a real tokenizer.
+function estimateTokens(text) {
+  if (!text) return 0;
+  const words = (text.match(/\S+/g) || []).length;
+  return Math.ceil(Math.max(text.length / 4, words * 1.33));
+}
+
+// ---------------------- Line classification ----------------------
+const MD_HEADING = /^(#{1,6})\s+(.+)$/;
+const NUMBERED = /^(\d{1,3}(?:\.\d{1,3})+|\d{1,3}[.)])\s+(\S.*)$/;
+const NAMED_HEADING = /^(section|article|chapter|part|appendix|annex|schedule)\s+[\dA-Z][\w.]*\b[:.\-–—]?\s*(.*)$/i;
+
+function isTableLine(line) {
+  if ((line.match(/\|/g) || []).length >= 2) return true;
+  if (/\S\t+\S/.test(line)) return true;
+  // pdf-parse renders columns as runs of spaces
+  return (line.trim().match(/\S {2,}(?=\S)/g) || []).length >= 2;
+}
+
+function classify(line) {
+  const trimmed = line.trim();
+  if (!trimmed) return { type: 'blank' };
+
+  let m = trimmed.match(MD_HEADING);
+  if (m) return { type: 'heading', level: m[1].length, title: m[2].trim() };
+
+  if (isTableLine(line)) return { type: 'table' };
+
+  m = trimmed.match(NUMBERED);
+  if (m) {
+    const number = m[1].replace(/[.)]$/, '');
+    const level = number.split('.').length;
+    const rest = m[2].trim();
+    // Short, unpunctuated numbered lines are headings ("4.2 Approvals"); long ones are clauses
+    if (rest.length <= 80 && !/[.;:]$/.test(rest)) return { type: 'heading', level, title: `${number} ${rest}`, clause: number };
+    return { type: 'clause', level, clause: number };
+  }
+
+  m = trimmed.match(NAMED_HEADING);
+  if (m && trimmed.length <= 100) return { type: 'heading', level: 1, title: trimmed };
+
+  if (trimmed.length >= 4 && trimmed.length <= 80 && /[A-Z]{3}/.test(trimmed) && !/[a-z]/.test(trimmed) && !/[.;,]$/.test(trimmed)) {
+    return { type: 'heading', level: 1, title: trimmed };
+  }
+  return { type: 'text' };
+}
+
+// ---------------------- Units ----------------------
+function parseUnits(text, countTokens) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const units = [];
+  let stack = [];
+  let para = null;
+  let table = null;
+
+  const path = () => stack.map(h => h.title);
+  const flushPara = () => {
+    if (para) units.push({ type: 'text', text: para.lines.join('\n'), path: para.path, clause: para.clause });
+    para = null;
+  };
+  const flushTable = () => {
+    if (table) units.push({ type: 'table', rows: table.rows, text: table.rows.join('\n'), path: table.path });
+    table = null;
+  };
+
+  for (const line of lines) {
+    const c = classify(line);
+    if (c.type === 'blank') {
+      flushPara();
+      flushTable();
+      continue;
+    }
+    if (c.type === 'table') {
+      flushPara();
+      if (!table) table = { rows: [], path: path() };
+      table.rows.push(line.trimEnd());
+      continue;
+    }
+    flushTable();
+    if (c.type === 'heading') {
+      flushPara();
+      stack = stack.filter(h => h.level < c.level);
+      stack.push({ level: c.level, title: c.title });
+      units.push({ type: 'heading', level: c.level, text: line.trim(), path: path(), clause: c.clause });
+      continue;
+    }
+    if (c.type === 'clause') {
+      flushPara();
+      para = { lines: [line.trim()], path: path(), clause: c.clause };
+      continue;
+    }
+    if (!para) para = { lines: [], path: path() };
+    para.lines.push(line.trim());
+  }
+  flushPara();
+  flushTable();
+
+  for (const u of units) u.tokens = countTokens(u.text);
+  return units;
+}
+
+// Ways to break text that is over budget, coarsest first: sentences, lines, words. Whatever
+// still does not fit after words is cut by characters.
+const TEXT_SPLITS = [
+  { pattern: /(?<=[.!?;])\s+/, join: ' ' },
+  { pattern: /\n+/, join: '\n' },
+  { pattern: /\s+/, join: ' ' }
+];
+
+// Longest prefix of `text` within the budget (at least one character)
+function fittingPrefix(text, budget, countTokens) {
+  let lo = 1;
+  let hi = text.length;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (countTokens(text.slice(0, mid)) <= budget) lo = mid;
+    else hi = mid - 1;
+  }
+  return text.slice(0, lo);
+}
+
+// Pieces of `text` of at most `budget` tokens each
+function splitText(text, budget, countTokens, level = 0) {
+  if (countTokens(text) <= budget) return [text];
+  if (level >= TEXT_SPLITS.length) {
+    const pieces = [];
+    for (let rest = text; rest; ) {
+      const piece = fittingPrefix(rest, budget, countTokens);
+      pieces.push(piece);
+      rest = rest.slice(piece.length);
+    }
+    return pieces;
+  }
+
+  const { pattern, join } = TEXT_SPLITS[level];
+  const pieces = [];
+  let current = '';
+  for (const part of text.split(pattern).filter(Boolean)) {
+    if (current && countTokens(current + join + part) <= budget) {
+      current += join + part;
+      continue;
+    }
+    if (current) pieces.push(current);
+    current = '';
+    // A part that is too big on its own is broken at the next finer level
+    const parts = splitText(part, budget, countTokens, level + 1);
+    pieces.push(...parts.slice(0, -1));
+    current = parts[parts.length - 1];
+  }
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+// Break a unit that alone exceeds the budget: tables by rows (repeating the
+// header row), text by sentences, then lines, words and characters.
+function splitOversized(unit, budget, countTokens) {
+  if (unit.tokens <= budget) return [unit];
+  if (unit.type === 'table') {
+    const [header, ...rows] = unit.rows;
+    const pieces = [];
+    let current = [header];
+    for (const row of rows) {
+      if (current.length > 1 && countTokens([...current, row].join('\n')) > budget) {
+        pieces.push(current);
+        current = [header];
+      }
+      current.push(row);
+    }
+    pieces.push(current);
+    // A row (or header) too wide for the budget on its own is split as text
+    return pieces.flatMap(rowsPart => {
+      const text = rowsPart.join('\n');
+      return countTokens(text) <= budget
+        ? [{ rows: rowsPart, text }]
+        : splitText(text, budget, countTokens, 1).map(part => ({ rows: part.split('\n'), text: part }));
+    }).map((piece, i) => ({ ...unit, ...piece, tokens: countTokens(piece.text), continued: i > 0 }));
+  }
+
+  return splitText(unit.text, budget, countTokens)
+    .map((text, i) => ({ ...unit, text, tokens: countTokens(text), continued: i > 0 }));
+}
+
+function tailOverlap(units, overlapTokens, countTokens) {
+  if (overlapTokens <= 0) return [];
+  const out = [];
+  let used = 0;
+  for (let i = units.length - 1; i >= 0; i--) {
+    const u = units[i];
+    if (u.type === 'heading') break;
+    if (used + u.tokens > overlapTokens) {
+      // Take the trailing sentences of a unit too big to repeat whole
+      if (!out.length && u.type === 'text') {
+        const sentences = u.text.split(/(?<=[.!?;])\s+/);
+        let tail = '';
+        for (let j = sentences.length - 1; j >= 0; j--) {
+          const next = tail ? sentences[j] + ' ' + tail : sentences[j];
+          if (countTokens(next) > overlapTokens) break;
+          tail = next;
+        }
+        if (tail) out.unshift({ ...u, text: tail, tokens: countTokens(tail), overlap: true });
+      }
+      break;
+    }
+    out.unshift({ ...u, overlap: true });
+    used += u.tokens;
+  }
+  return out;
+}
+
+function toChunk(units, index) {
+  const content = units.filter(u => !u.overlap);
+  const first = content[0] || units[0];
+  const sections = [];
+  for (const u of content) {
+    const p = u.path.join(' > ');
+    if (p && !sections.includes(p)) sections.push(p);
+  }
+  return {
+    index,
+    text: units.map(u => u.text).join('\n\n'),
+    heading_path: first ? first.path : [],
+    continued: !!first && first.type !== 'heading',
+    sections,
+    clauses: content.filter(u => u.clause).map(u => u.clause),
+    tokens: units.reduce((n, u) => n + u.tokens, 0),
+    overlap_tokens: units.filter(u => u.overlap).reduce((n, u) => n + u.tokens, 0)
+  };
+}
+
+// ---------------------- Chunking ----------------------
+/**
+ * Read the chunking option from a request body: { chunking: { max_tokens, overlap_tokens } }.
+ * Returns { chunking } (overlap_tokens undefined = the chunker's default) or an { error }
+ * for prepare() to answer with.
+ */
+function parseChunking(body, defaultMaxTokens = DEFAULT_MAX_TOKENS) {
+  const options = body && typeof body === 'object' ? body.chunking : undefined;
+  if (options === undefined || options === null) return { chunking: { max_tokens: defaultMaxTokens, overlap_tokens: undefined } };
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    return { error: { status: 400, message: 'chunking must be an object: { max_tokens, overlap_tokens }' } };
+  }
+  const read = (key, [min, max], fallback) => {
+    const value = options[key];
+    if (value === undefined || value === null || value === '') return { value: fallback };
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < min || n > max) {
+      return { error: { status: 400, message: `chunking.${key} must be a whole number from ${min} to ${max}` } };
+    }
+    return { value: n };
+  };
+  const maxTokens = read('max_tokens', MAX_TOKENS_RANGE, defaultMaxTokens);
+  if (maxTokens.error) return { error: maxTokens.error };
+  const overlapTokens = read('overlap_tokens', OVERLAP_TOKENS_RANGE, undefined);
+  if (overlapTokens.error) return { error: overlapTokens.error };
+  return { chunking: { max_tokens: maxTokens.value, overlap_tokens: overlapTokens.value } };
+}
+
+/**
+ * Split `text` into chunks of at most `maxTokens` (estimated) tokens.
+ * Documents of at most `splitAbove` tokens (defaults to maxTokens) come back as one chunk.
+ * Options: { maxTokens, overlapTokens, splitAbove, countTokens }
+ */
+function chunkDocument(text, options = {}) {
+  const countTokens = options.countTokens || estimateTokens;
+  const maxTokens = Number(options.maxTokens) > 0 ? Number(options.maxTokens) : DEFAULT_MAX_TOKENS;
+  const overlapTokens = Math.min(
+    Number.isFinite(Number(options.overlapTokens)) ? Number(options.overlapTokens) : DEFAULT_OVERLAP_TOKENS,
+    Math.floor(maxTokens / 4)
+  );
+  const splitAbove = Number(options.splitAbove) > 0 ? Number(options.splitAbove) : maxTokens;
+
+  if (!text) return [];
+  if (countTokens(text) <= splitAbove) {
+    return [{ index: 0, text, heading_path: [], continued: false, sections: [], clauses: [], tokens: countTokens(text), overlap_tokens: 0 }];
+  }
+
+  const units = parseUnits(text, countTokens)
+    .flatMap(u => splitOversized(u, maxTokens - overlapTokens, countTokens));
+
+  const chunks = [];
+  let current = [];
+  let size = 0;
+  const hasContent = () => current.some(u => !u.overlap);
+
+  for (const unit of units) {
+    // Prefer to start a new chunk at a major heading once the current one is well filled
+    const softBreak = unit.type === 'heading' && unit.level <= 2 && size >= maxTokens * 0.6;
+    if (hasContent() && (size + unit.tokens > maxTokens || softBreak)) {
+      // Never leave a heading orphaned at the end of a chunk
+      const carried = [];
+      while (current.length && current[current.length - 1].type === 'heading') carried.unshift(current.pop());
+      if (!hasContent()) {
+        current.push(...carried);
+        carried.length = 0;
+      }
+      chunks.push(toChunk(current, chunks.length));
+      const overlap = carried.length ? [] : tailOverlap(current, overlapTokens, countTokens);
+      current = [...overlap, ...carried];
+      size = current.reduce((n, u) => n + u.tokens, 0);
+      if (size + unit.tokens > maxTokens) {
+        current = carried;
+        size = current.reduce((n, u) => n + u.tokens, 0);
+      }
+    }
+    current.push(unit);
+    size += unit.tokens;
+  }
+  if (hasContent()) chunks.push(toChunk(current, chunks.length));
+  return chunks;
+}
+
+// Heading paths of a document in reading order, e.g. [['4 Approvals'], ['4 Approvals', '4.2 Limits']].
+function listSections(text, options = {}) {
+  if (!text) return [];
+  const seen = new Set();
+  const sections = [];
+  for (const unit of parseUnits(text, options.countTokens || estimateTokens)) {
+    if (unit.type !== 'heading') continue;
+    const key = unit.path.join(' > ');
+    if (seen.has(key)) continue;
+    seen.add(key);
+    sections.push(unit.path);
+  }
+  return sections;
+}
+
+// Structural units in reading order (headings, clauses, paragraphs, table blocks), each with its
+// heading path and clause number; the SOP version comparison (lib/redline.js) aligns these.
+function listUnits(text, options = {}) {
+  if (!text) return [];
+  return parseUnits(text, options.countTokens || estimateTokens)
+    .map(({ type, level, text: unitText, path, clause }) => ({ type, level, text: unitText, path, clause }));
+}
+
+// Chunk text prefixed with its source document (multi-document input) and section context, for prompts.
+function withContext(chunk) {
+  const context = [];
+  if (chunk.document) context.push(`[Document ${chunk.document.id}: ${chunk.document.name} (${chunk.document.role})]`);
+  if (chunk.heading_path.length) {
+    context.push(`[Section: ${chunk.heading_path.join(' > ')}${chunk.continued ? ' (continued)' : ''}]`);
+  }
+  return context.length ? `${context.join('\n')}\n${chunk.text}` : chunk.text;
+}
+
+module.exports = {
+  parseChunking,
+  chunkDocument,
+  listSections,
+  listUnits,
+  withContext,
+  estimateTokens
+};
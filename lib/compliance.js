@@ -0,0 +1,342 @@
+// compliance.js
+// Regulatory clause checklists for the SOP reviewer. Each standard's checklist is a JSON file in
+// lib/checklists (id, title, version, clauses: [{ clause_id, title, requirement }]); after the
+// dual review, one call per standard (creator role: Reviewer 1) maps the SOP's sections to every
+// clause and marks it met, partial, missing or not_applicable. Here the answer is checked:
+//   - clauses the model skipped count as missing; clause IDs it invented are reported in `issues`
+//   - each clause's evidence quote and section references are looked up in the SOP (lib/grounding.js);
+//     a clause marked met whose evidence cannot be found is reported as well
+//   - coverage = (met + half of partial) / applicable clauses, in percent; the gaps are the
+//     partial and missing clauses
+// The assessment is opt-in, as it costs one call per standard. Prompt: lib/prompts/shared/compliance.
+// body.compliance: "all" | "off" | ["iso_9001", "eu_gmp"] (or a comma-separated string).
+//   COMPLIANCE_CHECKLISTS      default for requests that don't choose (default off)
+//   COMPLIANCE_CHECKLISTS_DIR  adds checklists, or replaces a bundled one with the same id
+
+const fs = require('fs');
+const path = require('path');
+const { complete, describe } = require('./providers');
+const { escapeHtml } = require('./html');
+const { safeParseJson } = require('./json');
+const { renderPrompt, stagePrompts } = require('./prompts');
+const grounding = require('./grounding');
+
+const BUILTIN_DIR = path.join(__dirname, 'checklists');
+const STATUSES = ['met', 'partial', 'missing', 'not_applicable'];
+const MAX_DOCUMENT_CHARS = 60000;
+
+// ---------------------- Checklists ----------------------
+function checklistKey(value) {
+  return String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+function readChecklist(file) {
+  let checklist;
+  try {
+    checklist = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Invalid compliance checklist ${file}: ${e.message}`);
+  }
+  const clauses = Array.isArray(checklist?.clauses) ? checklist.clauses : [];
+  const ids = clauses.map(c => String(c?.clause_id || '').trim());
+  if (!checklist?.id || !clauses.length || ids.some(id => !id) || new Set(ids).size !== ids.length) {
+    throw new Error(`Compliance checklist ${file} needs an id and clauses with unique clause_id values`);
+  }
+  return {
+    id: checklistKey(checklist.id),
+    title: checklist.title || checklist.id,
+    version: checklist.version || 1,
+    description: checklist.description || '',
+    clauses: clauses.map((c, i) => ({ clause_id: ids[i], title: c.title || '', requirement: c.requirement || '' }))
+  };
+}
+
+let library = null;
+
+function loadChecklists() {
+  if (library) return library;
+  const dirs = [BUILTIN_DIR, process.env.COMPLIANCE_CHECKLISTS_DIR].filter(Boolean);
+  const checklists = new Map();
+  for (const dir of dirs) {
+    let files = [];
+    try {
+      files = fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort();
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+    // Later directories override earlier ones for the same id
+    for (const file of files) {
+      const checklist = readChecklist(path.join(dir, file));
+      checklists.set(checklist.id, checklist);
+    }
+  }
+  library = checklists;
+  return library;
+}
+
+function listChecklists() {
+  return [...loadChecklists().values()].map(c => ({ id: c.id, title: c.title, version: c.version, clauses: c.clauses.length }));
+}
+
+/**
+ * Read the compliance option from a request body. Returns { compliance } with the selected
+ * checklists (stored on the pipeline input, so a resumed job keeps them), { compliance: null }
+ * when it is off, or { error }.
+ */
+function parseCompliance(body) {
+  const value = body && typeof body === 'object' && body.compliance !== undefined
+    ? body.compliance
+    : process.env.COMPLIANCE_CHECKLISTS || 'off';
+  if (value === false || value === null || value === 'off') return { compliance: null };
+
+  const available = loadChecklists();
+  let ids;
+  if (value === true || value === 'all') {
+    ids = [...available.keys()];
+  } else if (Array.isArray(value) || typeof value === 'string') {
+    ids = (Array.isArray(value) ? value : value.split(',')).map(checklistKey).filter(Boolean);
+  } else {
+    return { error: { status: 400, message: 'compliance must be "all", "off" or a list of checklist ids' } };
+  }
+
+  const unknown = ids.filter(id => !available.has(id));
+  if (unknown.length) {
+    return { error: { status: 400, message: `Unknown compliance checklist: ${unknown.join(', ')} (available: ${[...available.keys()].join(', ')})` } };
+  }
+  if (!ids.length) return { compliance: null };
+  return { compliance: { checklists: [...new Set(ids)].map(id => available.get(id)) } };
+}
+
+// ---------------------- Prompt ----------------------
+function buildCompliancePrompt(prompts, checklist, documentText, userInputs = '') {
+  const template = stagePrompts(prompts, 'compliance');
+  return {
+    system: renderPrompt(template, 'system'),
+    user: renderPrompt(template, 'user', {
+      checklist_title: checklist.title,
+      clauses: JSON.stringify(checklist.clauses),
+      document_text: documentText,
+      user_inputs: userInputs
+    })
+  };
+}
+
+// ---------------------- Coverage ----------------------
+function text(value) {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'string' ? value.trim() : String(value);
+}
+
+// "Compliant", "Partially met", "N/A" -> met / partial / not_applicable
+function clauseStatus(value) {
+  const v = text(value).toLowerCase().replace(/[\s/-]+/g, '_');
+  if (STATUSES.includes(v)) return v;
+  if (/^(n_?a|not_?appl|inapplicable)/.test(v)) return 'not_applicable';
+  if (/^partial|^partly/.test(v)) return 'partial';
+  if (/^(not_|non|no$|absent|gap|missing)/.test(v)) return 'missing';
+  if (/^(met|yes|compliant|covered|addressed|fully)/.test(v)) return 'met';
+  return null;
+}
+
+function sectionList(value) {
+  const list = Array.isArray(value) ? value : typeof value === 'string' ? value.split(/;/) : [];
+  return [...new Set(list.map(text).filter(Boolean))];
+}
+
+function summarizeClauses(clauses) {
+  const counts = Object.fromEntries(STATUSES.map(s => [s, clauses.filter(c => c.status === s).length]));
+  const applicable = counts.met + counts.partial + counts.missing;
+  return {
+    clauses: clauses.length,
+    ...counts,
+    applicable,
+    coverage: applicable ? Math.round(((counts.met + counts.partial / 2) / applicable) * 100) : null,
+    gaps: counts.partial + counts.missing
+  };
+}
+
+/**
+ * Check the model's clause assessment against the checklist and the SOP. Returns
+ * { clauses, summary, gaps, issues }.
+ */
+function buildCoverage(checklist, raw, index) {
+  const parsed = typeof raw === 'string' ? safeParseJson(raw) : raw;
+  const rawClauses = Array.isArray(parsed?.clauses) ? parsed.clauses : Array.isArray(parsed) ? parsed : [];
+  const issues = [];
+  const byId = new Map();
+  for (const c of rawClauses) {
+    const id = text(c?.clause_id);
+    if (!checklist.clauses.some(k => k.clause_id === id)) {
+      if (id) issues.push({ item: id, message: 'is not a clause of the checklist' });
+      continue;
+    }
+    if (!byId.has(id)) byId.set(id, c);
+  }
+
+  const clauses = checklist.clauses.map(k => {
+    const c = byId.get(k.clause_id);
+    const status = clauseStatus(c?.status);
+    if (c && !status) issues.push({ item: k.clause_id, message: `unrecognized status "${text(c.status)}"; counted as missing` });
+    const assessed = !!(c && status);
+    const evidence = assessed && status !== 'not_applicable' ? text(c.evidence) : '';
+    const quote = evidence ? grounding.locateQuote(index, evidence) : null;
+    const sections = assessed ? sectionList(c.sections ?? c.section).map(reference => ({
+      reference,
+      found: grounding.locateReference(index, reference)?.found ?? null
+    })) : [];
+    const clause = {
+      clause_id: k.clause_id,
+      title: k.title,
+      requirement: k.requirement,
+      status: status || 'missing',
+      assessed,
+      sections,
+      evidence,
+      evidence_found: quote ? quote.found : null,
+      comment: assessed ? text(c.comment || c.gap || c.note) : 'Not assessed by the model'
+    };
+    if (clause.status === 'met' && quote && !quote.found) issues.push({ item: k.clause_id, message: 'marked met, but its evidence was not found in the SOP' });
+    if (!c && rawClauses.length) issues.push({ item: k.clause_id, message: 'not assessed; counted as missing' });
+    return clause;
+  });
+
+  if (!rawClauses.length) issues.push({ item: null, message: 'no clause assessment could be read' });
+
+  return {
+    clauses,
+    summary: summarizeClauses(clauses),
+    gaps: clauses.filter(c => c.status === 'partial' || c.status === 'missing').map(c => c.clause_id),
+    issues
+  };
+}
+
+// ---------------------- Stage ----------------------
+/**
+ * The compliance stage: one call per selected checklist. `compliance` is the pipeline input's
+ * compliance option; null skips the stage. Returns { standards, summary, document_truncated, model }
+ * where every standard has `status` (done | failed | unparsed), or null when skipped.
+ */
+async function runCompliance(compliance, { documentText, userInputs, spec, prompts, checkpoint, onEvent, degrade }) {
+  if (!compliance?.checklists?.length) {
+    await onEvent({ type: 'stage_done', stage: 'compliance', skipped: 'off' });
+    return null;
+  }
+
+  const { checklists } = compliance;
+  const index = grounding.createSourceIndex([{ id: 'document', text: documentText }]);
+  const excerpt = documentText.substring(0, MAX_DOCUMENT_CHARS);
+  checkpoint.compliance_raw = checkpoint.compliance_raw || {};
+
+  await onEvent({ type: 'stage_started', stage: 'compliance', total: checklists.length });
+  const standards = [];
+  for (let i = 0; i < checklists.length; i++) {
+    const checklist = checklists[i];
+    await onEvent({ type: 'chunk_started', stage: 'compliance', index: i + 1, total: checklists.length });
+    if (checkpoint.compliance_raw[checklist.id] === undefined) {
+      const prompt = buildCompliancePrompt(prompts, checklist, excerpt, userInputs);
+      try {
+        checkpoint.compliance_raw[checklist.id] = await complete(spec, prompt.system, prompt.user, { stage: 'compliance', index: i + 1 });
+        await onEvent({ type: 'checkpoint', stage: 'compliance' });
+      } catch (err) {
+        await degrade('compliance', i + 1, err);
+        checkpoint.compliance_raw[checklist.id] = null;
+      }
+    }
+    await onEvent({ type: 'chunk_done', stage: 'compliance', index: i + 1, total: checklists.length });
+
+    const raw = checkpoint.compliance_raw[checklist.id];
+    const parsed = raw === null ? null : safeParseJson(raw);
+    const status = raw === null ? 'failed' : Array.isArray(parsed?.clauses) || Array.isArray(parsed) ? 'done' : 'unparsed';
+    const coverage = buildCoverage(checklist, parsed, index);
+    // Without an assessment there is no coverage to report, only the clauses to check by hand
+    if (status !== 'done') Object.assign(coverage, { summary: { ...coverage.summary, coverage: null }, gaps: [] });
+    standards.push({
+      checklist_id: checklist.id,
+      title: checklist.title,
+      version: checklist.version,
+      status,
+      ...coverage
+    });
+  }
+  await onEvent({ type: 'stage_done', stage: 'compliance' });
+
+  const assessed = standards.filter(s => s.status === 'done');
+  return {
+    standards,
+    summary: {
+      standards: standards.length,
+      assessed: assessed.length,
+      coverage: Object.fromEntries(standards.map(s => [s.checklist_id, s.summary.coverage])),
+      gaps: assessed.reduce((n, s) => n + s.gaps.length, 0)
+    },
+    document_truncated: documentText.length > MAX_DOCUMENT_CHARS,
+    model: describe(spec)
+  };
+}
+
+// ---------------------- Report ----------------------
+const STATUS_LABELS = {
+  met: 'Met',
+  partial: '<strong style="color:#b26a00">Partial</strong>',
+  missing: '<strong style="color:#b00020">Missing</strong>',
+  not_applicable: 'N/A'
+};
+
+function sectionsHtml(sections) {
+  if (!sections.length) return '<em>None</em>';
+  return sections.map(s => escapeHtml(s.reference) + (s.found === false ? ' <small style="color:#b00020">(not found in the SOP)</small>' : '')).join('<br>');
+}
+
+function standardHtml(s) {
+  if (s.status !== 'done') {
+    return `
+<h3>${escapeHtml(s.title)}</h3>
+<p><strong style="color:#b00020">The clause assessment could not be generated (${escapeHtml(s.status)}).</strong></p>`;
+  }
+  const c = s.summary;
+  const gaps = s.clauses.filter(k => s.gaps.includes(k.clause_id));
+  const rows = gaps.map(k => `<tr><td><strong>${escapeHtml(k.clause_id)}</strong> ${escapeHtml(k.title)}</td><td>${STATUS_LABELS[k.status]}</td>`
+    + `<td>${sectionsHtml(k.sections)}</td><td>${escapeHtml(k.comment || k.requirement)}</td></tr>`).join('\n');
+  return `
+<h3>${escapeHtml(s.title)}: ${c.coverage === null ? 'no applicable clauses' : `${c.coverage}% coverage`}</h3>
+<p>${c.met} met, ${c.partial} partial, ${c.missing} missing and ${c.not_applicable} not applicable of ${c.clauses} clauses.</p>
+${gaps.length ? `<table>
+<thead><tr><th>Clause</th><th>Status</th><th>SOP Sections</th><th>Gap</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>` : '<p>No gaps: every applicable clause is met.</p>'}`;
+}
+
+/**
+ * The compliance section of the SOP report: coverage per standard and its gap table.
+ */
+function renderComplianceHtml(compliance) {
+  if (!compliance) return '';
+  const overview = compliance.standards.map(s => `<tr><td>${escapeHtml(s.title)}</td>`
+    + `<td>${s.status === 'done' && s.summary.coverage !== null ? `${s.summary.coverage}%` : escapeHtml(s.status === 'done' ? 'n/a' : s.status)}</td>`
+    + `<td>${s.status === 'done' ? s.summary.gaps : '?'}</td></tr>`).join('\n');
+  return `
+  <div class="review-section">
+    <h2>Regulatory Clause Coverage</h2>
+    <table>
+    <thead><tr><th>Standard</th><th>Coverage</th><th>Gaps</th></tr></thead>
+    <tbody>
+${overview}
+    </tbody>
+    </table>${compliance.document_truncated ? `
+    <p><small>Only the first ${MAX_DOCUMENT_CHARS} characters of the SOP were assessed.</small></p>` : ''}
+${compliance.standards.map(standardHtml).join('\n')}
+  </div>
+`;
+}
+
+module.exports = {
+  STATUSES,
+  listChecklists,
+  parseCompliance,
+  buildCompliancePrompt,
+  buildCoverage,
+  runCompliance,
+  renderComplianceHtml
+};
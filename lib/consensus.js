@@ -0,0 +1,421 @@
+// consensus.js
+// Where the two models disagree, and a third (adjudicator) pass that settles it.
+//   SOP review       Reviewer 2's verdicts on Reviewer 1's findings: verified (or reworded) =
+//                    agreed, materially corrected or added by Reviewer 2 = disputed,
+//                    never assessed = unconfirmed
+//   Working program  the reviewer's final procedures against the creator's draft: kept or lightly
+//                    edited = agreed, rewritten, dropped or added by the reviewer = disputed
+// The adjudicator rules on every disputed item: the creator's version, the reviewer's, or a
+// merged one. The agreement score is the share of items both models agreed on (unconfirmed
+// items count half) and `needs_attention` lists what QA should look at by hand.
+// body.adjudication: "auto" (default: adjudicate when there are disputes) | "off";
+// ADJUDICATION=off changes the default. The prompt is lib/prompts/shared/adjudicator.
+
+const { complete, describe } = require('./providers');
+const { escapeHtml } = require('./html');
+const { safeParseJson } = require('./json');
+const { similarity } = require('./merge');
+const { renderPrompt, stagePrompts } = require('./prompts');
+
+const ADJUDICATION_MODES = ['auto', 'off'];
+const MAX_ADJUDICATION_ITEMS = Number(process.env.ADJUDICATION_MAX_ITEMS) || 40;
+
+// Below these similarities an edit changes the substance, not just the wording
+const SAME_TEXT = 0.6;
+const SAME_EVIDENCE = 0.5;
+
+const FINDING_FIELDS = ['title', 'severity', 'category', 'clause', 'quote', 'standard', 'recommendation'];
+const MATERIAL_FINDING_FIELDS = ['severity', 'category', 'standard'];
+const PROCEDURE_FIELDS = ['section', 'subsection', 'procedure_text', 'assertion_or_control_ref', 'risk_addressed', 'expected_evidence', 'notes_for_auditor'];
+
+/**
+ * Read the adjudication option from a request body: { adjudication: "auto" | "off" } or an
+ * { error } for prepare() to answer with.
+ */
+function parseAdjudication(body) {
+  const value = body && typeof body === 'object' ? body.adjudication : undefined;
+  if (value === undefined || value === null || value === '') {
+    return { adjudication: String(process.env.ADJUDICATION || '').toLowerCase() === 'off' ? 'off' : 'auto' };
+  }
+  const mode = value === false ? 'off' : value === true ? 'auto' : String(value).trim().toLowerCase();
+  if (!ADJUDICATION_MODES.includes(mode)) {
+    return { error: { status: 400, message: `adjudication must be one of: ${ADJUDICATION_MODES.join(', ')}` } };
+  }
+  return { adjudication: mode };
+}
+
+function text(value) {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'string' ? value.trim() : JSON.stringify(value);
+}
+
+function pick(obj, fields) {
+  const out = {};
+  for (const f of fields) if (obj && obj[f] !== undefined) out[f] = obj[f];
+  return out;
+}
+
+// ---------------------- SOP Findings ----------------------
+/**
+ * Consensus items for the SOP review, from the Reviewer 2 verdicts already linked to each
+ * finding (findings.applySecondaryReview). `creator` / `reviewer` hold each side's version.
+ */
+function findingConsensus(findings) {
+  return findings.map(f => {
+    const verdict = f.review?.verdict || 'unreviewed';
+    const current = pick(f, FINDING_FIELDS);
+    const base = { item_id: f.finding_id, kind: 'finding', severity: f.severity, comment: f.review?.comment || '' };
+
+    if (verdict === 'verified') {
+      return { ...base, status: 'agreed', change: 'verified', fields_changed: [], creator: current, reviewer: current };
+    }
+    if (verdict === 'added') {
+      return { ...base, status: 'disputed', change: 'added', fields_changed: [], creator: null, reviewer: current };
+    }
+    if (verdict === 'corrected') {
+      const original = f.review.original || {};
+      const changed = Object.keys(original);
+      const creator = { ...current, ...original };
+      const material = changed.some(field => MATERIAL_FINDING_FIELDS.includes(field)
+        || similarity(original[field], current[field]) < SAME_TEXT);
+      return {
+        ...base,
+        status: material ? 'disputed' : 'agreed',
+        change: material ? 'corrected' : 'edited',
+        fields_changed: changed,
+        creator,
+        reviewer: current
+      };
+    }
+    return { ...base, status: 'unconfirmed', change: 'unreviewed', fields_changed: [], creator: current, reviewer: null };
+  });
+}
+
+// ---------------------- Working Program Procedures ----------------------
+function procedureId(p) {
+  return text(p?.procedure_id).toLowerCase().replace(/\s+/g, '');
+}
+
+/**
+ * Consensus items for the working program: each draft procedure is matched to a final one by
+ * procedure_id, then by wording. Both arrays should already be normalized (validation.autoRepair);
+ * items keep the positions (`draft_index`, `final_index`) the rulings are applied to.
+ */
+function procedureConsensus(draftProcedures, finalProcedures) {
+  const drafts = (draftProcedures || []).filter(p => p && typeof p === 'object');
+  const finals = finalProcedures || [];
+  const matched = new Map();
+  const used = new Set();
+
+  drafts.forEach((d, di) => {
+    // Same ID but a wholly different test means the reviewer renumbered; match by wording instead
+    const fi = finals.findIndex((f, i) => !used.has(i) && procedureId(f) && procedureId(f) === procedureId(d)
+      && similarity(f.procedure_text, d.procedure_text) >= 0.25);
+    if (fi !== -1) {
+      matched.set(di, fi);
+      used.add(fi);
+    }
+  });
+  drafts.forEach((d, di) => {
+    if (matched.has(di)) return;
+    let best = null;
+    finals.forEach((f, fi) => {
+      if (used.has(fi) || !f || typeof f !== 'object') return;
+      const score = similarity(f.procedure_text, d.procedure_text);
+      if (score >= 0.5 && (!best || score > best.score)) best = { fi, score };
+    });
+    if (best) {
+      matched.set(di, best.fi);
+      used.add(best.fi);
+    }
+  });
+
+  const items = [];
+  drafts.forEach((d, di) => {
+    const creator = pick(d, ['procedure_id', ...PROCEDURE_FIELDS]);
+    if (!matched.has(di)) {
+      // A final procedure may reuse the ID for a different test; item IDs must stay unique
+      const id = d.procedure_id || `draft-${di + 1}`;
+      const reused = finals.some(f => procedureId(f) && procedureId(f) === procedureId(d));
+      items.push({ item_id: reused ? `${id} (draft)` : id, kind: 'procedure', status: 'disputed', change: 'removed', fields_changed: [], creator, reviewer: null, draft_index: di, final_index: null });
+      return;
+    }
+    const fi = matched.get(di);
+    const f = finals[fi];
+    const changed = PROCEDURE_FIELDS.filter(field => text(d[field]) !== text(f[field]));
+    const rewritten = similarity(d.procedure_text, f.procedure_text) < SAME_TEXT
+      || (text(d.expected_evidence) && similarity(d.expected_evidence, f.expected_evidence) < SAME_EVIDENCE);
+    items.push({
+      item_id: f.procedure_id || d.procedure_id,
+      kind: 'procedure',
+      status: rewritten ? 'disputed' : 'agreed',
+      change: rewritten ? 'rewritten' : changed.length ? 'edited' : 'unchanged',
+      fields_changed: changed,
+      creator,
+      reviewer: pick(f, ['procedure_id', ...PROCEDURE_FIELDS]),
+      draft_index: di,
+      final_index: fi
+    });
+  });
+  finals.forEach((f, fi) => {
+    if (used.has(fi) || !f || typeof f !== 'object') return;
+    items.push({ item_id: f.procedure_id || `final-${fi + 1}`, kind: 'procedure', status: 'disputed', change: 'added', fields_changed: [], creator: null, reviewer: pick(f, ['procedure_id', ...PROCEDURE_FIELDS]), draft_index: null, final_index: fi });
+  });
+  return items;
+}
+
+// ---------------------- Adjudication ----------------------
+// How the prompt names the items and the two models' versions of them
+const SUBJECTS = {
+  finding: {
+    subject: 'SOP review findings',
+    creator: 'REVIEWER 1 (primary review)',
+    reviewer: 'REVIEWER 2 (secondary QA review)',
+    merged: 'title, severity (critical|high|medium|low), category, clause, quote, standard, recommendation'
+  },
+  procedure: {
+    subject: 'audit working program procedures',
+    creator: 'CREATOR (draft)',
+    reviewer: 'REVIEWER (final edit)',
+    merged: 'section, subsection, procedure_text, assertion_or_control_ref, risk_addressed, expected_evidence, notes_for_auditor'
+  }
+};
+
+// The disputed items sent to the adjudicator (the rest stay unresolved and need a human)
+function disputedItems(items) {
+  return items.filter(i => i.status === 'disputed').slice(0, MAX_ADJUDICATION_ITEMS);
+}
+
+/**
+ * Prompt for the adjudication pass over `items` (from disputedItems). `context` is the
+ * document excerpt (or change set) both models worked from; `prompts` are the run's.
+ */
+function buildAdjudicationPrompt(prompts, kind, items, context = '') {
+  const labels = SUBJECTS[kind];
+  const template = stagePrompts(prompts, 'adjudicator');
+  const payload = items.map(i => ({
+    item_id: i.item_id,
+    change: i.change,
+    creator_version: i.creator,
+    reviewer_version: i.reviewer,
+    ...(i.comment ? { reviewer_comment: i.comment } : {})
+  }));
+
+  return {
+    system: renderPrompt(template, 'system'),
+    user: renderPrompt(template, 'user', {
+      subject: labels.subject,
+      creator_label: labels.creator,
+      reviewer_label: labels.reviewer,
+      merged_fields: labels.merged,
+      context: String(context).substring(0, 20000),
+      items: JSON.stringify(payload)
+    })
+  };
+}
+
+function normalizeRuling(value) {
+  const v = text(value).toLowerCase();
+  if (/merg|combin|both/.test(v)) return 'merged';
+  if (/creator|draft|reviewer[\s_-]*1|first|original|restore/.test(v)) return 'creator';
+  if (/reviewer|reviewer[\s_-]*2|second|final|revised|keep/.test(v)) return 'reviewer';
+  return null;
+}
+
+function normalizeConfidence(value) {
+  const v = text(value).toLowerCase();
+  return ['high', 'medium', 'low'].includes(v) ? v : 'medium';
+}
+
+/**
+ * Attach the adjudicator's rulings to the items they name (item.adjudication).
+ * Returns false when the response had no parsable array.
+ */
+function applyRulingsToItems(items, responseText) {
+  const parsed = safeParseJson(responseText);
+  const rulings = Array.isArray(parsed) ? parsed : Array.isArray(parsed?.rulings) ? parsed.rulings : null;
+  if (!rulings) return false;
+  const byId = new Map(items.map(i => [String(i.item_id), i]));
+  for (const r of rulings) {
+    const item = byId.get(text(r?.item_id));
+    const ruling = normalizeRuling(r?.ruling);
+    if (!item || item.status !== 'disputed' || !ruling) continue;
+    item.adjudication = {
+      ruling,
+      confidence: normalizeConfidence(r.confidence),
+      rationale: text(r.rationale),
+      ...(ruling === 'merged' && r.merged && typeof r.merged === 'object' ? { merged: r.merged } : {})
+    };
+    // A merge without the merged item cannot be applied
+    if (ruling === 'merged' && !item.adjudication.merged) item.adjudication.ruling = 'reviewer';
+  }
+  return true;
+}
+
+/**
+ * Apply the rulings on procedures to the final working program (in place). `normalized` is
+ * validation.autoRepair(output).output, positionally aligned with output; `draft` is the
+ * normalized creator draft. Restored procedures bring their draft finding templates along.
+ */
+function applyProcedureRulings(output, normalized, draft, items) {
+  if (!items.some(i => i.adjudication && i.adjudication.ruling !== 'reviewer')) return output;
+  // Rows the reviewer returned in another shape (an object of rows) are taken as normalized
+  const procedures = Array.isArray(output.procedures) ? output.procedures : [...normalized.procedures];
+  const templates = Array.isArray(output.finding_templates) ? output.finding_templates : [...normalized.finding_templates];
+  const finalIds = new Set((normalized.procedures || []).map(p => p?.procedure_id));
+  const drop = new Set();
+  const dropTemplatesFor = new Set();
+
+  for (const item of items) {
+    const a = item.adjudication;
+    if (!a || a.ruling === 'reviewer') continue;
+    const draftRow = item.draft_index !== null ? draft.procedures[item.draft_index] : null;
+    const finalRow = item.final_index !== null ? normalized.procedures[item.final_index] : null;
+
+    if (item.change === 'added') {
+      if (a.ruling === 'creator') {
+        drop.add(item.final_index);
+        dropTemplatesFor.add(finalRow.procedure_id);
+      } else {
+        procedures[item.final_index] = { ...finalRow, ...pick(a.merged, PROCEDURE_FIELDS), procedure_id: finalRow.procedure_id };
+      }
+    } else if (item.change === 'removed') {
+      let id = draftRow.procedure_id;
+      while (finalIds.has(id)) id = `${id}-R`;
+      finalIds.add(id);
+      procedures.push({ ...draftRow, ...(a.ruling === 'merged' ? pick(a.merged, PROCEDURE_FIELDS) : {}), procedure_id: id });
+      for (const t of draft.finding_templates || []) {
+        if (t && t.procedure_id === draftRow.procedure_id) templates.push({ ...t, procedure_id: id });
+      }
+    } else {
+      const replacement = a.ruling === 'creator' ? pick(draftRow, PROCEDURE_FIELDS) : pick(a.merged, PROCEDURE_FIELDS);
+      procedures[item.final_index] = { ...finalRow, ...replacement, procedure_id: finalRow.procedure_id };
+    }
+  }
+
+  if (drop.size) {
+    const normalizedTemplates = normalized.finding_templates || [];
+    output.procedures = procedures.filter((_, i) => !drop.has(i));
+    output.finding_templates = templates.filter((t, i) => !dropTemplatesFor.has((normalizedTemplates[i] || t)?.procedure_id));
+  } else {
+    output.procedures = procedures;
+    output.finding_templates = templates;
+  }
+  return output;
+}
+
+/**
+ * The adjudication stage of a pipeline run: one call to the adjudicator role over the disputed
+ * items, whose rulings are attached to `items`. The response is kept in the checkpoint so a
+ * resumed job does not pay for it twice; a failed call is degraded like any other stage.
+ * Returns the `adjudication` block of the consensus report.
+ */
+async function runAdjudication(kind, items, context, { mode, spec, prompts, checkpoint, onEvent, degrade }) {
+  const disputed = disputedItems(items);
+  // Jobs submitted before the adjudicator role existed have no model for it
+  const skipped = mode === 'off' ? 'off' : !disputed.length ? 'not_needed' : !spec ? 'unavailable' : null;
+  if (skipped) {
+    await onEvent({ type: 'stage_done', stage: 'adjudicator', skipped });
+    return { status: skipped, model: null };
+  }
+
+  await onEvent({ type: 'stage_started', stage: 'adjudicator' });
+  if (checkpoint.adjudicator_raw === undefined) {
+    const prompt = buildAdjudicationPrompt(prompts, kind, disputed, context);
+    try {
+      checkpoint.adjudicator_raw = await complete(spec, prompt.system, prompt.user, { stage: 'adjudicator', index: 1 });
+    } catch (err) {
+      await degrade('adjudicator', 1, err);
+      checkpoint.adjudicator_raw = null;
+    }
+  }
+  await onEvent({ type: 'stage_done', stage: 'adjudicator' });
+
+  if (checkpoint.adjudicator_raw === null) return { status: 'failed', model: describe(spec) };
+  const parsed = applyRulingsToItems(items, checkpoint.adjudicator_raw);
+  console.log('Adjudication:', parsed ? items.filter(i => i.adjudication).length : 'unparsed', 'of', disputed.length);
+  return { status: parsed ? 'done' : 'unparsed', model: describe(spec) };
+}
+
+// ---------------------- Report ----------------------
+/**
+ * The consensus report: agreement score, counts, items and the ones that need a human.
+ * `adjudication` describes the pass: { status: done | not_needed | off | failed | unparsed, model }.
+ */
+function summarizeConsensus(items, adjudication) {
+  const count = (status) => items.filter(i => i.status === status).length;
+  const agreed = count('agreed');
+  const disputed = count('disputed');
+  const unconfirmed = count('unconfirmed');
+  const resolved = items.filter(i => i.adjudication).length;
+
+  const needsAttention = [];
+  for (const i of items) {
+    if (i.status === 'disputed' && !i.adjudication) {
+      needsAttention.push({ item_id: i.item_id, reason: 'disputed and not adjudicated' });
+    } else if (i.adjudication?.confidence === 'low') {
+      needsAttention.push({ item_id: i.item_id, reason: 'adjudicated with low confidence' });
+    } else if (i.adjudication?.ruling === 'merged') {
+      needsAttention.push({ item_id: i.item_id, reason: 'adjudicator merged both versions' });
+    } else if (i.status === 'unconfirmed' && ['critical', 'high'].includes(i.severity)) {
+      needsAttention.push({ item_id: i.item_id, reason: `${i.severity} severity finding not assessed by the second reviewer` });
+    }
+  }
+
+  return {
+    agreement_score: items.length ? Math.round(((agreed + unconfirmed / 2) / items.length) * 100) / 100 : null,
+    summary: { items: items.length, agreed, disputed, unconfirmed, adjudicated: resolved, unresolved: disputed - resolved },
+    adjudication,
+    items: items.map(({ draft_index, final_index, ...rest }) => rest),
+    needs_attention: needsAttention
+  };
+}
+
+function versionText(version) {
+  if (!version) return '<em>(none)</em>';
+  const body = version.procedure_text !== undefined
+    ? version.procedure_text
+    : `[${version.severity}] ${version.title}${version.recommendation ? ` - ${version.recommendation}` : ''}`;
+  return escapeHtml(text(body).slice(0, 400));
+}
+
+const RULING_LABELS = { creator: 'Creator version', reviewer: 'Reviewer version', merged: 'Merged' };
+
+function renderConsensusHtml(consensus, { creator = 'Creator', reviewer = 'Reviewer' } = {}) {
+  const s = consensus.summary;
+  const score = consensus.agreement_score === null ? 'n/a' : `${Math.round(consensus.agreement_score * 100)}%`;
+  const rows = consensus.items.filter(i => i.status === 'disputed').map(i => {
+    const a = i.adjudication;
+    const ruling = a
+      ? `${RULING_LABELS[a.ruling]} (${escapeHtml(a.confidence)})${a.rationale ? `<br><small>${escapeHtml(a.rationale)}</small>` : ''}`
+      : '<strong style="color:#b00020">Unresolved</strong>';
+    return `<tr><td>${escapeHtml(i.item_id)}</td><td>${escapeHtml(i.change)}</td><td>${versionText(i.creator)}</td><td>${versionText(i.reviewer)}</td><td>${ruling}</td></tr>`;
+  }).join('\n');
+  const attention = consensus.needs_attention.length
+    ? `\n<p><strong>Needs human attention:</strong></p>\n<ul>${consensus.needs_attention.map(n => `<li>${escapeHtml(n.item_id)}: ${escapeHtml(n.reason)}</li>`).join('')}</ul>`
+    : '';
+
+  return `
+<h2>Reviewer Consensus</h2>
+<p>Agreement score: <strong>${score}</strong> &mdash; ${s.agreed} agreed, ${s.disputed} disputed (${s.adjudicated} adjudicated), ${s.unconfirmed} unconfirmed.</p>${rows ? `
+<table style="width:100%;border-collapse:collapse" border="1" cellpadding="6">
+<thead><tr><th>Item</th><th>Change</th><th>${escapeHtml(creator)}</th><th>${escapeHtml(reviewer)}</th><th>Adjudication</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>` : ''}${attention}
+`;
+}
+
+module.exports = {
+  parseAdjudication,
+  findingConsensus,
+  procedureConsensus,
+  disputedItems,
+  buildAdjudicationPrompt,
+  applyRulingsToItems,
+  runAdjudication,
+  applyProcedureRulings,
+  summarizeConsensus,
+  renderConsensusHtml
+};
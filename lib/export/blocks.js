@@ -0,0 +1,180 @@
+// export/blocks.js
+// Converts report HTML into a small block model that every export renderer shares:
+//   { type: 'heading', level, text }
+//   { type: 'paragraph', runs: [{ text, bold, italic }] }
+//   { type: 'list', items: [{ runs, level, ordered }] }
+//   { type: 'table', rows: [[{ text, header }]] }
+
+const { Parser } = require('htmlparser2');
+
+const BLOCK_TAGS = new Set(['p', 'div', 'section', 'article', 'header', 'footer', 'blockquote', 'pre', 'main']);
+const SKIP_TAGS = new Set(['head', 'title', 'script', 'style', 'noscript', 'template']);
+
+function pushRun(runs, text, fmt) {
+  if (!text) return;
+  const last = runs[runs.length - 1];
+  if (last && last.bold === fmt.bold && last.italic === fmt.italic) {
+    last.text += text;
+  } else {
+    runs.push({ text, bold: fmt.bold, italic: fmt.italic });
+  }
+}
+
+function trimRuns(runs) {
+  const out = runs.filter(r => r.text);
+  if (out.length) {
+    out[0].text = out[0].text.replace(/^[ \t]+/, '');
+    out[out.length - 1].text = out[out.length - 1].text.replace(/[ \t]+$/, '');
+  }
+  return out.filter(r => r.text);
+}
+
+function htmlToBlocks(html) {
+  const blocks = [];
+  const fmt = { bold: false, italic: false };
+  let boldDepth = 0;
+  let italicDepth = 0;
+  let skipDepth = 0;
+
+  let para = null;
+  let heading = null;
+  let list = null;
+  const listKinds = [];
+  let item = null;
+  let table = null;
+  let row = null;
+  let cell = null;
+
+  const flushPara = () => {
+    if (para) {
+      const runs = trimRuns(para);
+      if (runs.length) blocks.push({ type: 'paragraph', runs });
+    }
+    para = null;
+  };
+
+  const parser = new Parser({
+    onopentag(name) {
+      if (SKIP_TAGS.has(name)) { skipDepth++; return; }
+      if (skipDepth) return;
+
+      if (cell) {
+        if (name === 'br' || name === 'p' || name === 'li') cell.text += cell.text ? '\n' : '';
+        return;
+      }
+
+      if (/^h[1-6]$/.test(name)) {
+        flushPara();
+        heading = { level: Number(name[1]), text: '' };
+      } else if (name === 'strong' || name === 'b') {
+        fmt.bold = ++boldDepth > 0;
+      } else if (name === 'em' || name === 'i') {
+        fmt.italic = ++italicDepth > 0;
+      } else if (name === 'br') {
+        if (item) pushRun(item.runs, '\n', fmt);
+        else if (para) pushRun(para, '\n', fmt);
+      } else if (name === 'ul' || name === 'ol') {
+        flushPara();
+        if (!list) list = { type: 'list', items: [] };
+        listKinds.push(name === 'ol');
+      } else if (name === 'li' && list) {
+        item = { runs: [], level: listKinds.length - 1, ordered: listKinds[listKinds.length - 1] };
+        list.items.push(item);
+      } else if (name === 'table') {
+        flushPara();
+        table = { type: 'table', rows: [] };
+      } else if (name === 'tr' && table) {
+        row = [];
+      } else if ((name === 'td' || name === 'th') && row) {
+        cell = { text: '', header: name === 'th' };
+      } else if (BLOCK_TAGS.has(name)) {
+        flushPara();
+      }
+    },
+
+    ontext(raw) {
+      if (skipDepth) return;
+      const text = raw.replace(/\s+/g, ' ');
+      if (cell) { cell.text += text; return; }
+      if (heading) { heading.text += text; return; }
+      if (item) { pushRun(item.runs, text, fmt); return; }
+      if (!text.trim() && !para) return;
+      if (!para) para = [];
+      pushRun(para, text, fmt);
+    },
+
+    onclosetag(name) {
+      if (SKIP_TAGS.has(name)) { skipDepth = Math.max(0, skipDepth - 1); return; }
+      if (skipDepth) return;
+
+      if ((name === 'td' || name === 'th') && cell) {
+        cell.text = cell.text.replace(/[ \t]+/g, ' ').replace(/ *\n */g, '\n').trim();
+        row.push(cell);
+        cell = null;
+        return;
+      }
+      if (cell) return;
+
+      if (/^h[1-6]$/.test(name) && heading) {
+        const text = heading.text.trim();
+        if (text) blocks.push({ type: 'heading', level: heading.level, text });
+        heading = null;
+      } else if (name === 'strong' || name === 'b') {
+        fmt.bold = --boldDepth > 0;
+      } else if (name === 'em' || name === 'i') {
+        fmt.italic = --italicDepth > 0;
+      } else if (name === 'li' && item) {
+        item.runs = trimRuns(item.runs);
+        item = null;
+      } else if ((name === 'ul' || name === 'ol') && list) {
+        listKinds.pop();
+        if (!listKinds.length) {
+          const items = list.items.filter(i => i.runs.length);
+          if (items.length) blocks.push({ type: 'list', items });
+          list = null;
+        }
+      } else if (name === 'tr' && row) {
+        if (row.length) table.rows.push(row);
+        row = null;
+      } else if (name === 'table' && table) {
+        if (table.rows.length) blocks.push(padTable(table));
+        table = null;
+      } else if (BLOCK_TAGS.has(name)) {
+        flushPara();
+      }
+    }
+  }, { decodeEntities: true, lowerCaseTags: true });
+
+  parser.write(String(html || ''));
+  parser.end();
+  flushPara();
+  return blocks;
+}
+
+// Word and PDF renderers need rectangular tables
+function padTable(table) {
+  const cols = Math.max(...table.rows.map(r => r.length));
+  table.rows = table.rows.map(r => [...r, ...Array.from({ length: cols - r.length }, () => ({ text: '', header: false }))]);
+  return table;
+}
+
+// Build a table block from plain row arrays; the first row is the header
+function tableBlock(header, rows) {
+  return padTable({
+    type: 'table',
+    rows: [
+      header.map(text => ({ text: String(text), header: true })),
+      ...rows.map(r => r.map(text => ({ text: text === null || text === undefined ? '' : String(text), header: false })))
+    ]
+  });
+}
+
+function runsText(runs) {
+  return runs.map(r => r.text).join('');
+}
+
+module.exports = {
+  htmlToBlocks,
+  tableBlock,
+  runsText
+};
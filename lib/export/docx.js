@@ -0,0 +1,127 @@
+// export/docx.js
+// Word renderer for the shared block model. Tables become real Word tables with a
+// repeating header row; every page carries the document title and generation timestamp.
+
+const {
+  AlignmentType,
+  Document,
+  Footer,
+  Header,
+  HeadingLevel,
+  LevelFormat,
+  Packer,
+  PageNumber,
+  PageOrientation,
+  Paragraph,
+  ShadingType,
+  Table,
+  TableCell,
+  TableRow,
+  TextRun,
+  WidthType
+} = require('docx');
+
+const HEADINGS = [HeadingLevel.HEADING_1, HeadingLevel.HEADING_2, HeadingLevel.HEADING_3, HeadingLevel.HEADING_4, HeadingLevel.HEADING_5, HeadingLevel.HEADING_6];
+
+function textRuns(runs, extra = {}) {
+  const out = [];
+  for (const r of runs) {
+    r.text.split('\n').forEach((line, i) => {
+      out.push(new TextRun({ text: line, bold: r.bold || extra.bold, italics: r.italic, break: i > 0 ? 1 : 0, size: extra.size }));
+    });
+  }
+  return out;
+}
+
+function renderTable(block) {
+  return new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    rows: block.rows.map((row, i) => new TableRow({
+      tableHeader: i === 0 && row.some(c => c.header),
+      children: row.map(cell => new TableCell({
+        shading: cell.header ? { type: ShadingType.CLEAR, fill: 'D9E2F3', color: 'auto' } : undefined,
+        margins: { top: 60, bottom: 60, left: 80, right: 80 },
+        children: cell.text.split('\n').map(line => new Paragraph({
+          children: [new TextRun({ text: line, bold: cell.header, size: 18 })]
+        }))
+      }))
+    }))
+  });
+}
+
+async function renderDocx(doc) {
+  const children = [
+    new Paragraph({ heading: HeadingLevel.TITLE, children: [new TextRun(doc.title)] })
+  ];
+  let listInstance = 0;
+
+  for (const block of doc.blocks) {
+    if (block.type === 'heading') {
+      children.push(new Paragraph({ heading: HEADINGS[Math.min(5, block.level - 1)], children: [new TextRun(block.text)] }));
+    } else if (block.type === 'paragraph') {
+      children.push(new Paragraph({ children: textRuns(block.runs), spacing: { after: 120 } }));
+    } else if (block.type === 'list') {
+      listInstance++;
+      for (const item of block.items) {
+        const level = Math.min(item.level, 3);
+        children.push(new Paragraph({
+          children: textRuns(item.runs),
+          ...(item.ordered
+            ? { numbering: { reference: 'ordered-list', level, instance: listInstance } }
+            : { bullet: { level } })
+        }));
+      }
+    } else if (block.type === 'table') {
+      children.push(renderTable(block));
+      children.push(new Paragraph({ children: [] }));
+    }
+  }
+
+  // Wide tables (the procedures table has 8 columns) read better in landscape
+  const wide = doc.blocks.some(b => b.type === 'table' && b.rows[0].length >= 6);
+
+  const document = new Document({
+    title: doc.title,
+    creator: 'vd-orchestrator',
+    numbering: {
+      config: [{
+        reference: 'ordered-list',
+        levels: [0, 1, 2, 3].map(level => ({
+          level,
+          format: LevelFormat.DECIMAL,
+          text: `%${level + 1}.`,
+          alignment: AlignmentType.START,
+          style: { paragraph: { indent: { left: 720 * (level + 1), hanging: 360 } } }
+        }))
+      }]
+    },
+    sections: [{
+      properties: wide ? { page: { size: { orientation: PageOrientation.LANDSCAPE } } } : {},
+      headers: {
+        default: new Header({
+          children: [new Paragraph({ alignment: AlignmentType.RIGHT, children: [new TextRun({ text: doc.title, size: 16, color: '666666' })] })]
+        })
+      },
+      footers: {
+        default: new Footer({
+          children: [new Paragraph({
+            alignment: AlignmentType.CENTER,
+            children: [
+              new TextRun({ text: `${doc.footer}  |  Page `, size: 16, color: '666666' }),
+              new TextRun({ children: [PageNumber.CURRENT], size: 16, color: '666666' }),
+              new TextRun({ text: ' of ', size: 16, color: '666666' }),
+              new TextRun({ children: [PageNumber.TOTAL_PAGES], size: 16, color: '666666' })
+            ]
+          })]
+        })
+      },
+      children
+    }]
+  });
+
+  return Packer.toBuffer(document);
+}
+
+module.exports = {
+  renderDocx
+};
@@ -0,0 +1,217 @@
+// export/index.js
+// Downloadable exports of pipeline results: output_format = html | docx | pdf | markdown | xlsx | csv.
+// "html" keeps the regular JSON response; docx/pdf/markdown render the final working
+// program, dual review report or audit finding through the shared block model, while xlsx/csv export
+// the working program's procedures (and 5C finding templates) as spreadsheets.
+
+const { htmlToBlocks, tableBlock } = require('./blocks');
+const { renderDocx } = require('./docx');
+const { renderPdf } = require('./pdf');
+const { renderMarkdown } = require('./markdown');
+const { renderWorkbook, renderCsv } = require('./spreadsheet');
+
+const FORMATS = {
+  docx: {
+    render: renderDocx,
+    content_type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    extension: 'docx'
+  },
+  pdf: {
+    render: renderPdf,
+    content_type: 'application/pdf',
+    extension: 'pdf'
+  },
+  markdown: {
+    render: renderMarkdown,
+    content_type: 'text/markdown; charset=utf-8',
+    extension: 'md'
+  },
+  // Spreadsheet formats render the result rows directly and only exist for the working program
+  xlsx: {
+    renderResult: renderWorkbook,
+    pipelines: ['orchestrator'],
+    content_type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx'
+  },
+  csv: {
+    renderResult: renderCsv,
+    pipelines: ['orchestrator'],
+    content_type: 'text/csv; charset=utf-8',
+    extension: 'csv'
+  }
+};
+
+const EXPORT_FORMATS = ['html', ...Object.keys(FORMATS)];
+
+const PROCEDURE_COLUMNS = [
+  ['procedure_id', 'ID'],
+  ['section', 'Section'],
+  ['subsection', 'Subsection'],
+  ['procedure_text', 'Procedure'],
+  ['assertion_or_control_ref', 'Assertion / Control Ref'],
+  ['risk_addressed', 'Risk Addressed'],
+  ['expected_evidence', 'Expected Evidence'],
+  ['notes_for_auditor', 'Notes for Auditor']
+];
+
+function normalizeFormat(value) {
+  const format = String(value || 'html').toLowerCase();
+  if (format === 'md') return 'markdown';
+  if (format === 'word') return 'docx';
+  if (format === 'excel') return 'xlsx';
+  return format;
+}
+
+function isExportFormat(value, pipelineName) {
+  const format = normalizeFormat(value);
+  if (format === 'html') return true;
+  const spec = FORMATS[format];
+  return Boolean(spec) && (!pipelineName || !spec.pipelines || spec.pipelines.includes(pipelineName));
+}
+
+function exportFormats(pipelineName) {
+  return EXPORT_FORMATS.filter(f => isExportFormat(f, pipelineName));
+}
+
+// ---------------------- Documents ----------------------
+function stripEmoji(text) {
+  return String(text || '').replace(/[\u{1F000}-\u{1FAFF}\u{2600}-\u{27BF}\u{FE0F}]/gu, '').trim();
+}
+
+function takeTitle(blocks, fallback) {
+  const idx = blocks.findIndex(b => b.type === 'heading' && b.level === 1);
+  if (idx === -1) return fallback;
+  const [h1] = blocks.splice(idx, 1);
+  return stripEmoji(h1.text) || fallback;
+}
+
+function workingProgramDocument(result) {
+  const blocks = htmlToBlocks(result.html_output);
+  const title = takeTitle(blocks, 'Internal Audit Working Program');
+  const procedures = Array.isArray(result.procedures_for_arg) ? result.procedures_for_arg : [];
+
+  // The HTML normally carries the procedures table; fall back to the JSON rows
+  if (procedures.length && !blocks.some(b => b.type === 'table')) {
+    blocks.push({ type: 'heading', level: 2, text: 'Audit Procedures' });
+    blocks.push(tableBlock(
+      PROCEDURE_COLUMNS.map(([, label]) => label),
+      procedures.map(p => PROCEDURE_COLUMNS.map(([key]) => p[key]))
+    ));
+  }
+  return { title, blocks };
+}
+
+function sopReportDocument(result) {
+  const blocks = htmlToBlocks(result.ai_output);
+  for (const b of blocks) {
+    if (b.type === 'heading') b.text = stripEmoji(b.text);
+  }
+  const title = takeTitle(blocks, 'SOP Dual Review Report');
+
+  const findings = Array.isArray(result.findings) ? result.findings : [];
+  if (findings.length) {
+    blocks.push({ type: 'heading', level: 2, text: 'Findings Register' });
+    blocks.push(tableBlock(
+      ['ID', 'Severity', 'Category', 'Clause', 'Finding', 'Standard', 'Recommendation', 'Reviewer 2', 'Evidence'],
+      findings.map(f => [f.finding_id, f.severity, f.category, f.clause, f.title, f.standard || '', f.recommendation, f.review?.verdict || '', f.grounding?.status || ''])
+    ));
+  }
+
+  // Compare mode: what changed between the versions and which findings cite each change
+  const changes = Array.isArray(result.redline?.changes) ? result.redline.changes : [];
+  if (changes.length) {
+    blocks.push({ type: 'heading', level: 2, text: 'Changes Reviewed' });
+    blocks.push(tableBlock(
+      ['Change', 'Type', 'Section', 'Previous', 'Revised', 'Findings'],
+      changes.map(c => [c.change_id, c.type, c.section, c.previous, c.revised,
+        findings.filter(f => f.change_id === c.change_id).map(f => f.finding_id).join(', ')])
+    ));
+  }
+  return { title, blocks };
+}
+
+function findingDocument(result) {
+  const blocks = htmlToBlocks(result.html_output);
+  return { title: takeTitle(blocks, 'Audit Finding'), blocks };
+}
+
+const DOCUMENT_BUILDERS = {
+  orchestrator: workingProgramDocument,
+  'sop-reviewer': sopReportDocument,
+  'finding-drafter': findingDocument
+};
+
+// ---------------------- Rendering ----------------------
+function slug(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'export';
+}
+
+/**
+ * Render a pipeline result to a file.
+ * Returns { filename, content_type, buffer }.
+ */
+async function renderExport(pipelineName, result, format) {
+  const spec = FORMATS[normalizeFormat(format)];
+  const build = DOCUMENT_BUILDERS[pipelineName];
+  if (!spec || !build || !isExportFormat(format, pipelineName)) {
+    throw new Error(`Cannot export ${pipelineName} as ${format}`);
+  }
+
+  const generatedAt = result.timestamp || new Date().toISOString();
+  const doc = build(result);
+  doc.generated_at = generatedAt;
+  doc.footer = `Generated ${generatedAt}`;
+
+  const buffer = spec.renderResult ? await spec.renderResult(result) : await spec.render(doc);
+  return {
+    filename: `${slug(doc.title)}-${generatedAt.slice(0, 10)}.${spec.extension}`,
+    content_type: spec.content_type,
+    buffer
+  };
+}
+
+function embedFile(result, format, file) {
+  return {
+    ...result,
+    export: {
+      format,
+      filename: file.filename,
+      content_type: file.content_type,
+      base64: file.buffer.toString('base64')
+    }
+  };
+}
+
+// The JSON payload, with the rendered file embedded as base64 for file formats
+async function exportPayload(pipelineName, result, format) {
+  const fmt = normalizeFormat(format);
+  if (fmt === 'html') return result;
+  return embedFile(result, fmt, await renderExport(pipelineName, result, fmt));
+}
+
+/**
+ * Send a pipeline result in the requested format. `delivery: "json"` embeds the
+ * file as base64 in the usual JSON payload instead of answering with the file.
+ */
+async function sendResult(res, pipelineName, result, { format, delivery } = {}) {
+  const fmt = normalizeFormat(format);
+  if (fmt === 'html') return res.status(200).json(result);
+
+  const file = await renderExport(pipelineName, result, fmt);
+  if (delivery === 'json') return res.status(200).json(embedFile(result, fmt, file));
+
+  res.setHeader('Content-Type', file.content_type);
+  res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+  const exposed = res.getHeader?.('Access-Control-Expose-Headers');
+  res.setHeader('Access-Control-Expose-Headers', exposed ? `${exposed}, Content-Disposition` : 'Content-Disposition');
+  return res.status(200).send(file.buffer);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportFormats,
+  isExportFormat,
+  renderExport,
+  exportPayload,
+  sendResult
+};
@@ -0,0 +1,51 @@
+// export/markdown.js
+// Markdown renderer for the shared block model.
+
+function inline(runs) {
+  return runs.map(r => {
+    const text = r.text.replace(/([*_`\\])/g, '\\$1').replace(/\n/g, '  \n');
+    if (!text.trim()) return text;
+    if (r.bold && r.italic) return `***${text}***`;
+    if (r.bold) return `**${text}**`;
+    if (r.italic) return `*${text}*`;
+    return text;
+  }).join('');
+}
+
+function cell(text) {
+  return text.replace(/\|/g, '\\|').replace(/\n/g, '<br>');
+}
+
+function renderMarkdown(doc) {
+  const out = [`# ${doc.title}`, '', `_Generated: ${doc.generated_at}_`, ''];
+
+  for (const block of doc.blocks) {
+    if (block.type === 'heading') {
+      out.push(`${'#'.repeat(Math.min(6, block.level + 1))} ${block.text}`, '');
+    } else if (block.type === 'paragraph') {
+      out.push(inline(block.runs), '');
+    } else if (block.type === 'list') {
+      const counters = [];
+      for (const item of block.items) {
+        counters[item.level] = (counters[item.level] || 0) + 1;
+        counters.length = item.level + 1;
+        const marker = item.ordered ? `${counters[item.level]}.` : '-';
+        out.push(`${'   '.repeat(item.level)}${marker} ${inline(item.runs)}`);
+      }
+      out.push('');
+    } else if (block.type === 'table') {
+      const [header, ...rows] = block.rows;
+      out.push(`| ${header.map(c => cell(c.text)).join(' | ')} |`);
+      out.push(`|${header.map(() => ' --- ').join('|')}|`);
+      for (const row of rows) out.push(`| ${row.map(c => cell(c.text)).join(' | ')} |`);
+      out.push('');
+    }
+  }
+
+  out.push('---', `_${doc.footer}_`, '');
+  return Buffer.from(out.join('\n'), 'utf8');
+}
+
+module.exports = {
+  renderMarkdown
+};
@@ -0,0 +1,158 @@
+// export/pdf.js
+// PDF renderer for the shared block model (pdfkit, standard fonts, no browser).
+// Tables are drawn cell by cell and repeat their header row after a page break;
+// every page carries the document title and generation timestamp.
+
+const PDFDocument = require('pdfkit');
+
+const FONTS = {
+  regular: 'Helvetica',
+  bold: 'Helvetica-Bold',
+  italic: 'Helvetica-Oblique',
+  boldItalic: 'Helvetica-BoldOblique'
+};
+const HEADING_SIZES = [18, 15, 13, 12, 11, 11];
+const BODY_SIZE = 10;
+
+// Standard PDF fonts only cover WinAnsi; drop what they cannot draw (emoji, CJK...)
+function pdfText(text) {
+  return String(text || '')
+    .replace(/[^\x09\x0A\x0D\x20-\x7E\xA0-\xFF–—‘’“”•…€]/g, '')
+    .replace(/[ \t]{2,}/g, ' ');
+}
+
+function fontFor(run) {
+  if (run.bold && run.italic) return FONTS.boldItalic;
+  if (run.bold) return FONTS.bold;
+  if (run.italic) return FONTS.italic;
+  return FONTS.regular;
+}
+
+function contentWidth(pdf) {
+  return pdf.page.width - pdf.page.margins.left - pdf.page.margins.right;
+}
+
+function writeRuns(pdf, runs, options = {}) {
+  const parts = runs.map(r => ({ ...r, text: pdfText(r.text) })).filter(r => r.text);
+  if (!parts.length) return;
+  parts.forEach((run, i) => {
+    pdf.font(fontFor(run)).fontSize(BODY_SIZE).text(run.text, {
+      ...options,
+      continued: i < parts.length - 1
+    });
+  });
+}
+
+function drawTable(pdf, block) {
+  const rows = block.rows;
+  const cols = rows[0].length;
+  const width = contentWidth(pdf);
+  const left = pdf.page.margins.left;
+  const pad = 4;
+  const size = cols >= 6 ? 7.5 : 9;
+
+  // Column widths follow content length, within sensible bounds
+  const weights = Array.from({ length: cols }, (_, c) =>
+    Math.min(60, Math.max(6, ...rows.map(r => Math.min(200, (r[c]?.text || '').length) / 3)))
+  );
+  const total = weights.reduce((a, b) => a + b, 0);
+  const colWidths = weights.map(w => (width * w) / total);
+  const hasHeader = rows[0].some(c => c.header);
+
+  const rowHeight = (row) => Math.max(...row.map((cell, c) => {
+    pdf.font(cell.header ? FONTS.bold : FONTS.regular).fontSize(size);
+    return pdf.heightOfString(pdfText(cell.text) || ' ', { width: colWidths[c] - pad * 2 });
+  })) + pad * 2;
+
+  const drawRow = (row) => {
+    const h = rowHeight(row);
+    if (pdf.y + h > pdf.page.height - pdf.page.margins.bottom) {
+      pdf.addPage();
+      if (hasHeader && row !== rows[0]) drawRow(rows[0]);
+    }
+    const y = pdf.y;
+    let x = left;
+    row.forEach((cell, c) => {
+      if (cell.header) pdf.rect(x, y, colWidths[c], h).fill('#D9E2F3');
+      pdf.rect(x, y, colWidths[c], h).lineWidth(0.5).stroke('#999999');
+      pdf.fillColor('#000000').font(cell.header ? FONTS.bold : FONTS.regular).fontSize(size)
+        .text(pdfText(cell.text), x + pad, y + pad, { width: colWidths[c] - pad * 2 });
+      x += colWidths[c];
+    });
+    pdf.x = left;
+    pdf.y = y + h;
+  };
+
+  for (const row of rows) drawRow(row);
+  pdf.moveDown(0.8);
+}
+
+function decoratePages(pdf, doc) {
+  const range = pdf.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    pdf.switchToPage(i);
+    const { top, bottom, left } = pdf.page.margins;
+    const width = contentWidth(pdf);
+    // Writing inside the margins must not trigger automatic page breaks
+    pdf.page.margins.top = 0;
+    pdf.page.margins.bottom = 0;
+    pdf.font(FONTS.regular).fontSize(8).fillColor('#666666');
+    pdf.text(pdfText(doc.title), left, top / 2, { width, align: 'right', lineBreak: false });
+    pdf.text(`${pdfText(doc.footer)}  |  Page ${i + 1} of ${range.count}`, left, pdf.page.height - bottom / 2, { width, align: 'center', lineBreak: false });
+    pdf.page.margins.top = top;
+    pdf.page.margins.bottom = bottom;
+  }
+}
+
+function renderPdf(doc) {
+  return new Promise((resolve, reject) => {
+    const wide = doc.blocks.some(b => b.type === 'table' && b.rows[0].length >= 6);
+    const pdf = new PDFDocument({
+      size: 'A4',
+      layout: wide ? 'landscape' : 'portrait',
+      margins: { top: 60, bottom: 60, left: 50, right: 50 },
+      bufferPages: true,
+      info: { Title: pdfText(doc.title), Creator: 'vd-orchestrator' }
+    });
+    const buffers = [];
+    pdf.on('data', b => buffers.push(b));
+    pdf.on('end', () => resolve(Buffer.concat(buffers)));
+    pdf.on('error', reject);
+
+    pdf.font(FONTS.bold).fontSize(20).text(pdfText(doc.title));
+    pdf.moveDown(0.5);
+
+    for (const block of doc.blocks) {
+      pdf.x = pdf.page.margins.left;
+      if (block.type === 'heading') {
+        pdf.moveDown(0.4);
+        pdf.font(FONTS.bold).fontSize(HEADING_SIZES[Math.min(5, block.level - 1)]).fillColor('#1F3864').text(pdfText(block.text));
+        pdf.fillColor('#000000').moveDown(0.3);
+      } else if (block.type === 'paragraph') {
+        writeRuns(pdf, block.runs, { align: 'left' });
+        pdf.moveDown(0.5);
+      } else if (block.type === 'list') {
+        const counters = [];
+        for (const item of block.items) {
+          counters[item.level] = (counters[item.level] || 0) + 1;
+          counters.length = item.level + 1;
+          const marker = item.ordered ? `${counters[item.level]}. ` : '• ';
+          const indent = 14 * (item.level + 1);
+          pdf.x = pdf.page.margins.left + indent;
+          writeRuns(pdf, [{ text: marker, bold: false, italic: false }, ...item.runs], { width: contentWidth(pdf) - indent });
+        }
+        pdf.x = pdf.page.margins.left;
+        pdf.moveDown(0.5);
+      } else if (block.type === 'table') {
+        drawTable(pdf, block);
+      }
+    }
+
+    decoratePages(pdf, doc);
+    pdf.end();
+  });
+}
+
+module.exports = {
+  renderPdf
+};
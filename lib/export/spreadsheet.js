@@ -0,0 +1,203 @@
+// export/spreadsheet.js
+// Spreadsheet exports of the working program for auditors who work the procedures outside the app:
+//   xlsx -> "Procedures" sheet (schema columns + blank tracking columns) and a "Finding Templates"
+//           sheet whose procedure IDs link back to the procedure row
+//           and, in RCM mode, a "Risk Control Matrix" sheet (one row per risk and control)
+//   csv  -> the procedures sheet only, for simple imports
+
+const ExcelJS = require('exceljs');
+
+const PROCEDURE_COLUMNS = [
+  { key: 'procedure_id', header: 'Procedure ID', width: 12 },
+  { key: 'section', header: 'Section', width: 22 },
+  { key: 'subsection', header: 'Subsection', width: 22 },
+  { key: 'procedure_text', header: 'Procedure', width: 60 },
+  { key: 'assertion_or_control_ref', header: 'Assertion / Control Ref', width: 22 },
+  { key: 'risk_addressed', header: 'Risk Addressed', width: 36 },
+  { key: 'expected_evidence', header: 'Expected Evidence', width: 36 },
+  { key: 'notes_for_auditor', header: 'Notes for Auditor', width: 36 }
+];
+
+// Multi-document input: where each procedure's requirement comes from
+const SOURCE_REFS_COLUMN = { key: 'source_refs', header: 'Source Refs', width: 30 };
+
+// Filled in by the audit team, so always exported blank
+const TRACKING_COLUMNS = [
+  { key: 'sample_tested', header: 'Sample Tested', width: 20 },
+  { key: 'result', header: 'Result', width: 16 },
+  { key: 'tester_sign_off', header: 'Tester Sign-off', width: 20 }
+];
+
+const TEMPLATE_COLUMNS = [
+  { key: 'procedure_id', header: 'Procedure ID', width: 12 },
+  { key: 'procedure_text', header: 'Procedure', width: 40 },
+  { key: 'condition', header: 'Condition', width: 36 },
+  { key: 'criteria', header: 'Criteria', width: 36 },
+  { key: 'cause', header: 'Cause', width: 36 },
+  { key: 'consequence', header: 'Consequence', width: 36 },
+  { key: 'corrective_action', header: 'Corrective Action', width: 36 }
+];
+
+const RCM_COLUMNS = [
+  { key: 'risk_id', header: 'Risk ID', width: 9 },
+  { key: 'risk', header: 'Risk', width: 40 },
+  { key: 'likelihood', header: 'Likelihood', width: 11 },
+  { key: 'impact', header: 'Impact', width: 11 },
+  { key: 'rating', header: 'Rating', width: 10 },
+  { key: 'control_id', header: 'Control ID', width: 10 },
+  { key: 'control', header: 'Control', width: 40 },
+  { key: 'type', header: 'Type', width: 12 },
+  { key: 'nature', header: 'Manual / Automated', width: 14 },
+  { key: 'frequency', header: 'Frequency', width: 15 },
+  { key: 'owner', header: 'Owner', width: 18 },
+  { key: 'procedure_ids', header: 'Testing Procedures', width: 18 },
+  { key: 'coverage', header: 'Coverage', width: 14 }
+];
+
+const RESULT_OPTIONS = ['Satisfactory', 'Exception', 'Not Tested', 'N/A'];
+
+function cellValue(value) {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'string' ? value : String(value);
+}
+
+function procedureColumns(procedures) {
+  const cited = procedures.some(p => Array.isArray(p.source_refs) && p.source_refs.length);
+  return cited ? [...PROCEDURE_COLUMNS, SOURCE_REFS_COLUMN] : PROCEDURE_COLUMNS;
+}
+
+function procedureCell(p, key) {
+  if (key !== 'source_refs') return cellValue(p[key]);
+  const refs = Array.isArray(p.source_refs) ? p.source_refs : [];
+  return refs.map(r => (r.section ? `${r.document} ${r.section}` : r.document)).join('; ');
+}
+
+function programRows(result) {
+  const procedures = Array.isArray(result.procedures_for_arg) ? result.procedures_for_arg : [];
+  const templates = Array.isArray(result.final_json?.finding_templates) ? result.final_json.finding_templates : [];
+  return { procedures, templates };
+}
+
+function styleHeader(sheet) {
+  const header = sheet.getRow(1);
+  header.font = { bold: true };
+  header.alignment = { vertical: 'middle', wrapText: true };
+  header.eachCell(cell => {
+    cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFD9E2F3' } };
+  });
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: sheet.columns.length } };
+}
+
+/**
+ * Build the .xlsx workbook for a working program result. Returns a Buffer.
+ */
+async function renderWorkbook(result) {
+  const { procedures, templates } = programRows(result);
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'vd-orchestrator';
+  workbook.created = result.timestamp ? new Date(result.timestamp) : new Date();
+
+  const columns = procedureColumns(procedures);
+  const procSheet = workbook.addWorksheet('Procedures');
+  procSheet.columns = [...columns, ...TRACKING_COLUMNS];
+  const rowById = new Map();
+  for (const p of procedures) {
+    const row = procSheet.addRow(Object.fromEntries(columns.map(c => [c.key, procedureCell(p, c.key)])));
+    if (p.procedure_id && !rowById.has(String(p.procedure_id))) rowById.set(String(p.procedure_id), row.number);
+  }
+  procSheet.eachRow({ includeEmpty: false }, row => { row.alignment = { vertical: 'top', wrapText: true }; });
+  styleHeader(procSheet);
+
+  // Result picklist on the procedure rows
+  const resultCol = procSheet.getColumn('result').letter;
+  for (let r = 2; r <= procedures.length + 1; r++) {
+    procSheet.getCell(`${resultCol}${r}`).dataValidation = {
+      type: 'list',
+      allowBlank: true,
+      formulae: [`"${RESULT_OPTIONS.join(',')}"`]
+    };
+  }
+
+  const textById = new Map(procedures.map(p => [String(p.procedure_id), cellValue(p.procedure_text)]));
+  const tplSheet = workbook.addWorksheet('Finding Templates');
+  tplSheet.columns = TEMPLATE_COLUMNS;
+  for (const t of templates) {
+    const id = cellValue(t.procedure_id);
+    const row = tplSheet.addRow({
+      ...Object.fromEntries(TEMPLATE_COLUMNS.map(c => [c.key, cellValue(t[c.key])])),
+      procedure_text: textById.get(id) || ''
+    });
+    // Link the template to its procedure row
+    const target = rowById.get(id);
+    if (target) {
+      row.getCell('procedure_id').value = { text: id, hyperlink: `#'Procedures'!A${target}` };
+      row.getCell('procedure_id').font = { color: { argb: 'FF0563C1' }, underline: true };
+    }
+  }
+  tplSheet.eachRow({ includeEmpty: false }, row => { row.alignment = { vertical: 'top', wrapText: true }; });
+  styleHeader(tplSheet);
+
+  if (result.rcm?.risks?.length) addRcmSheet(workbook, result.rcm);
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// RCM mode: one row per risk and mitigating control; coverage gaps are shaded
+function addRcmSheet(workbook, rcm) {
+  const sheet = workbook.addWorksheet('Risk Control Matrix');
+  sheet.columns = RCM_COLUMNS;
+  const controls = new Map(rcm.controls.map(c => [c.control_id, c]));
+  for (const r of rcm.risks) {
+    const riskCells = {
+      risk_id: r.risk_id,
+      risk: r.title,
+      likelihood: r.likelihood,
+      impact: r.impact,
+      rating: r.rating,
+      coverage: r.coverage.replace(/_/g, ' ')
+    };
+    const linked = r.control_ids.map(id => controls.get(id)).filter(Boolean);
+    for (const c of linked.length ? linked : [null]) {
+      const row = sheet.addRow(c ? {
+        ...riskCells,
+        control_id: c.control_id,
+        control: c.description,
+        type: cellValue(c.type),
+        nature: cellValue(c.nature),
+        frequency: cellValue(c.frequency).replace(/_/g, ' '),
+        owner: c.owner,
+        procedure_ids: c.procedure_ids.join(', ')
+      } : riskCells);
+      if (r.coverage_gap) {
+        row.eachCell(cell => { cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFDECEA' } }; });
+      }
+    }
+  }
+  sheet.eachRow({ includeEmpty: false }, row => { row.alignment = { vertical: 'top', wrapText: true }; });
+  styleHeader(sheet);
+}
+
+// ---------------------- CSV ----------------------
+function csvField(value) {
+  let text = cellValue(value);
+  // Keep spreadsheet apps from evaluating cell content as a formula
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Procedures as CSV (RFC 4180, CRLF, UTF-8 with BOM so Excel picks up the encoding).
+ */
+function renderCsv(result) {
+  const { procedures } = programRows(result);
+  const columns = [...procedureColumns(procedures), ...TRACKING_COLUMNS];
+  const lines = [columns.map(c => csvField(c.header)).join(',')];
+  for (const p of procedures) lines.push(columns.map(c => csvField(procedureCell(p, c.key))).join(','));
+  return Buffer.from('﻿' + lines.join('\r\n') + '\r\n', 'utf8');
+}
+
+module.exports = {
+  renderWorkbook,
+  renderCsv
+};
@@ -0,0 +1,354 @@
+// findings.js
+// Machine-readable findings for the SOP dual review.
+// Both reviewers append a JSON block after their HTML (see FINDINGS_MARKER).
+// Reviewer 1 findings are renumbered R1-001.. across chunks; Reviewer 2 answers
+// with verify/correct/add verdicts that are linked back to those IDs.
+
+const Ajv = require('ajv');
+const schema = require('./schemas/sop-finding.schema.json');
+const { safeParseJson } = require('./json');
+
+const ajv = new Ajv({ allErrors: true });
+const validateFinding = ajv.compile(schema);
+
+const FINDINGS_MARKER = '===FINDINGS_JSON===';
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+const CATEGORIES = ['regulatory', 'clarity', 'risk', 'effectiveness', 'documentation'];
+const FINDING_FIELDS = ['title', 'severity', 'category', 'clause', 'quote', 'standard', 'recommendation', 'change_id'];
+
+const SEVERITY_ALIASES = {
+  major: 'high',
+  significant: 'high',
+  moderate: 'medium',
+  minor: 'medium',
+  observation: 'low',
+  informational: 'low',
+  info: 'low'
+};
+
+const CATEGORY_PATTERNS = [
+  ['regulatory', /regulat|complian/i],
+  ['clarity', /clarit|ambigu|operational/i],
+  ['risk', /risk/i],
+  ['effectiveness', /effective|implement|process/i],
+  ['documentation', /document|record|quality of doc/i]
+];
+
+const STANDARD_PATTERNS = [
+  ['ISO 13485', /13485/],
+  ['ISO 9001', /9001/],
+  ['21 CFR Part 11', /part\s*11|21\s*cfr/i],
+  ['EU GMP', /\bgmp\b|eudralex|annex\s*11/i]
+];
+
+// ---------------------- Prompt fragments ----------------------
+const PRIMARY_FINDINGS_INSTRUCTIONS = `
+After the HTML review, output a line containing exactly ${FINDINGS_MARKER}
+followed by a JSON array with one object per finding:
+{"finding_id":"F1","title":"short statement of the issue","severity":"critical|high|medium|low","category":"regulatory|clarity|risk|effectiveness|documentation","clause":"section or clause number cited, e.g. 4.2.1","quote":"the offending text, copied verbatim from the document","standard":"ISO 9001|ISO 13485|21 CFR Part 11|EU GMP|null","recommendation":"actionable fix"}
+Output nothing after the JSON array.`;
+
+const SECONDARY_FINDINGS_INSTRUCTIONS = `
+After the HTML review, output a line containing exactly ${FINDINGS_MARKER}
+followed by a JSON array of verdicts, one object per Reviewer 1 finding you assessed and one per new finding:
+- verify:  {"verdict":"verify","ref_finding_id":"R1-001","comment":"why it is accurate"}
+- correct: {"verdict":"correct","ref_finding_id":"R1-002","comment":"what was wrong", plus only the corrected fields among title, severity, category, clause, quote, standard, recommendation}
+- add:     {"verdict":"add","comment":"why it was missed","title":"...","severity":"...","category":"...","clause":"...","quote":"...","standard":"...","recommendation":"..."}
+Use the finding IDs exactly as given. Output nothing after the JSON array.`;
+
+// ---------------------- Parsing ----------------------
+/**
+ * Split a reviewer response into its HTML part and the findings JSON array.
+ * `items` is null when no parsable array was found.
+ */
+function splitReviewerOutput(text) {
+  const raw = typeof text === 'string' ? text : '';
+  let html = raw;
+  let json = null;
+
+  const idx = raw.indexOf(FINDINGS_MARKER);
+  if (idx !== -1) {
+    html = raw.slice(0, idx);
+    json = safeParseJson(raw.slice(idx + FINDINGS_MARKER.length).trim());
+  } else {
+    // Tolerate a trailing fenced block when the marker was forgotten
+    const fence = raw.match(/```(?:json)?\s*(\[[\s\S]*\])\s*```\s*$/i);
+    if (fence) {
+      html = raw.slice(0, fence.index);
+      json = safeParseJson(fence[1]);
+    }
+  }
+
+  let items = null;
+  if (Array.isArray(json)) items = json;
+  else if (Array.isArray(json?.findings)) items = json.findings;
+
+  return { html: html.trim(), items };
+}
+
+/**
+ * Wrap a streaming callback so only the HTML part of a reviewer response is passed on:
+ * fragments stop at FINDINGS_MARKER (held back while it may still be arriving).
+ * Call `flush()` once the response is complete.
+ */
+function htmlDeltas(send) {
+  let text = '';
+  let sent = 0;
+  const push = (final) => {
+    const cut = text.indexOf(FINDINGS_MARKER);
+    const end = cut !== -1 ? cut : final ? text.length : Math.max(0, text.length - FINDINGS_MARKER.length + 1);
+    if (end > sent) {
+      send(text.slice(sent, end));
+      sent = end;
+    }
+  };
+  return {
+    onDelta(fragment) {
+      text += fragment;
+      push(false);
+    },
+    flush() {
+      push(true);
+    }
+  };
+}
+
+// ---------------------- Normalization ----------------------
+function text(value) {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'string' ? value.trim() : String(value);
+}
+
+function normalizeSeverity(value) {
+  const v = text(value).toLowerCase();
+  if (SEVERITIES.includes(v)) return v;
+  return SEVERITY_ALIASES[v] || 'medium';
+}
+
+function normalizeCategory(value) {
+  const v = text(value).toLowerCase();
+  if (CATEGORIES.includes(v)) return v;
+  const match = CATEGORY_PATTERNS.find(([, re]) => re.test(v));
+  return match ? match[0] : 'documentation';
+}
+
+function normalizeStandard(value) {
+  const v = text(value);
+  if (!v || /^(null|none|n\/a|not applicable)$/i.test(v)) return null;
+  const match = STANDARD_PATTERNS.find(([, re]) => re.test(v));
+  return match ? match[0] : v;
+}
+
+// Compare mode: the change a finding concerns, "C3" (lib/redline.js)
+function normalizeChangeId(value) {
+  const m = text(value).match(/^(?:change\s*)?c?\s*-?\s*(\d+)$/i);
+  return m ? `C${Number(m[1])}` : null;
+}
+
+function normalizeFields(raw) {
+  const out = {};
+  if ('title' in raw || 'issue' in raw) out.title = text(raw.title || raw.issue);
+  if ('severity' in raw) out.severity = normalizeSeverity(raw.severity);
+  if ('category' in raw) out.category = normalizeCategory(raw.category);
+  if ('clause' in raw || 'section' in raw) out.clause = text(raw.clause || raw.section);
+  if ('quote' in raw) out.quote = text(raw.quote);
+  if ('standard' in raw) out.standard = normalizeStandard(raw.standard);
+  if ('recommendation' in raw) out.recommendation = text(raw.recommendation);
+  if (normalizeChangeId(raw.change_id)) out.change_id = normalizeChangeId(raw.change_id);
+  return out;
+}
+
+function buildFinding(raw, id, source, sectionIndex) {
+  const fields = normalizeFields(raw || {});
+  return {
+    finding_id: id,
+    source,
+    title: fields.title || text(raw?.recommendation).slice(0, 120) || 'Untitled finding',
+    severity: fields.severity || 'medium',
+    category: fields.category || 'documentation',
+    clause: fields.clause || '',
+    quote: fields.quote || '',
+    standard: fields.standard === undefined ? null : fields.standard,
+    recommendation: fields.recommendation || '',
+    section_index: sectionIndex,
+    ...(fields.change_id ? { change_id: fields.change_id } : {})
+  };
+}
+
+function findingId(prefix, n) {
+  return `${prefix}-${String(n).padStart(3, '0')}`;
+}
+
+// ---------------------- Reviewer 1 ----------------------
+/**
+ * Parse every chunk review from Reviewer 1, renumbering findings R1-001.. in order.
+ * Returns { html, findings, parse_errors } where parse_errors lists 1-based chunk numbers.
+ */
+function collectPrimaryFindings(pieces) {
+  const htmlParts = [];
+  const findings = [];
+  const parseErrors = [];
+  pieces.forEach((piece, i) => {
+    const { html, items } = splitReviewerOutput(piece);
+    htmlParts.push(html);
+    if (!items) {
+      parseErrors.push(i + 1);
+      return;
+    }
+    for (const item of items) {
+      if (!item || typeof item !== 'object') continue;
+      findings.push(buildFinding(item, findingId('R1', findings.length + 1), 'reviewer_1', i + 1));
+    }
+  });
+  return { html: htmlParts.join('\n\n'), findings, parse_errors: parseErrors };
+}
+
+// Compact view of Reviewer 1 findings for the Reviewer 2 prompt
+function findingsForPrompt(findings) {
+  return JSON.stringify(findings.map(f => ({
+    finding_id: f.finding_id,
+    title: f.title,
+    severity: f.severity,
+    category: f.category,
+    clause: f.clause,
+    quote: f.quote,
+    standard: f.standard,
+    recommendation: f.recommendation,
+    ...(f.change_id ? { change_id: f.change_id } : {})
+  })));
+}
+
+// ---------------------- Reviewer 2 ----------------------
+function normalizeVerdict(value) {
+  const v = text(value).toLowerCase();
+  if (/^verif|^confirm|^agree/.test(v)) return 'verified';
+  if (/^correct|^revis|^amend|^disagree/.test(v)) return 'corrected';
+  if (/^add|^new|^missed/.test(v)) return 'added';
+  return null;
+}
+
+/**
+ * Link Reviewer 2 verdicts to Reviewer 1 findings. Corrections overwrite the
+ * corrected fields and keep the originals under review.original; additions get
+ * R2-nnn IDs. Returns { findings, unmatched } — unmatched are verdicts whose
+ * ref_finding_id does not exist or whose verdict could not be understood.
+ */
+function applySecondaryReview(primaryFindings, items) {
+  const findings = primaryFindings.map(f => ({ ...f }));
+  const byId = new Map(findings.map(f => [f.finding_id, f]));
+  const unmatched = [];
+  let added = 0;
+
+  for (const item of items || []) {
+    if (!item || typeof item !== 'object') continue;
+    const verdict = normalizeVerdict(item.verdict);
+    const comment = text(item.comment);
+
+    if (verdict === 'added') {
+      added++;
+      const finding = buildFinding(item, findingId('R2', added), 'reviewer_2', null);
+      finding.review = { verdict: 'added', comment };
+      findings.push(finding);
+      continue;
+    }
+
+    const target = byId.get(text(item.ref_finding_id || item.finding_id));
+    if (!verdict || !target) {
+      unmatched.push(item);
+      continue;
+    }
+
+    if (verdict === 'verified') {
+      target.review = { verdict: 'verified', comment };
+    } else {
+      const changes = normalizeFields(item);
+      const original = {};
+      for (const field of FINDING_FIELDS) {
+        if (field in changes && changes[field] !== target[field]) {
+          original[field] = target[field];
+          target[field] = changes[field];
+        }
+      }
+      target.review = { verdict: 'corrected', comment, original };
+    }
+  }
+
+  for (const f of findings) {
+    if (!f.review) f.review = { verdict: 'unreviewed', comment: '' };
+  }
+  return { findings, unmatched };
+}
+
+/**
+ * Apply the adjudicator's rulings (lib/consensus.js items) to the reviewed findings. Upholding
+ * Reviewer 1 restores a corrected finding's original fields and drops a rejected addition;
+ * a merged ruling applies the adjudicator's fields. The ruling is kept under review.adjudication.
+ */
+function applyAdjudication(findings, items) {
+  const rulings = new Map(items.filter(i => i.adjudication).map(i => [i.item_id, i.adjudication]));
+  const out = [];
+  for (const f of findings) {
+    const a = rulings.get(f.finding_id);
+    if (!a) {
+      out.push(f);
+      continue;
+    }
+    if (a.ruling === 'creator' && f.review.verdict === 'added') continue;
+    const finding = { ...f, review: { ...f.review } };
+    if (a.ruling === 'creator') {
+      for (const [field, value] of Object.entries(f.review.original || {})) {
+        if (value === undefined) delete finding[field];
+        else finding[field] = value;
+      }
+    } else if (a.ruling === 'merged') {
+      Object.assign(finding, normalizeFields(a.merged || {}));
+    }
+    finding.review.adjudication = { ruling: a.ruling, confidence: a.confidence, rationale: a.rationale };
+    out.push(finding);
+  }
+  return out;
+}
+
+// ---------------------- Reporting ----------------------
+function countBy(findings, key) {
+  const counts = {};
+  for (const f of findings) {
+    const k = typeof key === 'function' ? key(f) : f[key];
+    counts[k] = (counts[k] || 0) + 1;
+  }
+  return counts;
+}
+
+function summarize(findings) {
+  return {
+    total: findings.length,
+    by_severity: countBy(findings, 'severity'),
+    by_category: countBy(findings, 'category'),
+    by_verdict: countBy(findings, f => f.review?.verdict || 'unreviewed')
+  };
+}
+
+function validateFindings(findings) {
+  const issues = [];
+  for (const f of findings) {
+    if (!validateFinding(f)) {
+      issues.push({ finding_id: f.finding_id, errors: validateFinding.errors.map(e => `${e.instancePath || '(root)'} ${e.message}`) });
+    }
+  }
+  return issues;
+}
+
+module.exports = {
+  FINDINGS_MARKER,
+  PRIMARY_FINDINGS_INSTRUCTIONS,
+  SECONDARY_FINDINGS_INSTRUCTIONS,
+  splitReviewerOutput,
+  htmlDeltas,
+  collectPrimaryFindings,
+  findingsForPrompt,
+  applySecondaryReview,
+  applyAdjudication,
+  summarize,
+  validateFindings
+};
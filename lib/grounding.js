@@ -0,0 +1,289 @@
+// grounding.js
+// Evidence check for model output: every quoted passage and section reference a procedure or
+// finding cites must exist in the source text it was generated from.
+//   quote      fuzzy-matched word by word, so re-flowed lines, changed punctuation or a dropped
+//              word still match (GROUNDING_QUOTE_THRESHOLD, default 0.8 of the quote's words)
+//   reference  a clause number ("4.2.1", "Section 4.2", "§ 7") must be a numbered heading or
+//              clause of the source; a title ("Approvals") must match a heading
+// Each item gets grounding: { status: grounded | ungrounded | unverified, checks } where every
+// check carries the source offsets it matched ({ source, start, end }); `unverified` means the
+// item cited nothing checkable.
+
+const { escapeHtml } = require('./html');
+const { listUnits } = require('./chunker');
+
+const QUOTE_THRESHOLD = Number(process.env.GROUNDING_QUOTE_THRESHOLD) || 0.8;
+// Shorter quotes have to match exactly
+const MIN_FUZZY_WORDS = 4;
+
+// Clause values that cite no particular place
+const NO_REFERENCE = /^(n\/?a|none|null|general|overall|global|entire (document|sop)|whole document|all|various|multiple|-+)$/i;
+
+const REFERENCE_PATTERN = /\b(?:section|clause|para(?:graph)?|article|art\.|step|sop\s+§?|§)\s*(\d+(?:\.\d+)*)\b/gi;
+const QUOTED_PATTERN = /["“]([^"“”]{12,400})["”]/g;
+
+// ---------------------- Source Index ----------------------
+function wordsOf(text) {
+  const words = [];
+  const re = /[\p{L}\p{N}]+/gu;
+  let m;
+  while ((m = re.exec(text))) words.push({ word: m[0].toLowerCase(), start: m.index, end: m.index + m[0].length });
+  return words;
+}
+
+function normTitle(text) {
+  return String(text || '').toLowerCase().replace(/^\s*(section|clause|article|§)\s*/, '').replace(/[^\p{L}\p{N}.]+/gu, ' ').trim();
+}
+
+function clauseNumber(text) {
+  const m = String(text || '').match(/^\s*(?:section|clause|article|art\.?|para(?:graph)?|§)?\s*(\d+(?:\.\d+)*)\b/i);
+  return m ? m[1] : null;
+}
+
+// Headings and numbered clauses with their offsets in the source text
+function indexSections(text) {
+  const sections = [];
+  let cursor = 0;
+  for (const unit of listUnits(text)) {
+    if (unit.type !== 'heading' && !unit.clause) continue;
+    const firstLine = unit.text.split('\n')[0];
+    const start = text.indexOf(firstLine, cursor);
+    if (start === -1) continue;
+    cursor = start + firstLine.length;
+    sections.push({
+      clause: unit.clause || clauseNumber(firstLine),
+      title: unit.type === 'heading' ? firstLine.replace(/^#+\s*/, '') : null,
+      start,
+      end: start + firstLine.length
+    });
+  }
+  return sections;
+}
+
+/**
+ * Index the texts the output was generated from: [{ id, text }], e.g. the document, the previous
+ * version (SOP compare mode) or each source document D1, D2...
+ */
+function createSourceIndex(sources) {
+  return sources.filter(s => s && s.text).map(s => {
+    const words = wordsOf(s.text);
+    // Word sequence as one string, for exact matches, and where each word starts in it
+    const offsets = [];
+    let joined = '';
+    for (const w of words) {
+      offsets.push(joined.length);
+      joined += `${w.word} `;
+    }
+    return { id: s.id, text: s.text, words, joined, offsets, sections: indexSections(s.text) };
+  });
+}
+
+// ---------------------- Matching ----------------------
+function wordIndexAt(offsets, pos) {
+  let lo = 0;
+  let hi = offsets.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (offsets[mid] <= pos) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo;
+}
+
+// Best window of the quote's length: the share of its words (with repeats) found there
+function bestWindow(source, quoteWords) {
+  const n = quoteWords.length;
+  const words = source.words;
+  if (words.length < n) return null;
+  const need = new Map();
+  for (const w of quoteWords) need.set(w, (need.get(w) || 0) + 1);
+  const have = new Map();
+  let matched = 0;
+  const add = (w, delta) => {
+    if (!need.has(w)) return;
+    const before = Math.min(have.get(w) || 0, need.get(w));
+    have.set(w, (have.get(w) || 0) + delta);
+    matched += Math.min(have.get(w), need.get(w)) - before;
+  };
+
+  let best = null;
+  for (let i = 0; i < words.length; i++) {
+    add(words[i].word, 1);
+    if (i >= n) add(words[i - n].word, -1);
+    if (i >= n - 1 && (!best || matched > best.matched)) best = { matched, first: i - n + 1, last: i };
+  }
+  return best;
+}
+
+/**
+ * Find a quoted passage in the sources: { found, score, location } with the location of the
+ * best match (also below the threshold, so a near miss can be inspected).
+ */
+function locateQuote(index, quote, { source = null } = {}) {
+  const quoteWords = wordsOf(String(quote || '').replace(/\.{3}|…/g, ' ')).map(w => w.word);
+  if (!quoteWords.length) return null;
+  const sources = source ? index.filter(s => s.id === source) : index;
+  const needle = `${quoteWords.join(' ')} `;
+
+  for (const s of sources) {
+    const pos = s.joined.indexOf(needle);
+    if (pos === -1) continue;
+    const first = wordIndexAt(s.offsets, pos);
+    const last = first + quoteWords.length - 1;
+    return { found: true, score: 1, location: { source: s.id, start: s.words[first].start, end: s.words[last].end } };
+  }
+  if (quoteWords.length < MIN_FUZZY_WORDS) return { found: false, score: 0, location: null };
+
+  let best = null;
+  for (const s of sources) {
+    const w = bestWindow(s, quoteWords);
+    if (w && (!best || w.matched > best.matched)) best = { ...w, source: s };
+  }
+  if (!best || !best.matched) return { found: false, score: 0, location: null };
+  const score = Math.round((best.matched / quoteWords.length) * 100) / 100;
+  return {
+    found: score >= QUOTE_THRESHOLD,
+    score,
+    location: { source: best.source.id, start: best.source.words[best.first].start, end: best.source.words[best.last].end }
+  };
+}
+
+/**
+ * Find a section reference in the sources: by clause number when it has one, otherwise by
+ * heading title. Returns { found, location } or null when the reference cites nothing specific.
+ */
+function locateReference(index, reference, { source = null } = {}) {
+  const ref = String(reference || '').trim();
+  if (!ref || NO_REFERENCE.test(ref)) return null;
+  const sources = source ? index.filter(s => s.id === source) : index;
+  const number = clauseNumber(ref);
+  const title = normTitle(ref.replace(/^\s*(?:section|clause|article|art\.?|§)?\s*\d+(?:\.\d+)*\.?/i, ''));
+
+  for (const s of sources) {
+    const hit = number
+      ? s.sections.find(sec => sec.clause === number)
+      : title.length >= 4 && s.sections.find(sec => {
+        const heading = normTitle(sec.title).replace(/^\d+(\.\d+)*\.?\s*/, '');
+        return heading.length >= 4 && (heading.includes(title) || title.includes(heading));
+      });
+    if (hit) return { found: true, location: { source: s.id, start: hit.start, end: hit.end, section: s.text.slice(hit.start, hit.end).trim() } };
+  }
+  // A title reference without a heading may still be a phrase of the text
+  if (!number && title.length >= 4) {
+    const phrase = locateQuote(sources, title);
+    if (phrase?.found) return { found: true, location: phrase.location };
+  }
+  return { found: false, location: null };
+}
+
+// ---------------------- Items ----------------------
+function check(kind, text, result) {
+  return { kind, text: String(text).slice(0, 300), found: result.found, ...(result.score !== undefined ? { score: result.score } : {}), location: result.location };
+}
+
+function verdict(checks) {
+  if (!checks.length) return { status: 'unverified', checks };
+  return { status: checks.every(c => c.found) ? 'grounded' : 'ungrounded', checks };
+}
+
+/**
+ * Ground SOP findings (in place): the verbatim `quote` and the `clause` cited. In compare mode
+ * the quote may come from the previous version, which is indexed as its own source.
+ */
+function groundFindings(findings, index) {
+  for (const f of findings) {
+    const checks = [];
+    const quote = locateQuote(index, f.quote);
+    if (quote) checks.push(check('quote', f.quote, quote));
+    const reference = locateReference(index, f.clause);
+    if (reference) checks.push(check('reference', f.clause, reference));
+    f.grounding = verdict(checks);
+  }
+  return findings;
+}
+
+/**
+ * Ground working program procedures (in place): passages quoted and sections referenced in the
+ * procedure's text fields, and the sections of its source_refs (multi-document input).
+ */
+function groundProcedures(procedures, index) {
+  for (const p of procedures) {
+    if (!p || typeof p !== 'object') continue;
+    const checks = [];
+    const seen = new Set();
+    const text = ['procedure_text', 'assertion_or_control_ref', 'notes_for_auditor', 'expected_evidence']
+      .map(field => (typeof p[field] === 'string' ? p[field] : '')).join('\n');
+
+    for (const m of text.matchAll(QUOTED_PATTERN)) {
+      const result = locateQuote(index, m[1]);
+      if (result && !seen.has(`q:${m[1]}`)) {
+        seen.add(`q:${m[1]}`);
+        checks.push(check('quote', m[1], result));
+      }
+    }
+    for (const m of text.matchAll(REFERENCE_PATTERN)) {
+      if (seen.has(`r:${m[1]}`)) continue;
+      seen.add(`r:${m[1]}`);
+      checks.push(check('reference', m[0].trim(), locateReference(index, m[1])));
+    }
+    for (const ref of Array.isArray(p.source_refs) ? p.source_refs : []) {
+      if (!ref?.section || seen.has(`s:${ref.document}:${ref.section}`)) continue;
+      seen.add(`s:${ref.document}:${ref.section}`);
+      const source = index.some(s => s.id === ref.document) ? ref.document : null;
+      const result = locateReference(index, ref.section, { source });
+      if (result) checks.push(check('source_ref', `${ref.document} ${ref.section}`, result));
+    }
+    p.grounding = verdict(checks);
+  }
+  return procedures;
+}
+
+// ---------------------- Report ----------------------
+function summarizeGrounding(items) {
+  const count = (status) => items.filter(i => i?.grounding?.status === status).length;
+  return {
+    items: items.length,
+    grounded: count('grounded'),
+    ungrounded: count('ungrounded'),
+    unverified: count('unverified')
+  };
+}
+
+function describeCheck(c) {
+  const what = c.kind === 'quote' ? `Quote "${c.text}"` : `Reference "${c.text}"`;
+  return c.score !== undefined && c.score > 0
+    ? `${what} not found (best match ${Math.round(c.score * 100)}%)`
+    : `${what} not found`;
+}
+
+/**
+ * The evidence check section: the items whose citations could not be found in the source.
+ * `idField` names the item's ID (finding_id or procedure_id). Empty when everything checked out.
+ */
+function renderGroundingHtml(items, idField) {
+  const ungrounded = items.filter(i => i?.grounding?.status === 'ungrounded');
+  if (!ungrounded.length) return '';
+  const summary = summarizeGrounding(items);
+  const rows = ungrounded.map(i => `<li><strong>${escapeHtml(i[idField])}</strong> ${escapeHtml(String(i.title || i.procedure_text || '').slice(0, 200))}<br><small>${
+    i.grounding.checks.filter(c => !c.found).map(c => escapeHtml(describeCheck(c))).join('<br>')}</small></li>`).join('\n');
+
+  return `
+<div class="evidence-check" style="border:2px solid #b00020;background:#fdecea;padding:12px 16px;margin:20px 0;border-radius:6px">
+<h2>⚠ Evidence Check: ${summary.ungrounded} Ungrounded Citation${summary.ungrounded === 1 ? '' : 's'}</h2>
+<p>These items quote text or cite sections that could not be found in the source document. Verify them before relying on them (${summary.grounded} grounded, ${summary.unverified} with nothing to check).</p>
+<ul>
+${rows}
+</ul>
+</div>
+`;
+}
+
+module.exports = {
+  createSourceIndex,
+  locateQuote,
+  locateReference,
+  groundFindings,
+  groundProcedures,
+  summarizeGrounding,
+  renderGroundingHtml
+};
@@ -0,0 +1,314 @@
+// ingest.js
+// Text extraction for uploaded_file: { base64, file_type?, filename? }.
+// The format is detected from the file's magic bytes (zip containers by their entries);
+// file_type / filename only decide between the plain-text flavours or break ties.
+// Every extractor returns chunker-friendly text: markdown headings and "| a | b |" table rows.
+// Scanned PDFs (no text layer) are read by OCR (lib/ocr.js); the result then carries an `ocr` report.
+
+const pdfParse = require('pdf-parse');
+const mammoth = require('mammoth');
+const ExcelJS = require('exceljs');
+const JSZip = require('jszip');
+const WordExtractor = require('word-extractor');
+const { Parser } = require('htmlparser2');
+const { htmlToText } = require('./html');
+const ocr = require('./ocr');
+
+const SUPPORTED_FORMATS = ['pdf', 'docx', 'doc', 'xlsx', 'pptx', 'html', 'txt', 'md'];
+
+// Declared types (extension or MIME type) -> format
+const DECLARED_TYPES = {
+  pdf: 'pdf',
+  'application/pdf': 'pdf',
+  docx: 'docx',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  doc: 'doc',
+  'application/msword': 'doc',
+  xlsx: 'xlsx',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  xls: 'xls',
+  'application/vnd.ms-excel': 'xls',
+  pptx: 'pptx',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx',
+  ppt: 'ppt',
+  'application/vnd.ms-powerpoint': 'ppt',
+  html: 'html',
+  htm: 'html',
+  'text/html': 'html',
+  'application/xhtml+xml': 'html',
+  txt: 'txt',
+  text: 'txt',
+  'text/plain': 'txt',
+  md: 'md',
+  markdown: 'md',
+  'text/markdown': 'md',
+  'text/x-markdown': 'md'
+};
+
+// ---------------------- Detection ----------------------
+function declaredFormat(upload) {
+  const type = String(upload.file_type || '').toLowerCase().split(';')[0].trim().replace(/^\./, '');
+  if (DECLARED_TYPES[type]) return DECLARED_TYPES[type];
+  const ext = String(upload.filename || '').toLowerCase().match(/\.([a-z0-9]+)$/);
+  return ext ? DECLARED_TYPES[ext[1]] || null : null;
+}
+
+function startsWith(buf, bytes) {
+  return buf.length >= bytes.length && bytes.every((b, i) => buf[i] === b);
+}
+
+// Compound File Binary (legacy Office): tell the apps apart by their main stream name
+function detectCfb(buf) {
+  if (buf.includes(Buffer.from('WordDocument', 'utf16le'))) return 'doc';
+  if (buf.includes(Buffer.from('Workbook', 'utf16le')) || buf.includes(Buffer.from('Book', 'utf16le'))) return 'xls';
+  if (buf.includes(Buffer.from('PowerPoint Document', 'utf16le'))) return 'ppt';
+  return 'cfb';
+}
+
+async function detectZip(buf) {
+  const zip = await JSZip.loadAsync(buf);
+  if (zip.file('word/document.xml')) return { format: 'docx', zip };
+  if (zip.file('xl/workbook.xml')) return { format: 'xlsx', zip };
+  if (zip.file('ppt/presentation.xml')) return { format: 'pptx', zip };
+  return { format: 'zip', zip };
+}
+
+function decodeText(buf) {
+  if (startsWith(buf, [0xFF, 0xFE])) return buf.subarray(2).toString('utf16le');
+  if (startsWith(buf, [0xFE, 0xFF])) {
+    // swap16 needs whole code units: a truncated trailing byte is dropped, as utf16le decoding does
+    const body = buf.subarray(2, buf.length - (buf.length % 2));
+    return Buffer.from(body).swap16().toString('utf16le');
+  }
+  const text = buf.toString('utf8');
+  return text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+}
+
+function looksLikeText(buf) {
+  if (startsWith(buf, [0xFF, 0xFE]) || startsWith(buf, [0xFE, 0xFF])) return true;
+  const head = buf.subarray(0, 8192);
+  if (head.includes(0)) return false;
+  // Mostly printable once decoded (invalid UTF-8 turns into U+FFFD)
+  const text = head.toString('utf8');
+  const bad = (text.match(/[�\x00-\x08\x0E-\x1F]/g) || []).length;
+  return bad <= text.length * 0.02;
+}
+
+function looksLikeHtml(text) {
+  return /^\s*(<!doctype html|<html[\s>]|<head[\s>]|<body[\s>])/i.test(text) ||
+    /<(p|div|table|h[1-6]|ul|ol)\b[^>]*>[\s\S]*<\/\1>/i.test(text.slice(0, 20000));
+}
+
+/**
+ * Detect the upload's format from its content.
+ * Returns { format, zip? } where format is one of SUPPORTED_FORMATS or an unsupported label.
+ */
+async function detectFormat(buf, upload = {}) {
+  const declared = declaredFormat(upload);
+
+  if (startsWith(buf, [0x25, 0x50, 0x44, 0x46])) return { format: 'pdf' }; // %PDF
+  if (startsWith(buf, [0x50, 0x4B, 0x03, 0x04])) {
+    try {
+      return await detectZip(buf);
+    } catch (e) {
+      return { format: 'zip' };
+    }
+  }
+  if (startsWith(buf, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1])) return { format: detectCfb(buf) };
+  if (startsWith(buf, [0x7B, 0x5C, 0x72, 0x74, 0x66])) return { format: 'rtf' }; // {\rtf
+  if (startsWith(buf, [0x89, 0x50, 0x4E, 0x47]) || startsWith(buf, [0xFF, 0xD8, 0xFF])) return { format: 'image' };
+
+  if (looksLikeText(buf)) {
+    if (declared === 'html' || declared === 'md' || declared === 'txt') {
+      return { format: declared };
+    }
+    return { format: looksLikeHtml(decodeText(buf)) ? 'html' : 'txt' };
+  }
+  return { format: declared && !SUPPORTED_FORMATS.includes(declared) ? declared : 'unknown' };
+}
+
+// ---------------------- Extractors ----------------------
+async function extractPDF(buffer) {
+  const d = await pdfParse(buffer);
+  if (!ocr.needsOcr(d.text, d.numpages)) return d.text || '';
+  console.log(`PDF has ${d.numpages} page(s) and almost no text layer; running OCR`);
+  try {
+    return await ocr.ocrPdf(buffer);
+  } catch (e) {
+    // Whatever text layer there is beats failing the upload
+    console.warn('OCR failed:', e.message || e);
+    return d.text || '';
+  }
+}
+
+async function extractWord(buffer) {
+  // Go through HTML so headings and table rows survive for the chunker
+  const { value } = await mammoth.convertToHtml({ buffer });
+  return htmlToText(value);
+}
+
+async function extractLegacyWord(buffer) {
+  const doc = await new WordExtractor().extract(buffer);
+  return [doc.getBody(), doc.getFootnotes(), doc.getEndnotes()]
+    .map(s => (s || '').trim())
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+function tableLine(cells) {
+  return `| ${cells.map(c => String(c).replace(/\s*\n\s*/g, ' ').replace(/\|/g, '/')).join(' | ')} |`;
+}
+
+async function extractSpreadsheet(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const parts = [];
+  workbook.eachSheet(sheet => {
+    if (sheet.state && sheet.state !== 'visible') return;
+    const lines = [];
+    sheet.eachRow({ includeEmpty: false }, row => {
+      const cells = [];
+      for (let c = 1; c <= row.cellCount; c++) cells.push((row.getCell(c).text || '').trim());
+      while (cells.length && !cells[cells.length - 1]) cells.pop();
+      if (cells.some(Boolean)) lines.push(tableLine(cells));
+    });
+    if (lines.length) parts.push(`## ${sheet.name}\n\n${lines.join('\n')}`);
+  });
+  return parts.join('\n\n');
+}
+
+// DrawingML text: paragraphs (a:p) of runs (a:t), tables as a:tbl > a:tr > a:tc
+function drawingText(xml) {
+  const out = [];
+  let para = null;
+  let inRun = false;
+  let row = null;
+  let cell = null;
+  const parser = new Parser({
+    onopentag(name) {
+      if (name === 'a:tr') row = [];
+      else if (name === 'a:tc' && row) cell = [];
+      else if (name === 'a:p') para = '';
+      else if (name === 'a:t') inRun = true;
+      else if (name === 'a:br' && para !== null) para += ' ';
+    },
+    ontext(text) {
+      if (inRun && para !== null) para += text;
+    },
+    onclosetag(name) {
+      if (name === 'a:t') {
+        inRun = false;
+      } else if (name === 'a:p' && para !== null) {
+        const text = para.replace(/\s+/g, ' ').trim();
+        if (text) (cell || out).push(text);
+        para = null;
+      } else if (name === 'a:tc' && cell) {
+        row.push(cell.join(' '));
+        cell = null;
+      } else if (name === 'a:tr' && row) {
+        if (row.some(Boolean)) out.push(tableLine(row));
+        row = null;
+      }
+    }
+  }, { xmlMode: true, decodeEntities: true });
+
+  parser.write(xml);
+  parser.end();
+  return out.join('\n');
+}
+
+async function extractPresentation(buffer, zip) {
+  zip = zip || await JSZip.loadAsync(buffer);
+  const slides = Object.keys(zip.files)
+    .map(name => name.match(/^ppt\/slides\/slide(\d+)\.xml$/))
+    .filter(Boolean)
+    .sort((a, b) => Number(a[1]) - Number(b[1]));
+
+  const parts = [];
+  for (const [path, n] of slides) {
+    const body = drawingText(await zip.file(path).async('string'));
+
+    // Speaker notes are linked from the slide's relationships
+    let notes = '';
+    const rels = zip.file(`ppt/slides/_rels/slide${n}.xml.rels`);
+    const target = rels && (await rels.async('string')).match(/Target="\.\.\/notesSlides\/([^"]+)"/);
+    if (target && zip.file(`ppt/notesSlides/${target[1]}`)) {
+      notes = drawingText(await zip.file(`ppt/notesSlides/${target[1]}`).async('string'))
+        .split('\n')
+        .filter(line => !/^\d+$/.test(line)) // slide number placeholder
+        .join('\n');
+    }
+
+    if (body || notes) parts.push(`## Slide ${n}\n\n${body}${notes ? `\n\nNotes: ${notes}` : ''}`);
+  }
+  return parts.join('\n\n');
+}
+
+const EXTRACTORS = {
+  pdf: (buf) => extractPDF(buf),
+  docx: (buf) => extractWord(buf),
+  doc: (buf) => extractLegacyWord(buf),
+  xlsx: (buf) => extractSpreadsheet(buf),
+  pptx: (buf, detected) => extractPresentation(buf, detected.zip),
+  html: (buf) => htmlToText(decodeText(buf)),
+  txt: (buf) => decodeText(buf).replace(/\r\n?/g, '\n'),
+  md: (buf) => decodeText(buf).replace(/\r\n?/g, '\n')
+};
+
+const UNSUPPORTED_HINTS = {
+  xls: 'legacy .xls workbooks are not supported; save as .xlsx',
+  ppt: 'legacy .ppt presentations are not supported; save as .pptx',
+  rtf: 'RTF is not supported; save as .docx or PDF',
+  image: 'images are not supported; upload a PDF or Word document'
+};
+
+// ---------------------- Entry Point ----------------------
+/**
+ * Extract text from an uploaded_file. Returns { text, format, ocr? } (ocr: the OCR report of a
+ * scanned PDF) or { error: { status, message } } (415 for formats we cannot read).
+ */
+async function extractUpload(upload) {
+  if (!upload || typeof upload.base64 !== 'string' || !upload.base64) {
+    return { error: { status: 400, message: 'uploaded_file.base64 is required' } };
+  }
+  const buf = Buffer.from(upload.base64.replace(/^data:[^,]*,/, ''), 'base64');
+  if (!buf.length) return { error: { status: 400, message: 'uploaded_file is empty' } };
+
+  const detected = await detectFormat(buf, upload);
+  const extractor = EXTRACTORS[detected.format];
+  if (!extractor) {
+    const label = upload.file_type || upload.filename || detected.format;
+    const hint = UNSUPPORTED_HINTS[detected.format] ? ` (${UNSUPPORTED_HINTS[detected.format]})` : '';
+    return {
+      error: {
+        status: 415,
+        message: `Unsupported file type "${label}"${hint}. Supported: ${SUPPORTED_FORMATS.join(', ')}`
+      }
+    };
+  }
+
+  let text;
+  let report = null;
+  try {
+    const extracted = await extractor(buf, detected);
+    // Extractors return the text, or { text, ocr } after OCR
+    text = typeof extracted === 'object' && extracted !== null ? extracted.text : extracted;
+    report = extracted?.ocr || null;
+  } catch (e) {
+    console.warn(`${detected.format} extraction failed:`, e.message || e);
+    return { error: { status: 422, message: `Could not read uploaded ${detected.format} file: ${e.message || e}` } };
+  }
+
+  text = String(text || '').replace(/\n{3,}/g, '\n\n').trim();
+  if (!text) {
+    const hint = report ? ' (OCR found no readable text either)' : '';
+    return { error: { status: 422, message: `No text could be extracted from the uploaded ${detected.format} file${hint}` } };
+  }
+  return { text, format: detected.format, ...(report ? { ocr: report } : {}) };
+}
+
+module.exports = {
+  SUPPORTED_FORMATS,
+  detectFormat,
+  extractUpload
+};
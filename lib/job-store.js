@@ -0,0 +1,118 @@
+// job-store.js
+// Storage for asynchronous job state. Every store exposes the same async interface:
+//   get(id) -> job | null,  put(job) -> job
+//   claim(job, expected) -> boolean   compare-and-set: writes `job` only when the stored job still
+//                                     has the expected { updated_at, attempts }, so two invocations
+//                                     polling the same job cannot both start it
+// JOB_STORE=file (default) keeps one JSON file per job under JOB_STORE_DIR;
+// JOB_STORE=memory keeps jobs in the current process (local runs only).
+// A shared backend (Redis, KV, a database) only needs to implement get/put/claim.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+// A lock left behind by an invocation that died is broken after this long
+const LOCK_STALE_MS = 10000;
+
+function matches(job, expected) {
+  return !!job && job.updated_at === expected.updated_at && job.attempts === expected.attempts;
+}
+
+function createMemoryStore() {
+  const jobs = new Map();
+  return {
+    kind: 'memory',
+    async get(id) {
+      const job = jobs.get(id);
+      return job ? JSON.parse(JSON.stringify(job)) : null;
+    },
+    async put(job) {
+      jobs.set(job.id, JSON.parse(JSON.stringify(job)));
+      return job;
+    },
+    async claim(job, expected) {
+      if (!matches(jobs.get(job.id), expected)) return false;
+      jobs.set(job.id, JSON.parse(JSON.stringify(job)));
+      return true;
+    }
+  };
+}
+
+function createFileStore(dir = process.env.JOB_STORE_DIR || path.join(os.tmpdir(), 'vd-orchestrator-jobs')) {
+  const fileFor = (id) => {
+    if (!ID_PATTERN.test(String(id))) throw new Error(`Invalid job id "${id}"`);
+    return path.join(dir, `${id}.json`);
+  };
+  // Write then rename so a concurrent reader never sees a half-written file
+  const write = async (job) => {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const target = fileFor(job.id);
+    const tmp = `${target}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(job));
+    await fs.promises.rename(tmp, target);
+    return job;
+  };
+  const read = async (id) => {
+    try {
+      return JSON.parse(await fs.promises.readFile(fileFor(id), 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  };
+  // Exclusive-create lock file around the compare-and-set; null when another invocation holds it
+  const lock = async (id) => {
+    const file = `${fileFor(id)}.lock`;
+    try {
+      const handle = await fs.promises.open(file, 'wx');
+      await handle.close();
+      return file;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+      const stat = await fs.promises.stat(file).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) await fs.promises.rm(file, { force: true });
+      return null;
+    }
+  };
+
+  return {
+    kind: 'file',
+    async get(id) {
+      if (!ID_PATTERN.test(String(id))) return null;
+      return read(id);
+    },
+    put: write,
+    async claim(job, expected) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const held = await lock(job.id);
+      if (!held) return false;
+      try {
+        if (!matches(await read(job.id), expected)) return false;
+        await write(job);
+        return true;
+      } finally {
+        await fs.promises.rm(held, { force: true });
+      }
+    }
+  };
+}
+
+let defaultStore = null;
+
+function getJobStore() {
+  if (!defaultStore) {
+    defaultStore = (process.env.JOB_STORE || 'file').toLowerCase() === 'memory'
+      ? createMemoryStore()
+      : createFileStore();
+  }
+  return defaultStore;
+}
+
+module.exports = {
+  createMemoryStore,
+  createFileStore,
+  getJobStore
+};
@@ -0,0 +1,177 @@
+// jobs.js
+// Asynchronous job runner for long documents.
+// A job persists its pipeline input, a checkpoint of finished chunks and per-stage
+// progress after every step. If an invocation dies at maxDuration, the next status
+// poll notices the stale heartbeat and resumes from the checkpoint.
+// A poll starts a job only by claiming it (compare-and-set in the job store), and a job that
+// has gone stale JOB_MAX_ATTEMPTS times (default 3) fails instead of being restarted again:
+// a stage that never fits in maxDuration would otherwise spend provider tokens on every poll.
+
+const crypto = require('crypto');
+const pipelines = require('./pipelines');
+
+const STALE_MS = Number(process.env.JOB_STALE_MS) || 150000;
+const MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS) || 3;
+
+// ---------------------- Progress ----------------------
+function initialProgress(stages) {
+  const progress = { stages: {} };
+  for (const stage of stages) progress.stages[stage] = { status: 'pending', done: 0, total: null };
+  progress.message = describeProgress(progress);
+  return progress;
+}
+
+function applyEvent(progress, event) {
+  const stage = progress.stages[event.stage];
+  if (!stage) return progress;
+  if (event.type === 'stage_started') {
+    stage.status = 'running';
+    if (event.total) stage.total = event.total;
+  } else if (event.type === 'chunk_started') {
+    stage.status = 'running';
+    stage.total = event.total;
+  } else if (event.type === 'chunk_done') {
+    stage.done = event.index;
+    stage.total = event.total;
+  } else if (event.type === 'stage_done') {
+    stage.status = 'done';
+  }
+  progress.message = describeProgress(progress);
+  return progress;
+}
+
+// e.g. "creator chunk 3/7 done, reviewer pending"
+function describeProgress(progress) {
+  return Object.entries(progress.stages).map(([name, s]) => {
+    if (s.status === 'running' && s.total > 1) return `${name} chunk ${s.done}/${s.total} done`;
+    return `${name} ${s.status}`;
+  }).join(', ');
+}
+
+// ---------------------- Lifecycle ----------------------
+async function submitJob(store, pipelineName, input, { output = null, owner = null } = {}) {
+  const pipeline = pipelines[pipelineName];
+  if (!pipeline) throw new Error(`Unknown pipeline "${pipelineName}"`);
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    pipeline: pipelineName,
+    status: 'queued',
+    input,
+    output,
+    owner,
+    checkpoint: {},
+    progress: initialProgress(pipeline.STAGES),
+    attempts: 0,
+    result: null,
+    error: null,
+    created_at: now,
+    updated_at: now
+  };
+  await store.put(job);
+  return job;
+}
+
+function isStale(job) {
+  return job.status === 'running' && Date.now() - Date.parse(job.updated_at) > STALE_MS;
+}
+
+function needsRun(job) {
+  return !!job && (job.status === 'queued' || isStale(job));
+}
+
+async function runJob(store, id) {
+  const job = await store.get(id);
+  if (!needsRun(job)) return job;
+  const expected = { updated_at: job.updated_at, attempts: job.attempts };
+
+  if (job.attempts >= MAX_ATTEMPTS) {
+    job.status = 'failed';
+    job.error = {
+      message: `Job stopped after ${job.attempts} attempt(s): each run was interrupted before it finished (stale for over ${Math.round(STALE_MS / 1000)}s). Submit a shorter document or raise the function's maxDuration.`,
+      code: 'max_attempts',
+      details: { stage: Object.keys(job.progress.stages).find(s => job.progress.stages[s].status === 'running') || null },
+      usage: null
+    };
+    job.updated_at = new Date().toISOString();
+    return (await store.claim(job, expected)) ? job : store.get(id);
+  }
+
+  job.status = 'running';
+  job.attempts += 1;
+  job.updated_at = new Date().toISOString();
+  // Another invocation claimed the job between our read and this write: leave it to that one
+  if (!(await store.claim(job, expected))) return store.get(id);
+
+  // Every later write is a compare-and-set against our own last write, so a run that was taken
+  // over after going stale stops at its next heartbeat instead of overwriting the new run
+  let owned = { updated_at: job.updated_at, attempts: job.attempts };
+  const save = async () => {
+    job.updated_at = new Date().toISOString();
+    if (!(await store.claim(job, owned))) return false;
+    owned = { updated_at: job.updated_at, attempts: job.attempts };
+    return true;
+  };
+
+  try {
+    const result = await pipelines[job.pipeline].run(job.input, {
+      checkpoint: job.checkpoint,
+      onEvent: async (event) => {
+        applyEvent(job.progress, event);
+        if (!(await save())) {
+          const err = new Error(`Job ${job.id} was claimed by another invocation`);
+          err.code = 'claim_lost';
+          throw err;
+        }
+      }
+    });
+    job.status = 'succeeded';
+    job.result = result;
+  } catch (err) {
+    if (err.code === 'claim_lost') {
+      console.error(`=== JOB ${job.id} TAKEN OVER ===`, err.message);
+      return store.get(id);
+    }
+    console.error(`=== JOB ${job.id} FAILED ===`, err.message || err);
+    job.status = 'failed';
+    job.error = {
+      message: err.message || String(err),
+      code: err.code || null,
+      details: err.response?.data || null,
+      usage: err.usage || null
+    };
+  }
+  return (await save()) ? job : store.get(id);
+}
+
+function statusView(job) {
+  return {
+    job_id: job.id,
+    pipeline: job.pipeline,
+    status: isStale(job) ? 'stalled' : job.status,
+    progress: job.progress,
+    attempts: job.attempts,
+    error: job.error,
+    created_at: job.created_at,
+    updated_at: job.updated_at
+  };
+}
+
+// Keeps the invocation alive for work started after the response was sent.
+// On Vercel this hooks the request context's waitUntil; elsewhere the promise just runs.
+function keepAlive(promise) {
+  const ctx = globalThis[Symbol.for('@vercel/request-context')]?.get?.();
+  const guarded = promise.catch(err => console.error('=== BACKGROUND JOB ERROR ===', err));
+  if (typeof ctx?.waitUntil === 'function') ctx.waitUntil(guarded);
+  return guarded;
+}
+
+module.exports = {
+  submitJob,
+  runJob,
+  needsRun,
+  statusView,
+  keepAlive,
+  describeProgress
+};
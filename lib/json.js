@@ -0,0 +1,36 @@
+// json.js
+// Lenient JSON parsing for model output.
+
+function safeParseJson(maybeJson) {
+  if (!maybeJson || typeof maybeJson !== 'string') return null;
+  // Models often wrap JSON in a markdown fence
+  const fenced = maybeJson.match(/^\s*```(?:json)?\s*([\s\S]*?)\s*```\s*$/i);
+  if (fenced) maybeJson = fenced[1];
+  // Try direct parse
+  try {
+    return JSON.parse(maybeJson);
+  } catch (e) {
+    // Try to find a JSON object inside the text (first { ... } or [ ... ])
+    const objMatch = maybeJson.match(/(\{[\s\S]*\})/);
+    const arrMatch = maybeJson.match(/(\[[\s\S]*\])/);
+    const candidate = objMatch ? objMatch[1] : (arrMatch ? arrMatch[1] : null);
+    if (candidate) {
+      try {
+        return JSON.parse(candidate);
+      } catch (e2) {
+        // try to fix common trailing commas
+        const fixed = candidate.replace(/,\s*}/g, '}').replace(/,\s*]/g, ']');
+        try {
+          return JSON.parse(fixed);
+        } catch (e3) {
+          return null;
+        }
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = {
+  safeParseJson
+};
@@ -0,0 +1,174 @@
+// key-store.js
+// Storage for issued API keys and the usage counters behind rate limits and quotas.
+// Every store exposes the same async interface:
+//   getKey(id) -> key | null,  putKey(key) -> key,  listKeys() -> [key]
+//   count(name, window) -> number
+//   increment(name, window, amount) -> number   (a counter resets when its window changes)
+// KEY_STORE=file (default) keeps key records under KEY_STORE_DIR and counters under
+// KEY_STORE_COUNTERS_DIR (named by a hash of the counter name, so no two subjects can share a file).
+// Only scripts/api-keys.js writes keys, so the keys directory may be read-only; counters are
+// written on every request and default to the temp directory.
+// KEY_STORE=memory keeps everything in the current process (local runs only).
+// API_KEYS adds read-only key records from the environment (a JSON array, as printed by
+// `scripts/api-keys.js export`), for deployments without a writable or bundled keys directory.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{6,64}$/;
+
+function counterValue(entry, window) {
+  return entry && entry.window === window ? entry.value : 0;
+}
+
+function createMemoryKeyStore() {
+  const keys = new Map();
+  const counters = new Map();
+  return {
+    kind: 'memory',
+    async getKey(id) {
+      const key = keys.get(id);
+      return key ? JSON.parse(JSON.stringify(key)) : null;
+    },
+    async putKey(key) {
+      keys.set(key.id, JSON.parse(JSON.stringify(key)));
+      return key;
+    },
+    async listKeys() {
+      return [...keys.values()].map(k => JSON.parse(JSON.stringify(k)));
+    },
+    async count(name, window) {
+      return counterValue(counters.get(name), window);
+    },
+    async increment(name, window, amount = 1) {
+      const value = counterValue(counters.get(name), window) + amount;
+      counters.set(name, { window, value });
+      return value;
+    }
+  };
+}
+
+function createFileKeyStore(
+  keysDir = process.env.KEY_STORE_DIR || path.join(os.tmpdir(), 'vd-orchestrator-keys'),
+  countersDir = process.env.KEY_STORE_COUNTERS_DIR || path.join(os.tmpdir(), 'vd-orchestrator-counters')
+) {
+  const keyFile = (id) => {
+    if (!ID_PATTERN.test(String(id))) throw new Error(`Invalid key id "${id}"`);
+    return path.join(keysDir, `${id}.json`);
+  };
+  const counterFile = (name) => path.join(countersDir, `${crypto.createHash('sha256').update(String(name)).digest('hex')}.json`);
+
+  async function readJson(file) {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  }
+
+  async function writeJson(file, value) {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(value));
+    await fs.promises.rename(tmp, file);
+  }
+
+  // Increments of one counter are serialized within the process
+  const pending = new Map();
+  function serialized(name, fn) {
+    const run = (pending.get(name) || Promise.resolve()).then(fn, fn);
+    pending.set(name, run.catch(() => {}));
+    return run;
+  }
+
+  return {
+    kind: 'file',
+    async getKey(id) {
+      if (!ID_PATTERN.test(String(id))) return null;
+      return readJson(keyFile(id));
+    },
+    async putKey(key) {
+      await writeJson(keyFile(key.id), key);
+      return key;
+    },
+    async listKeys() {
+      let files = [];
+      try {
+        files = await fs.promises.readdir(keysDir);
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+      }
+      const keys = await Promise.all(files.filter(f => f.endsWith('.json')).map(f => readJson(path.join(keysDir, f))));
+      return keys.filter(Boolean);
+    },
+    async count(name, window) {
+      return counterValue(await readJson(counterFile(name)), window);
+    },
+    increment(name, window, amount = 1) {
+      return serialized(name, async () => {
+        const file = counterFile(name);
+        const value = counterValue(await readJson(file), window) + amount;
+        await writeJson(file, { window, value });
+        return value;
+      });
+    }
+  };
+}
+
+function envKeys(value = process.env.API_KEYS) {
+  if (!value) return [];
+  let records;
+  try {
+    records = JSON.parse(value);
+  } catch (e) {
+    throw new Error(`Invalid API_KEYS: ${e.message}`);
+  }
+  if (!Array.isArray(records) || !records.every(r => r && ID_PATTERN.test(String(r.id)) && typeof r.hash === 'string')) {
+    throw new Error('Invalid API_KEYS: expected a JSON array of key records ({ id, hash, ... })');
+  }
+  return records;
+}
+
+// Key records from API_KEYS behind a store's own; a record in the store wins, so a key from the
+// environment can still be disabled there
+function withEnvKeys(store, records) {
+  if (!records.length) return store;
+  const copy = (record) => JSON.parse(JSON.stringify(record));
+  return {
+    ...store,
+    async getKey(id) {
+      const stored = await store.getKey(id);
+      if (stored) return stored;
+      const record = records.find(r => r.id === id);
+      return record ? copy(record) : null;
+    },
+    async listKeys() {
+      const stored = await store.listKeys();
+      const ids = new Set(stored.map(k => k.id));
+      return [...stored, ...records.filter(r => !ids.has(r.id)).map(copy)];
+    }
+  };
+}
+
+let defaultStore = null;
+
+function getKeyStore() {
+  if (!defaultStore) {
+    const store = (process.env.KEY_STORE || 'file').toLowerCase() === 'memory'
+      ? createMemoryKeyStore()
+      : createFileKeyStore();
+    defaultStore = withEnvKeys(store, envKeys());
+  }
+  return defaultStore;
+}
+
+module.exports = {
+  createMemoryKeyStore,
+  createFileKeyStore,
+  withEnvKeys,
+  envKeys,
+  getKeyStore
+};
@@ -0,0 +1,249 @@
+// merge.js
+// Reduce step for multi-chunk creator runs. Each chunk's draft is parsed on its own,
+// procedures are deduplicated and renumbered across sections, finding templates are
+// re-linked to the new IDs, and the narrative sections (executive summary, scope,
+// objectives, risk overview, concluding remarks) are combined once. The result is a
+// single coherent draft for the reviewer instead of a concatenation of programs.
+
+const { autoRepair } = require('./validation');
+const { escapeHtml, stripTags } = require('./html');
+
+const DUPLICATE_THRESHOLD = 0.8;
+
+const NARRATIVE_SECTIONS = [
+  { key: 'executive_summary', title: 'Executive Summary', match: /executive\s+summary/i },
+  { key: 'scope', title: 'Scope', match: /\bscope\b/i },
+  { key: 'objectives', title: 'Objectives', match: /\bobjectives?\b/i },
+  { key: 'risk_overview', title: 'Risk Overview', match: /\brisks?\s+(overview|summary|assessment|profile)\b/i },
+  { key: 'concluding_remarks', title: 'Concluding Remarks', match: /\bconclu|closing\s+remarks/i }
+];
+
+// ---------------------- Text similarity ----------------------
+function tokens(text) {
+  return new Set(String(text || '').toLowerCase().match(/[a-z0-9]{3,}/g) || []);
+}
+
+function similarity(a, b) {
+  const ta = tokens(a);
+  const tb = tokens(b);
+  if (!ta.size || !tb.size) return 0;
+  let shared = 0;
+  for (const t of ta) if (tb.has(t)) shared++;
+  return shared / (ta.size + tb.size - shared);
+}
+
+// ---------------------- HTML narrative sections ----------------------
+function splitHtmlSections(html) {
+  const headings = [];
+  const re = /<h([1-4])\b[^>]*>([\s\S]*?)<\/h\1>/gi;
+  let m;
+  while ((m = re.exec(html || ''))) {
+    headings.push({ level: Number(m[1]), title: stripTags(m[2]), start: m.index, bodyStart: re.lastIndex });
+  }
+  return headings.map((h, i) => {
+    const next = headings.slice(i + 1).find(n => n.level <= h.level);
+    return { level: h.level, title: h.title, body: html.slice(h.bodyStart, next ? next.start : html.length) };
+  });
+}
+
+function blocksOf(body) {
+  const blocks = body.match(/<(p|ul|ol|table|div|blockquote)\b[^>]*>[\s\S]*?<\/\1>/gi);
+  if (blocks && blocks.length) return blocks;
+  return body.trim() ? [body.trim()] : [];
+}
+
+function collectNarrative(parsedDrafts) {
+  const narrative = {};
+  for (const section of NARRATIVE_SECTIONS) narrative[section.key] = [];
+
+  for (const draft of parsedDrafts) {
+    for (const s of splitHtmlSections(draft.html_program)) {
+      const section = NARRATIVE_SECTIONS.find(n => n.match.test(s.title));
+      if (!section) continue;
+      for (const block of blocksOf(s.body)) {
+        const text = stripTags(block);
+        if (!text) continue;
+        const seen = narrative[section.key].some(b => b.text === text || similarity(b.text, text) >= 0.9);
+        if (!seen) narrative[section.key].push({ html: block, text });
+      }
+    }
+  }
+  return narrative;
+}
+
+// ---------------------- Procedures ----------------------
+function fillBlanks(target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    if ((target[key] === undefined || target[key] === '') && value !== undefined && value !== '') target[key] = value;
+  }
+}
+
+// Duplicates found in another part may cite other source sections (multi-document input)
+function mergeSourceRefs(target, source) {
+  if (!Array.isArray(source.source_refs) || !source.source_refs.length) return;
+  const refs = Array.isArray(target.source_refs) ? target.source_refs : [];
+  for (const ref of source.source_refs) {
+    if (!refs.some(r => r.document === ref.document && (r.section || '') === (ref.section || ''))) refs.push(ref);
+  }
+  target.source_refs = refs;
+}
+
+function mergeProcedures(parsedDrafts, report) {
+  const kept = [];
+  const idMaps = parsedDrafts.map(() => new Map());
+
+  parsedDrafts.forEach((draft, part) => {
+    for (const row of draft.procedures) {
+      if (!row || typeof row !== 'object') continue;
+      // Overlap comes from neighbouring chunks, so only compare against other parts
+      const dup = kept.find(k => k.part !== part && similarity(k.row.procedure_text, row.procedure_text) >= DUPLICATE_THRESHOLD);
+      if (dup) {
+        fillBlanks(dup.row, row);
+        mergeSourceRefs(dup.row, row);
+        idMaps[part].set(row.procedure_id, dup);
+        report.duplicates_removed.push({ part: part + 1, procedure_id: row.procedure_id, duplicate_of_part: dup.part + 1, duplicate_of: dup.row.procedure_id });
+        continue;
+      }
+      const entry = { part, row: { ...row } };
+      kept.push(entry);
+      idMaps[part].set(row.procedure_id, entry);
+    }
+  });
+
+  // Group by section in first-appearance order and renumber as <section>.<n>
+  const sections = [];
+  for (const entry of kept) {
+    const name = (entry.row.section || 'General').trim();
+    let section = sections.find(s => s.name.toLowerCase() === name.toLowerCase());
+    if (!section) {
+      section = { name, entries: [] };
+      sections.push(section);
+    }
+    section.entries.push(entry);
+  }
+  const procedures = [];
+  sections.forEach((section, s) => {
+    section.entries.forEach((entry, n) => {
+      entry.newId = `${s + 1}.${n + 1}`;
+      procedures.push({ ...entry.row, procedure_id: entry.newId });
+    });
+  });
+
+  parsedDrafts.forEach((_, part) => {
+    for (const [oldId, entry] of idMaps[part]) {
+      if (oldId !== entry.newId) report.id_map.push({ part: part + 1, from: oldId, to: entry.newId });
+    }
+  });
+
+  return { procedures, sections, idMaps };
+}
+
+function mergeTemplates(parsedDrafts, idMaps) {
+  const byId = new Map();
+  const unlinked = [];
+  parsedDrafts.forEach((draft, part) => {
+    for (const row of draft.finding_templates) {
+      if (!row || typeof row !== 'object') continue;
+      const entry = idMaps[part].get(row.procedure_id);
+      if (!entry) {
+        unlinked.push({ ...row });
+        continue;
+      }
+      const existing = byId.get(entry.newId);
+      if (existing) fillBlanks(existing, row);
+      else byId.set(entry.newId, { ...row, procedure_id: entry.newId });
+    }
+  });
+  // Keep procedure order
+  const ordered = [...byId.values()].sort((a, b) => {
+    const [as, an] = a.procedure_id.split('.').map(Number);
+    const [bs, bn] = b.procedure_id.split('.').map(Number);
+    return as - bs || an - bn;
+  });
+  return [...ordered, ...unlinked];
+}
+
+// ---------------------- HTML ----------------------
+function renderDraftHtml(title, narrative, sections) {
+  const narrativeHtml = (key) => {
+    const section = NARRATIVE_SECTIONS.find(n => n.key === key);
+    if (!narrative[key].length) return '';
+    return `<h2>${section.title}</h2>\n${narrative[key].map(b => b.html).join('\n')}\n`;
+  };
+
+  const tables = sections.map((section, s) => `
+<h3>${s + 1}. ${escapeHtml(section.name)}</h3>
+<table style="width:100%;border-collapse:collapse" border="1" cellpadding="6">
+<thead><tr><th>ID</th><th>Procedure</th><th>Expected Evidence</th><th>Risk Addressed</th><th>Control Ref</th><th>Notes for Auditor</th></tr></thead>
+<tbody>
+${section.entries.map(({ newId, row }) => `<tr><td>${newId}</td><td>${escapeHtml(row.procedure_text)}</td><td>${escapeHtml(row.expected_evidence)}</td><td>${escapeHtml(row.risk_addressed)}</td><td>${escapeHtml(row.assertion_or_control_ref)}</td><td>${escapeHtml(row.notes_for_auditor)}</td></tr>`).join('\n')}
+</tbody>
+</table>`).join('\n');
+
+  return `<div style="font-family:Segoe UI,Arial,sans-serif">
+<h1>${escapeHtml(title)}</h1>
+${narrativeHtml('executive_summary')}${narrativeHtml('scope')}${narrativeHtml('objectives')}${narrativeHtml('risk_overview')}<h2>Audit Procedures</h2>
+${tables}
+${narrativeHtml('concluding_remarks')}</div>`;
+}
+
+// ---------------------- Merge ----------------------
+/**
+ * Merge per-chunk creator drafts. `drafts` holds one entry per chunk: the parsed
+ * JSON object, or null when that chunk's output could not be parsed (`rawPieces`
+ * keeps its text so the reviewer still sees it).
+ * Returns { draft, report }.
+ */
+function mergeDrafts(drafts, rawPieces) {
+  const report = {
+    parts: drafts.length,
+    parsed_parts: 0,
+    unparsed_parts: [],
+    procedures_in: 0,
+    procedures_out: 0,
+    duplicates_removed: [],
+    id_map: []
+  };
+
+  const parsedDrafts = [];
+  const unparsed = [];
+  drafts.forEach((d, i) => {
+    if (!d || typeof d !== 'object' || Array.isArray(d)) {
+      report.unparsed_parts.push(i + 1);
+      unparsed.push({ part: i + 1, text: rawPieces[i] });
+      parsedDrafts.push({ html_program: '', procedures: [], finding_templates: [] });
+      return;
+    }
+    report.parsed_parts++;
+    const { output } = autoRepair(d);
+    parsedDrafts.push({
+      html_program: typeof output.html_program === 'string' ? output.html_program : '',
+      procedures: Array.isArray(output.procedures) ? output.procedures : [],
+      finding_templates: Array.isArray(output.finding_templates) ? output.finding_templates : []
+    });
+    report.procedures_in += parsedDrafts[i].procedures.length;
+  });
+
+  const { procedures, sections, idMaps } = mergeProcedures(parsedDrafts, report);
+  const findingTemplates = mergeTemplates(parsedDrafts, idMaps);
+  report.procedures_out = procedures.length;
+
+  const firstTitle = parsedDrafts
+    .map(d => (d.html_program.match(/<h1\b[^>]*>([\s\S]*?)<\/h1>/i) || [])[1])
+    .find(Boolean);
+  const narrative = collectNarrative(parsedDrafts);
+
+  const draft = {
+    html_program: renderDraftHtml(stripTags(firstTitle) || 'Internal Audit Working Program', narrative, sections),
+    procedures,
+    finding_templates: findingTemplates
+  };
+  if (unparsed.length) draft.unparsed_parts = unparsed;
+
+  return { draft, report };
+}
+
+module.exports = {
+  mergeDrafts,
+  similarity
+};
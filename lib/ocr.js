@@ -0,0 +1,196 @@
+// ocr.js
+// OCR fallback for scanned PDFs. When a PDF's text layer is (nearly) empty it is read page by
+// page: pages with a text layer keep it, image-only pages go through Tesseract (tesseract.js,
+// WebAssembly on the CPU) with the English model bundled in @tesseract.js-data/eng, so nothing
+// is downloaded or sent anywhere at run time. The report gives each page's source and confidence.
+//   OCR_MODE            auto (default) | off
+//   OCR_MIN_CHARS       pages averaging fewer text-layer characters count as scanned (default 40)
+//   OCR_MAX_PAGES       pages OCRed per file (default 20, ~1.5 s each); later pages are skipped
+//   OCR_LOW_CONFIDENCE  mean word confidence (0-100) below which a page is flagged (default 60)
+
+const PDFJS = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+const { escapeHtml } = require('./html');
+
+PDFJS.disableWorker = true;
+
+function settings() {
+  return {
+    mode: String(process.env.OCR_MODE || 'auto').toLowerCase() === 'off' ? 'off' : 'auto',
+    minChars: Number(process.env.OCR_MIN_CHARS ?? 40),
+    maxPages: Number(process.env.OCR_MAX_PAGES) || 20,
+    lowConfidence: Number(process.env.OCR_LOW_CONFIDENCE ?? 60)
+  };
+}
+
+function countChars(text) {
+  return String(text || '').replace(/\s+/g, '').length;
+}
+
+// A PDF whose text layer averages fewer than OCR_MIN_CHARS characters a page is a scan
+function needsOcr(text, pageCount) {
+  const { mode, minChars } = settings();
+  if (mode === 'off') return false;
+  return countChars(text) < minChars * Math.max(1, pageCount || 1);
+}
+
+// ---------------------- Page Images ----------------------
+const IMAGE_OPS = [PDFJS.OPS.paintImageXObject, PDFJS.OPS.paintJpegXObject, PDFJS.OPS.paintInlineImageXObject];
+// pdf.js ImageKind (not exported by this build)
+const GRAYSCALE_1BPP = 1;
+const RGBA_32BPP = 3;
+
+// pdf.js image data ({ width, height, kind, data }) as an 8-bit grayscale PGM, which Tesseract reads
+function toPgm(img) {
+  const { width, height, kind, data } = img;
+  const gray = Buffer.alloc(width * height);
+  if (kind === GRAYSCALE_1BPP) {
+    const rowBytes = (width + 7) >> 3;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        gray[y * width + x] = (data[y * rowBytes + (x >> 3)] >> (7 - (x & 7))) & 1 ? 255 : 0;
+      }
+    }
+  } else {
+    const step = kind === RGBA_32BPP ? 4 : 3;
+    for (let i = 0, j = 0; i < gray.length; i++, j += step) {
+      gray[i] = (data[j] * 299 + data[j + 1] * 587 + data[j + 2] * 114) / 1000;
+    }
+  }
+  return Buffer.concat([Buffer.from(`P5\n${width} ${height}\n255\n`), gray]);
+}
+
+// The largest image painted on the page (a scanned page is one full-page image)
+async function pageImage(page) {
+  const ops = await page.getOperatorList();
+  let best = null;
+  ops.fnArray.forEach((fn, i) => {
+    if (!IMAGE_OPS.includes(fn)) return;
+    const [ref] = ops.argsArray[i];
+    const img = typeof ref === 'string' ? page.objs.get(ref) : ref;
+    if (img && img.data && (!best || img.width * img.height > best.width * best.height)) best = img;
+  });
+  return best && best.width >= 32 && best.height >= 32 ? best : null;
+}
+
+async function pageText(page) {
+  const content = await page.getTextContent();
+  let text = '';
+  let lastY = null;
+  for (const item of content.items) {
+    const y = item.transform[5];
+    if (lastY !== null) text += Math.abs(y - lastY) > 2 ? '\n' : ' ';
+    text += item.str;
+    lastY = y;
+  }
+  return text.trim();
+}
+
+// ---------------------- Recognition ----------------------
+// One Tesseract worker per file, loaded on the first scanned page
+function createRecognizer() {
+  let worker = null;
+  return {
+    async recognize(image) {
+      if (!worker) {
+        const { createWorker } = require('tesseract.js');
+        const eng = require('@tesseract.js-data/eng');
+        worker = await createWorker(eng.code, 1, { langPath: eng.langPath, gzip: eng.gzip, cacheMethod: 'none' });
+      }
+      const { data } = await worker.recognize(image);
+      return { text: data.text || '', confidence: Math.round(data.confidence ?? 0) };
+    },
+    async close() {
+      if (worker) await worker.terminate();
+    }
+  };
+}
+
+/**
+ * Read a scanned PDF page by page. Returns { text, ocr } where ocr is the report:
+ * { engine, language, pages: [{ page, source: text|ocr|empty|skipped, chars, confidence }],
+ *   ocr_pages, mean_confidence, low_confidence_pages, skipped_pages, warning }.
+ */
+async function ocrPdf(buffer) {
+  const { maxPages, minChars, lowConfidence } = settings();
+  const doc = await PDFJS.getDocument({ data: new Uint8Array(buffer), nativeImageDecoderSupport: 'none' });
+  const recognizer = createRecognizer();
+  const pages = [];
+  const texts = [];
+  let ocrCount = 0;
+
+  try {
+    for (let n = 1; n <= doc.numPages; n++) {
+      const page = await doc.getPage(n);
+      const layer = await pageText(page);
+      if (countChars(layer) >= minChars) {
+        pages.push({ page: n, source: 'text', chars: countChars(layer), confidence: null });
+        texts.push(layer);
+        continue;
+      }
+      if (ocrCount >= maxPages) {
+        pages.push({ page: n, source: 'skipped', chars: countChars(layer), confidence: null });
+        if (layer) texts.push(layer);
+        continue;
+      }
+      const image = await pageImage(page);
+      if (!image) {
+        pages.push({ page: n, source: 'empty', chars: countChars(layer), confidence: null });
+        if (layer) texts.push(layer);
+        continue;
+      }
+      ocrCount++;
+      const result = await recognizer.recognize(toPgm(image));
+      pages.push({ page: n, source: 'ocr', chars: countChars(result.text), confidence: result.confidence });
+      texts.push(result.text.trim());
+      page.cleanup();
+    }
+  } finally {
+    await recognizer.close();
+    doc.destroy();
+  }
+
+  const ocrPages = pages.filter(p => p.source === 'ocr');
+  const mean = ocrPages.length
+    ? Math.round(ocrPages.reduce((sum, p) => sum + p.confidence, 0) / ocrPages.length)
+    : null;
+  const low = ocrPages.filter(p => p.confidence < lowConfidence).map(p => p.page);
+  const skipped = pages.filter(p => p.source === 'skipped').map(p => p.page);
+
+  let warning = null;
+  if (ocrPages.length) {
+    warning = `Text of ${ocrPages.length} of ${pages.length} page(s) was recognized by OCR (mean confidence ${mean}%) and may contain recognition errors.`;
+    if (low.length) warning += ` Low confidence on page(s) ${low.join(', ')}: check them against the original.`;
+  }
+  if (skipped.length) {
+    warning = `${warning ? `${warning} ` : ''}${skipped.length} scanned page(s) from page ${skipped[0]} on were not OCRed (OCR_MAX_PAGES=${maxPages}); submit them separately.`;
+  }
+
+  return {
+    text: texts.filter(Boolean).join('\n\n'),
+    ocr: {
+      engine: 'tesseract',
+      language: 'eng',
+      pages,
+      ocr_pages: ocrPages.length,
+      mean_confidence: mean,
+      low_confidence_pages: low,
+      skipped_pages: skipped,
+      warning
+    }
+  };
+}
+
+// ---------------------- Reporting ----------------------
+// Banner for the top of a result's HTML when any input was OCRed (reports from the pipeline input)
+function ocrNotice(reports) {
+  const warnings = (reports || []).filter(r => r && r.warning);
+  if (!warnings.length) return '';
+  const items = warnings.map(r => `<li>${escapeHtml(r.source)}: ${escapeHtml(r.warning)}</li>`).join('');
+  return `<div style="border:1px solid #e0a800;padding:8px 12px;margin-bottom:12px"><strong>OCR used:</strong> scanned pages were read by text recognition.<ul>${items}</ul></div>\n`;
+}
+
+module.exports = {
+  needsOcr,
+  ocrPdf,
+  ocrNotice
+};
@@ -0,0 +1,303 @@
+// pipelines/finding-drafter.js
+// Audit finding drafting after fieldwork: for one procedure, the creator writes the 5C finding
+// (Condition, Criteria, Cause, Consequence, Corrective Action) from the procedure's finding
+// template and the tester's results and exceptions; the reviewer checks it against the evidence
+// and finalizes it, as in the working program pipeline.
+// The models propose the risk rating; when they give none it follows the exception rate
+// (10% or more high, any exception medium, none low). The management response is never written
+// by a model: the finding carries empty placeholders for management to complete.
+// Shared by the synchronous /api/finding-drafter handler and the job runner.
+
+const { resolveRoles, complete, describe, meterUsage } = require('../providers');
+const { safeParseJson } = require('../json');
+const { escapeHtml } = require('../html');
+const { parseBudget, createUsageMeter } = require('../usage');
+const { degradeStage, degradedNotice } = require('../retry');
+const { resolvePrompts, renderPrompt, promptInfo } = require('../prompts');
+const { parseCacheMode, createRunCache } = require('../cache');
+const { parseRedaction, createRedactor } = require('../redaction');
+
+const RATINGS = ['high', 'medium', 'low'];
+const FIVE_C = [
+  ['condition', 'Condition'],
+  ['criteria', 'Criteria'],
+  ['cause', 'Cause'],
+  ['consequence', 'Consequence'],
+  ['corrective_action', 'Corrective Action']
+];
+const HIGH_EXCEPTION_RATE = 0.1;
+
+// Same roles as the working program: override per request with body.models or per environment
+// with LLM_CREATOR / LLM_REVIEWER.
+const DEFAULT_ROLES = {
+  creator: { provider: 'openai', model: 'gpt-4-turbo-preview', temperature: 0.15, max_tokens: 4000 },
+  reviewer: { provider: 'anthropic', model: 'claude-sonnet-4-20250514', max_tokens: 16000 }
+};
+
+// ---------------------- Input ----------------------
+function asText(value) {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'string' ? value.trim() : JSON.stringify(value, null, 2);
+}
+
+// Items tested, exceptions and the exception rate, from whatever the tester reported
+function exceptionStats(testResults, exceptions) {
+  const results = testResults && typeof testResults === 'object' ? testResults : {};
+  const sample = Number(results.sample_size ?? results.items_tested ?? results.population_tested);
+  let count = Array.isArray(exceptions) ? exceptions.length : Number(results.exceptions_count ?? results.exception_count);
+  if (!Number.isFinite(count) && Array.isArray(results.exceptions)) count = results.exceptions.length;
+  const tested = Number.isFinite(sample) && sample > 0 ? sample : null;
+  const found = Number.isFinite(count) ? count : null;
+  return {
+    items_tested: tested,
+    exceptions: found,
+    exception_rate: tested !== null && found !== null ? Math.round((found / tested) * 1000) / 1000 : null
+  };
+}
+
+/**
+ * Turns a request body into a serializable pipeline input, or an { error } to answer with.
+ * body: { procedure_id, procedure?, finding_template?, test_results, exceptions?, document_text?, user_inputs? }
+ */
+async function prepare(body) {
+  if (!body || typeof body !== 'object') return { error: { status: 400, message: 'Invalid request body' } };
+
+  const procedureId = asText(body.procedure_id);
+  if (!procedureId) return { error: { status: 400, message: 'procedure_id is required' } };
+  const hasExceptions = Array.isArray(body.exceptions) ? body.exceptions.length > 0 : !!asText(body.exceptions);
+  if (!asText(body.test_results) && !hasExceptions) {
+    return { error: { status: 400, message: 'test_results (or exceptions) required: the finding is drafted from the tester\'s results' } };
+  }
+  if (body.finding_template !== undefined && (typeof body.finding_template !== 'object' || Array.isArray(body.finding_template))) {
+    return { error: { status: 400, message: 'finding_template must be the 5C template object of the procedure' } };
+  }
+
+  let roles;
+  try {
+    roles = resolveRoles(body.models, DEFAULT_ROLES);
+  } catch (e) {
+    return { error: { status: 400, message: e.message } };
+  }
+  console.log('Finding for', procedureId, 'models:', describe(roles.creator), '->', describe(roles.reviewer));
+
+  const budget = parseBudget(body);
+  if (budget.error) return { error: budget.error };
+
+  // Prompt template: body.template / body.template_variables (`finding_template` is the 5C skeleton)
+  const selected = resolvePrompts('finding-drafter', body);
+  if (selected.error) return { error: selected.error };
+
+  // cache: "use" (default) | "bypass" (lib/cache.js)
+  const cacheMode = parseCacheMode(body);
+  if (cacheMode.error) return { error: cacheMode.error };
+
+  // redaction: "off" (default) | "mask" | "tokenize" | { mode, rules, terms, patterns } (lib/redaction.js)
+  const redaction = parseRedaction(body);
+  if (redaction.error) return { error: redaction.error };
+
+  const input = {
+    finding: {
+      procedure_id: procedureId,
+      procedure: body.procedure ?? body.procedure_text ?? null,
+      finding_template: body.finding_template ?? null,
+      test_results: body.test_results ?? null,
+      exceptions: body.exceptions ?? null
+    },
+    document_text: typeof body.document_text === 'string' ? body.document_text : '',
+    user_inputs: typeof body.user_inputs === 'string' ? body.user_inputs : '',
+    roles,
+    budget_usd: budget.budget_usd,
+    prompts: selected.prompts,
+    cache: cacheMode.cache
+  };
+  if (redaction.redaction) input.redaction = redaction.redaction;
+  return { input };
+}
+
+// ---------------------- Finding ----------------------
+function promptValues(input) {
+  const f = input.finding;
+  return {
+    procedure_id: f.procedure_id,
+    procedure: asText(f.procedure) || '(not provided)',
+    finding_template: asText(f.finding_template) || '(none)',
+    test_results: asText(f.test_results) || '(see exceptions)',
+    exceptions: asText(f.exceptions) || '(none listed)',
+    criteria_document: input.document_text ? `\nCRITERIA DOCUMENT (policy / SOP the procedure tests):\n${input.document_text.substring(0, 30000)}\n` : '',
+    user_inputs: input.user_inputs || '(none)'
+  };
+}
+
+function normalizeRating(value) {
+  const v = asText(value).toLowerCase();
+  if (/^(high|critical|significant|major)/.test(v)) return 'high';
+  if (/^(medium|moderate)/.test(v)) return 'medium';
+  if (/^(low|minor)/.test(v)) return 'low';
+  return null;
+}
+
+function ratingFromExceptions(stats) {
+  if (stats.exceptions === null) return null;
+  if (!stats.exceptions) return 'low';
+  return stats.exception_rate !== null && stats.exception_rate >= HIGH_EXCEPTION_RATE ? 'high' : 'medium';
+}
+
+// A model's finding JSON as the 5C fields, or null when it has none of them
+function readFinding(raw) {
+  const parsed = safeParseJson(raw);
+  const source = parsed?.finding && typeof parsed.finding === 'object' ? parsed.finding : parsed;
+  if (!source || typeof source !== 'object' || !FIVE_C.some(([key]) => asText(source[key]))) return null;
+  const finding = { title: asText(source.title) };
+  for (const [key] of FIVE_C) finding[key] = asText(source[key]);
+  finding.risk_rating = normalizeRating(source.risk_rating);
+  finding.rating_rationale = asText(source.rating_rationale);
+  if (source.reviewer_comment !== undefined) finding.reviewer_comment = asText(source.reviewer_comment);
+  return finding;
+}
+
+function completeFinding(finding, input, stats) {
+  const template = input.finding.finding_template || {};
+  const out = {
+    procedure_id: input.finding.procedure_id,
+    title: finding.title || `Exception in procedure ${input.finding.procedure_id}`
+  };
+  // A field neither model filled keeps the working program's template text
+  for (const [key] of FIVE_C) out[key] = finding[key] || asText(template[key]);
+  const derived = ratingFromExceptions(stats);
+  out.risk_rating = finding.risk_rating || derived || 'medium';
+  out.rating_source = finding.risk_rating ? 'model' : derived ? 'exception_rate' : 'default';
+  out.rating_rationale = finding.rating_rationale || (derived ? `Derived from ${stats.exceptions} exception(s) in ${stats.items_tested ?? 'an unknown number of'} item(s) tested.` : '');
+  out.test_summary = stats;
+  // Completed by management, never drafted by a model
+  out.management_response = {
+    agreed: null,
+    response: '',
+    action_owner: '',
+    target_date: '',
+    status: 'awaiting_response'
+  };
+  return out;
+}
+
+function renderFindingHtml(finding, review) {
+  const stats = finding.test_summary;
+  const tested = stats.items_tested !== null || stats.exceptions !== null
+    ? `<p><strong>Testing:</strong> ${stats.exceptions ?? '?'} exception(s) in ${stats.items_tested ?? '?'} item(s) tested${stats.exception_rate !== null ? ` (${Math.round(stats.exception_rate * 1000) / 10}%)` : ''}.</p>`
+    : '';
+  const rows = FIVE_C.map(([key, label]) => `<tr><th style="width:20%;text-align:left;vertical-align:top">${label}</th><td>${escapeHtml(finding[key] || '').replace(/\n/g, '<br>')}</td></tr>`).join('\n');
+  const placeholder = '<em>[To be completed by management]</em>';
+
+  return `<h1>Audit Finding: ${escapeHtml(finding.title)}</h1>
+<p><strong>Procedure:</strong> ${escapeHtml(finding.procedure_id)} | <strong>Proposed risk rating:</strong> ${escapeHtml(finding.risk_rating.toUpperCase())}${finding.rating_rationale ? ` (${escapeHtml(finding.rating_rationale)})` : ''}</p>
+${tested}
+<table style="width:100%;border-collapse:collapse" border="1" cellpadding="6">
+${rows}
+</table>
+<h2>Management Response</h2>
+<table style="width:100%;border-collapse:collapse" border="1" cellpadding="6">
+<tr><th style="width:20%;text-align:left">Agreed</th><td>${placeholder}</td></tr>
+<tr><th style="text-align:left">Response</th><td>${placeholder}</td></tr>
+<tr><th style="text-align:left">Action Owner</th><td>${placeholder}</td></tr>
+<tr><th style="text-align:left">Target Date</th><td>${placeholder}</td></tr>
+</table>
+<p><small>Draft status: ${escapeHtml(review.status === 'reviewed' ? 'reviewed by the reviewer model' : `not reviewed (${review.status})`)}. Drafted from the tester's results; verify before issuing.</small></p>`;
+}
+
+// ---------------------- Pipeline ----------------------
+// Same contract as the other pipelines: `checkpoint` keeps the creator and reviewer responses so
+// a resumed job does not repeat them, `onEvent` gets stage progress, `onDelta` streamed output.
+// A reviewer that still fails after retries and failover leaves the creator's draft unreviewed
+// (the payload is then `partial`).
+async function run(input, { checkpoint = {}, onEvent = async () => {}, onDelta = null } = {}) {
+  checkpoint.usage = checkpoint.usage || [];
+  checkpoint.degraded = checkpoint.degraded || [];
+  const usage = createUsageMeter({ budget_usd: input.budget_usd, calls: checkpoint.usage });
+  const prompts = input.prompts || resolvePrompts('finding-drafter', {}).prompts;
+  const cache = createRunCache('finding-drafter', { ...input, prompts }, { onEvent });
+
+  // With redaction on, the models and the result cache only see placeholders; the payload gets
+  // the values back on the way out (redactInput rebuilds the same placeholders for a cache hit)
+  const redactor = input.redaction ? createRedactor(input.redaction) : null;
+  const modelInput = redactor ? redactor.redactInput(input) : input;
+  const restored = (payload) => (redactor ? { ...redactor.restore(payload), redaction: redactor.summary() } : payload);
+  const cached = await cache.lookup(usage.summary());
+  if (cached) return restored(cached);
+
+  const raw = await meterUsage(usage, () => runDraft(modelInput, prompts, { checkpoint, onEvent, onDelta }));
+  const payload = {
+    ...raw,
+    prompt_template: promptInfo(prompts),
+    html_output: degradedNotice(checkpoint.degraded) + raw.html_output,
+    redaction: null,
+    partial: checkpoint.degraded.length > 0,
+    degraded: checkpoint.degraded,
+    usage: usage.summary(),
+    cache: cache.summary()
+  };
+  await cache.save(payload);
+  return restored(payload);
+}
+
+async function runDraft(input, prompts, { checkpoint, onEvent, onDelta }) {
+  const { roles } = input;
+  const degrade = (stage, index, err) => degradeStage(checkpoint, onEvent, stage, index, err);
+  const streamTo = (stage) => ({ stage, index: 1, ...(onDelta ? { onDelta: (text) => onDelta({ stage, index: 1, text }) } : {}) });
+  const values = promptValues(input);
+  const stats = exceptionStats(input.finding.test_results, input.finding.exceptions);
+
+  // 1) Creator drafts the 5C finding
+  await onEvent({ type: 'stage_started', stage: 'creator', total: 1 });
+  if (typeof checkpoint.creator_raw !== 'string') {
+    checkpoint.creator_raw = await complete(roles.creator, renderPrompt(prompts, 'creator.system'), renderPrompt(prompts, 'creator.user', values), streamTo('creator'));
+    await onEvent({ type: 'checkpoint', stage: 'creator' });
+  }
+  await onEvent({ type: 'stage_done', stage: 'creator' });
+  const draft = readFinding(checkpoint.creator_raw);
+  if (!draft) throw new Error('The creator did not return a finding in the expected JSON format');
+
+  // 2) Reviewer checks it against the evidence and finalizes it
+  await onEvent({ type: 'stage_started', stage: 'reviewer', total: 1 });
+  if (checkpoint.reviewer_raw === undefined) {
+    const user = renderPrompt(prompts, 'reviewer.user', { ...values, draft: JSON.stringify(draft, null, 2) });
+    try {
+      checkpoint.reviewer_raw = await complete(roles.reviewer, renderPrompt(prompts, 'reviewer.system'), user, streamTo('reviewer'));
+      await onEvent({ type: 'checkpoint', stage: 'reviewer' });
+    } catch (err) {
+      await degrade('reviewer', 1, err);
+      checkpoint.reviewer_raw = null;
+    }
+  }
+  await onEvent({ type: 'stage_done', stage: 'reviewer' });
+
+  const reviewed = checkpoint.reviewer_raw === null ? null : readFinding(checkpoint.reviewer_raw);
+  const review = {
+    status: checkpoint.reviewer_raw === null ? 'failed' : reviewed ? 'reviewed' : 'unparsed',
+    comment: reviewed?.reviewer_comment || null,
+    rating_changed: !!(reviewed && draft.risk_rating && reviewed.risk_rating && reviewed.risk_rating !== draft.risk_rating)
+  };
+  // Field by field: a field the reviewer left empty keeps the creator's text
+  const final = {};
+  for (const key of Object.keys(draft)) {
+    if (key !== 'reviewer_comment') final[key] = reviewed?.[key] || draft[key];
+  }
+  const finding = completeFinding(final, input, stats);
+
+  return {
+    success: true,
+    finding,
+    draft: completeFinding(draft, input, stats),  // The creator's version, before review
+    review,
+    html_output: renderFindingHtml(finding, review),
+    creator_raw: checkpoint.creator_raw,
+    reviewer_raw: checkpoint.reviewer_raw,
+    models: { creator: describe(roles.creator), reviewer: describe(roles.reviewer) },
+    timestamp: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  STAGES: ['creator', 'reviewer'],
+  RATINGS,
+  prepare,
+  run
+};
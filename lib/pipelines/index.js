@@ -0,0 +1,8 @@
+// pipelines/index.js
+// Pipelines addressable by name from the job API (names match the /api endpoints).
+
+module.exports = {
+  orchestrator: require('./orchestrator'),
+  'sop-reviewer': require('./sop-reviewer'),
+  'finding-drafter': require('./finding-drafter')
+};
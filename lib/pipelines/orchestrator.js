@@ -0,0 +1,537 @@
+// pipelines/orchestrator.js
+// Working program pipeline: creator (GPT by default) -> reviewer (Claude by default)
+// -> adjudicator on the procedures they disagree on -> schema validation with repair.
+// Handles compressed input, uploaded files, multi-document input, chunking, and safe JSON parsing.
+// The evidence check, traceability matrix and RCM mode follow the stages in runStages().
+// Shared by the synchronous /api/orchestrator handler and the job runner.
+
+const LZString = require('lz-string');
+const { resolveRoles, complete, describe, meterUsage } = require('../providers');
+const { safeParseJson } = require('../json');
+const validation = require('../validation');
+const { mergeDrafts } = require('../merge');
+const { escapeHtml } = require('../html');
+const { extractUpload } = require('../ingest');
+const { parseChunking, chunkDocument, withContext } = require('../chunker');
+const traceability = require('../traceability');
+const { parseBudget, createUsageMeter } = require('../usage');
+const { degradeStage, degradedNotice } = require('../retry');
+const { ocrNotice } = require('../ocr');
+const { resolvePrompts, renderPrompt, promptInfo } = require('../prompts');
+const { parseCacheMode, createRunCache } = require('../cache');
+const consensusLib = require('../consensus');
+const grounding = require('../grounding');
+const { parseRedaction, createRedactor } = require('../redaction');
+const rcmLib = require('../rcm');
+const { createReport, sanitizeHtml } = require('../sanitize');
+
+const MAX_REPAIR_ROUNDS = Number(process.env.SCHEMA_REPAIR_ROUNDS ?? 2);
+
+// ---------------------- LLM Roles ----------------------
+// Override per request with body.models, e.g. { creator: "local:llama3.1", reviewer: "anthropic" },
+// or per environment with LLM_CREATOR / LLM_REVIEWER / LLM_ADJUDICATOR.
+const DEFAULT_ROLES = {
+  creator: { provider: 'openai', model: 'gpt-4-turbo-preview', temperature: 0.15, max_tokens: 4000 },
+  reviewer: { provider: 'anthropic', model: 'claude-sonnet-4-20250514', max_tokens: 16000 },
+  adjudicator: { provider: 'anthropic', model: 'claude-sonnet-4-20250514', temperature: 0, max_tokens: 8000 }
+};
+
+// ---------------------- Prompt Builders ----------------------
+// The prompt text lives in versioned templates (lib/prompts/orchestrator); these fill in the
+// blocks that depend on the run.
+
+// Multi-document input: list the sources and ask for source_refs on every procedure
+function sourceDocumentsBlock(documents) {
+  if (!documents) return '';
+  return `SOURCE DOCUMENTS (the document text is labelled with these IDs):
+${documents.map(d => `- ${traceability.describeDocument(d)}`).join('\n')}
+`;
+}
+
+const SOURCE_REFS_REQUIREMENT = `- Every procedure must cite the requirement(s) it tests in "source_refs": [{"document": "<source document ID, e.g. D1>", "section": "<section or clause number and title>"}]. When a regulation requirement is implemented by a policy or SOP section, cite both.`;
+
+function buildCreatorPrompt(prompts, documentText, userInputs, documents = null) {
+  return renderPrompt(prompts, 'creator.user', {
+    document: documentText,
+    user_inputs: userInputs,
+    source_documents: sourceDocumentsBlock(documents),
+    source_refs_requirement: documents ? SOURCE_REFS_REQUIREMENT : '',
+    source_refs_field: documents ? ',"source_refs"' : ''
+  });
+}
+
+function buildReviewerPrompt(prompts, draftJson, documentText, userInputs, draftViolations = [], documents = null) {
+  return renderPrompt(prompts, 'reviewer.user', {
+    draft: typeof draftJson === 'string' ? draftJson : JSON.stringify(draftJson),
+    document: documentText,
+    user_inputs: userInputs,
+    source_documents: sourceDocumentsBlock(documents),
+    draft_violations: draftViolations.length
+      ? `\nKNOWN SCHEMA VIOLATIONS IN THE DRAFT (fix every one of these):\n${draftViolations.map(validation.formatViolation).join('\n')}`
+      : '',
+    source_refs_review: documents ? '- Keep or add "source_refs" on every procedure: the source document ID and section of each requirement it tests.' : ''
+  });
+}
+
+// ---------------------- Input ----------------------
+function decompress(text) {
+  if (typeof text !== 'string' || !text.startsWith('COMPRESSED:')) return text;
+  const raw = text.replace(/^COMPRESSED:/, '');
+  return LZString.decompressFromEncodedURIComponent(raw) || '';
+}
+
+// documents: [{ name, role, document_text | uploaded_file }] -> [{ id, name, role, text }]
+// (plus the OCR reports of scanned uploads)
+async function prepareDocuments(list) {
+  if (!Array.isArray(list) || !list.length) {
+    return { error: { status: 400, message: 'documents must be a non-empty array' } };
+  }
+  if (list.length > traceability.MAX_DOCUMENTS) {
+    return { error: { status: 400, message: `At most ${traceability.MAX_DOCUMENTS} documents per request` } };
+  }
+
+  const documents = [];
+  const ocr = [];
+  for (const [i, doc] of list.entries()) {
+    const label = `documents[${i}]`;
+    if (!doc || typeof doc !== 'object') return { error: { status: 400, message: `${label} must be an object` } };
+
+    const role = traceability.normalizeRole(doc.role);
+    if (!role) {
+      return { error: { status: 400, message: `${label}.role must be one of: ${traceability.DOCUMENT_ROLES.join(', ')}` } };
+    }
+
+    let text = decompress(typeof doc.document_text === 'string' ? doc.document_text : '');
+    if (text.trim().length < 10 && doc.uploaded_file?.base64) {
+      const upload = await extractUpload(doc.uploaded_file);
+      if (upload.error) return { error: { status: upload.error.status, message: `${label}: ${upload.error.message}` } };
+      text = upload.text;
+      if (upload.ocr) ocr.push({ source: `D${i + 1}`, ...upload.ocr });
+    }
+    if (text.trim().length < 10) {
+      return { error: { status: 400, message: `${label} has no document_text or uploaded_file to process` } };
+    }
+
+    const name = String(doc.name || doc.uploaded_file?.filename || `Document ${i + 1}`).trim();
+    documents.push({ id: `D${i + 1}`, name, role, text });
+  }
+  return { documents, ocr };
+}
+
+// Turns a request body into a serializable pipeline input, or an { error } to answer with.
+async function prepare(body) {
+  // Accept either object or raw string
+  let document_text = '';
+  let user_inputs = '';
+  let documents = null;
+  let ocr = [];
+
+  if (typeof body === 'string') {
+    document_text = body;
+  } else if (body && typeof body === 'object') {
+    // Support both compressed and plain fields, and uploaded file
+    document_text = body.document_text || body.source_wp || '';
+    user_inputs = body.user_inputs || body.user_inputs_text || '';
+    // Support several named documents, each with a role (policy, sop, regulation, prior_audit_report)
+    if (body.documents !== undefined) {
+      const prepared = await prepareDocuments(body.documents);
+      if (prepared.error) return { error: prepared.error };
+      documents = prepared.documents;
+      ocr = prepared.ocr;
+      document_text = traceability.combineDocuments(documents);
+    } else if ((!document_text || document_text.length < 10) && body.uploaded_file?.base64) {
+      // Support uploaded_file: { base64, file_type?, filename? }
+      const upload = await extractUpload(body.uploaded_file);
+      if (upload.error) return { error: upload.error };
+      document_text = upload.text;
+      if (upload.ocr) ocr.push({ source: 'uploaded_file', ...upload.ocr });
+    }
+  } else {
+    return { error: { status: 400, message: 'Invalid request body' } };
+  }
+
+  let roles;
+  try {
+    roles = resolveRoles(typeof body === 'object' ? body.models : null, DEFAULT_ROLES);
+  } catch (e) {
+    return { error: { status: 400, message: e.message } };
+  }
+
+  const budget = parseBudget(typeof body === 'object' ? body : null);
+  if (budget.error) return { error: budget.error };
+
+  // Prompt template: body.template / body.preset / body.template_variables
+  const selected = resolvePrompts('orchestrator', body);
+  if (selected.error) return { error: selected.error };
+
+  // cache: "use" (default) | "bypass" (lib/cache.js)
+  const cacheMode = parseCacheMode(body);
+  if (cacheMode.error) return { error: cacheMode.error };
+
+  // adjudication: "auto" (default) | "off" (lib/consensus.js)
+  const adjudication = consensusLib.parseAdjudication(body);
+  if (adjudication.error) return { error: adjudication.error };
+
+  // chunking: { max_tokens: 200-8000 (default 3000), overlap_tokens: 0-2000 } (lib/chunker.js)
+  const chunking = parseChunking(body, 3000);
+  if (chunking.error) return { error: chunking.error };
+
+  // redaction: "off" (default) | "mask" | "tokenize" | { mode, rules, terms, patterns } (lib/redaction.js)
+  const redaction = parseRedaction(body);
+  if (redaction.error) return { error: redaction.error };
+
+  // mode: "program" (default) | "rcm" (lib/rcm.js)
+  const mode = (typeof body === 'object' && body?.mode) || 'program';
+  if (!rcmLib.MODES.includes(mode)) return { error: { status: 400, message: `mode must be one of: ${rcmLib.MODES.join(', ')}` } };
+
+  // Decompress if prefixed
+  document_text = decompress(document_text);
+
+  if (!document_text || document_text.trim().length < 10) {
+    return { error: { status: 400, message: 'No document_text available to process' } };
+  }
+
+  // If no user inputs provided, set default minimal context
+  if (!user_inputs || typeof user_inputs !== 'string') {
+    user_inputs = 'Produce a clear, testable internal audit working program based on the document.';
+  }
+
+  const input = { document_text, user_inputs, roles, chunking: chunking.chunking, budget_usd: budget.budget_usd, prompts: selected.prompts, cache: cacheMode.cache, adjudication: adjudication.adjudication };
+  if (documents) input.documents = documents;
+  if (mode === 'rcm') input.mode = mode;
+  if (ocr.length) input.ocr = ocr;
+  if (redaction.redaction) input.redaction = redaction.redaction;
+  return { input };
+}
+
+function planChunks(input) {
+  const chunking = input.chunking || {};
+  // Chunking strategy: if very large (~25k chars), create section drafts and merge
+  const options = {
+    maxTokens: chunking.max_tokens || 3000,
+    overlapTokens: chunking.overlap_tokens,
+    splitAbove: 6250
+  };
+  if (!input.documents) return chunkDocument(input.document_text, options);
+
+  // Multi-document input: chunk each document on its own so every chunk has a single source
+  return input.documents
+    .flatMap(doc => chunkDocument(doc.text, options).map(chunk => ({
+      ...chunk,
+      document: { id: doc.id, name: doc.name, role: traceability.ROLE_LABELS[doc.role] }
+    })))
+    .map((chunk, index) => ({ ...chunk, index }));
+}
+
+// ---------------------- Pipeline ----------------------
+// `checkpoint` collects finished stage outputs so an interrupted run can resume;
+// `onEvent` is awaited after every step (the job runner persists progress there);
+// `onDelta` receives model output fragments as they stream (SSE mode).
+// Every model call is metered into the payload's `usage` (kept in the checkpoint across resumes).
+// A model call that still fails after retries and failover degrades its stage instead of failing
+// the run: the payload is then `partial` and `degraded` says which stages were affected.
+// Complete results and creator chunks are cached by content (lib/cache.js); `cache` reports hits.
+// With `input.redaction` the models, the checkpoint and streamed fragments only see placeholders
+// (lib/redaction.js); the payload is cached with the placeholders and restored when returned.
+async function run(input, { checkpoint = {}, onEvent = async () => {}, onDelta = null } = {}) {
+  checkpoint.usage = checkpoint.usage || [];
+  checkpoint.degraded = checkpoint.degraded || [];
+  const usage = createUsageMeter({ budget_usd: input.budget_usd, calls: checkpoint.usage });
+  // Jobs submitted before prompt templates existed run on the current default
+  const prompts = input.prompts || resolvePrompts('orchestrator', {}).prompts;
+  const cache = createRunCache('orchestrator', { ...input, prompts }, { onEvent });
+
+  const redactor = input.redaction ? createRedactor(input.redaction) : null;
+  const modelInput = redactor ? redactor.redactInput(input) : input;
+  const restored = (payload) => (redactor ? { ...redactor.restore(payload), redaction: redactor.summary() } : payload);
+  const cached = await cache.lookup(usage.summary());
+  if (cached) return restored(cached);
+
+  const raw = await meterUsage(usage, () => runStages(modelInput, prompts, { checkpoint, onEvent, onDelta, cache }));
+  const payload = {
+    ...raw,
+    prompt_template: promptInfo(prompts),
+    html_output: degradedNotice(checkpoint.degraded) + ocrNotice(input.ocr) + raw.html_output,
+    ocr: input.ocr || null,
+    redaction: null,
+    partial: checkpoint.degraded.length > 0,
+    degraded: checkpoint.degraded,
+    usage: usage.summary(),
+    cache: cache.summary()
+  };
+  await cache.save(payload);
+  return restored(payload);
+}
+
+async function runStages(input, prompts, { checkpoint, onEvent, onDelta, cache }) {
+  const { document_text, user_inputs, roles, documents = null } = input;
+  const chunks = planChunks(input);
+  const degrade = (stage, index, err) => degradeStage(checkpoint, onEvent, stage, index, err);
+  const streamTo = (stage, index) => ({
+    stage,
+    index,
+    ...(onDelta ? { onDelta: (text) => onDelta({ stage, index, text }) } : {})
+  });
+
+  // 1) Creator — produce draft for each chunk then merge
+  checkpoint.creator_pieces = checkpoint.creator_pieces || [];
+  const creatorDraftPieces = checkpoint.creator_pieces;
+  await onEvent({ type: 'stage_started', stage: 'creator', total: chunks.length });
+  for (let i = creatorDraftPieces.length; i < chunks.length; i++) {
+    const docPart = withContext(chunks[i]);
+    const systemPrompt = renderPrompt(prompts, 'creator.system');
+    const userPrompt = buildCreatorPrompt(prompts, docPart, user_inputs, documents) + `\n\n/* PART ${i+1} of ${chunks.length} */`;
+
+    await onEvent({ type: 'chunk_started', stage: 'creator', index: i + 1, total: chunks.length });
+    let creatorResponse = '';
+    try {
+      // Unchanged chunks of an edited document come from the chunk cache
+      creatorResponse = await cache.chunk(roles.creator, systemPrompt, userPrompt,
+        () => complete(roles.creator, systemPrompt, userPrompt, streamTo('creator', i + 1)),
+        { stage: 'creator', index: i + 1, replay: (text) => onDelta?.({ stage: 'creator', index: i + 1, text }) });
+    } catch (err) {
+      // The chunk is left out of the draft; the other chunks still go to the reviewer
+      await degrade('creator', i + 1, err);
+    }
+    creatorDraftPieces.push(creatorResponse);
+    await onEvent({ type: 'chunk_done', stage: 'creator', index: i + 1, total: chunks.length });
+
+    // small pause
+    if (i < chunks.length - 1) await new Promise(r => setTimeout(r, 500));
+  }
+  await onEvent({ type: 'stage_done', stage: 'creator' });
+  if (!creatorDraftPieces.some(Boolean)) {
+    throw new Error(`Creator failed on every chunk: ${checkpoint.degraded.map(d => d.error).join('; ')}`);
+  }
+
+  // Raw creator output, kept for the response and the last-resort fallback
+  // (chunks whose creator call failed are left out)
+  const draftPieces = creatorDraftPieces.filter(Boolean);
+  let combinedDraft = draftPieces.join("\n\n");
+
+  // Multi-chunk runs: parse each chunk on its own and merge into one draft.
+  // Single chunk: parse it; if it is not JSON, pass the whole draft string to the reviewer.
+  let draftJson;
+  let mergeReport = null;
+  if (draftPieces.length > 1) {
+    const merged = mergeDrafts(draftPieces.map(safeParseJson), draftPieces);
+    draftJson = merged.draft;
+    mergeReport = merged.report;
+  } else {
+    draftJson = safeParseJson(combinedDraft);
+  }
+
+  // If not JSON, wrap the raw draft into an object form that the reviewer will accept.
+  if (!draftJson) {
+    // We'll give reviewer the full text under a "draft" field
+    draftJson = {
+      draft_text: combinedDraft
+    };
+  }
+
+  // Schema-check the draft so the reviewer gets a targeted list of what to fix
+  let draftViolations = [];
+  if (!draftJson.draft_text) {
+    const repaired = validation.autoRepair(draftJson);
+    draftJson = repaired.output;
+    draftViolations = validation.validate(draftJson);
+    if (documents) {
+      traceability.resolveSourceRefs(draftJson, documents);
+      draftViolations.push(...traceability.validateSourceRefs(draftJson, documents));
+    }
+  }
+
+  // 2) Reviewer — refine & finalize single JSON output
+  await onEvent({ type: 'stage_started', stage: 'reviewer' });
+  if (typeof checkpoint.reviewer_raw !== 'string') {
+    const reviewerSystem = renderPrompt(prompts, 'reviewer.system');
+    const reviewerUserPrompt = buildReviewerPrompt(prompts, draftJson, document_text, user_inputs, draftViolations, documents);
+    try {
+      checkpoint.reviewer_raw = await complete(roles.reviewer, reviewerSystem, reviewerUserPrompt, streamTo('reviewer', 1));
+      await onEvent({ type: 'checkpoint', stage: 'reviewer' });
+    } catch (err) {
+      await degrade('reviewer', 1, err);
+    }
+  }
+  const reviewerResponse = checkpoint.reviewer_raw ?? null;
+
+  // The reviewer is instructed to return a single JSON object. Parse it.
+  const finalJson = safeParseJson(reviewerResponse);
+
+  // If parsing failed, attempt fallback: request the reviewer to return only JSON (quick retry)
+  let finalOutput = finalJson;
+  if (!finalOutput && reviewerResponse !== null) {
+    // Retry: ask the reviewer to ONLY output JSON (short)
+    const retrySystem = renderPrompt(prompts, 'retry.system');
+    const retryUser = renderPrompt(prompts, 'retry.user', { previous: reviewerResponse });
+    try {
+      const retryResp = await complete(roles.reviewer, retrySystem, retryUser, { stage: 'retry' });
+      finalOutput = safeParseJson(retryResp);
+    } catch (err) {
+      await degrade('retry', 1, err);
+    }
+  }
+
+  // 3) Adjudicator — rules on the procedures the reviewer rewrote, dropped or added
+  // (compared on normalized copies; the rulings are applied to the reviewer's output)
+  const reviewedJson = finalOutput && !draftJson.draft_text ? validation.autoRepair(finalOutput).output : null;
+  const consensusItems = reviewedJson && Array.isArray(reviewedJson.procedures)
+    ? consensusLib.procedureConsensus(draftJson.procedures, reviewedJson.procedures)
+    : [];
+  const adjudication = await consensusLib.runAdjudication('procedure', consensusItems, document_text, {
+    mode: input.adjudication, spec: roles.adjudicator, prompts, checkpoint, onEvent, degrade
+  });
+  let consensus = null;
+  if (consensusItems.length) {
+    finalOutput = consensusLib.applyProcedureRulings(finalOutput, reviewedJson, draftJson, consensusItems);
+    consensus = consensusLib.summarizeConsensus(consensusItems, adjudication);
+  }
+
+  // Reviewer unavailable: the merged creator draft goes out unreviewed
+  if (!finalOutput && reviewerResponse === null && !draftJson.draft_text) {
+    finalOutput = JSON.parse(JSON.stringify(draftJson));
+  }
+
+  // 4) Schema validation with a targeted repair loop on the reviewer
+  let validationReport = null;
+  if (finalOutput) {
+    const checked = await validateAndRepair(finalOutput, { roles, prompts, onEvent, documents, degrade });
+    finalOutput = checked.output;
+    validationReport = checked.report;
+  }
+  await onEvent({ type: 'stage_done', stage: 'reviewer' });
+
+  // As a last fallback, construct a minimal structure from available pieces
+  if (!finalOutput) {
+    // Build a simple safe fallback that includes raw creator draft in html and empty arrays for procedures
+    finalOutput = {
+      html_program: `<pre>${escapeHtml(combinedDraft.slice(0, 50000))}</pre>`,
+      procedures: [],
+      finding_templates: []
+    };
+    validationReport = {
+      schema: validation.SCHEMA_ID,
+      valid: false,
+      auto_fixes: [],
+      initial_violations: null,
+      repair_rounds: 0,
+      remaining_violations: [{ target: null, index: null, field: null, message: 'reviewer output was not valid JSON' }],
+      rejected_rows: { procedures: [], finding_templates: [] }
+    };
+  }
+  validationReport.creator_violations = draftViolations.length;
+
+  // Also try to extract procedures_for_arg (procedures array) for frontend RG usage
+  const proceduresForArg = Array.isArray(finalOutput.procedures) ? finalOutput.procedures : [];
+
+  // Evidence check: what the procedures quote and cite must exist in the source documents
+  // (offsets are relative to the cited document's text)
+  grounding.groundProcedures(proceduresForArg, grounding.createSourceIndex(
+    documents ? documents.map(d => ({ id: d.id, text: d.text })) : [{ id: 'document', text: document_text }]
+  ));
+
+  // The client renders html_program: strip scripts, handlers and unsafe links (in final_json too)
+  const sanitization = createReport();
+  if (typeof finalOutput.html_program === 'string') {
+    finalOutput.html_program = sanitizeHtml(finalOutput.html_program, sanitization, 'html_program');
+  }
+
+  // Prepare a clean HTML output (if the reviewer returned html_program, use it; otherwise try raw)
+  let finalHtml = typeof finalOutput.html_program === 'string' && finalOutput.html_program.trim().length > 0
+    ? finalOutput.html_program
+    : `<html><body><pre>${escapeHtml(combinedDraft.slice(0, 200000))}</pre></body></html>`;
+
+  // Multi-document input: requirement -> procedure traceability matrix
+  let traceReport = null;
+  if (documents) {
+    traceReport = traceability.buildTraceability(proceduresForArg, documents);
+    finalHtml = traceability.appendToProgram(finalHtml, traceability.renderTraceabilityHtml(traceReport));
+  }
+  if (consensus) finalHtml = traceability.appendToProgram(finalHtml, consensusLib.renderConsensusHtml(consensus));
+  const groundingHtml = grounding.renderGroundingHtml(proceduresForArg, 'procedure_id');
+  if (groundingHtml) finalHtml = traceability.appendToProgram(finalHtml, groundingHtml);
+
+  // 5) RCM mode: the risks and controls of the document, linked to the procedures that test them
+  const rcm = await rcmLib.runRcm(input.mode, {
+    documentText: document_text, userInputs: user_inputs, procedures: proceduresForArg, spec: roles.reviewer, prompts, checkpoint, onEvent, degrade
+  });
+  if (rcm) finalHtml = traceability.appendToProgram(finalHtml, rcmLib.renderRcmHtml(rcm));
+
+  return {
+    success: true,
+    creator_raw: combinedDraft,
+    reviewer_raw: reviewerResponse,
+    final_json: finalOutput,
+    html_output: finalHtml,
+    procedures_for_arg: proceduresForArg,
+    validation_report: validationReport,
+    merge_report: mergeReport,
+    traceability: traceReport,
+    consensus,
+    grounding: grounding.summarizeGrounding(proceduresForArg),
+    sanitization,
+    rcm,  // Risk and control matrix with coverage gaps (RCM mode only)
+    chunks_processed: chunks.length,
+    models: { creator: describe(roles.creator), reviewer: describe(roles.reviewer), ...(roles.adjudicator ? { adjudicator: describe(roles.adjudicator) } : {}) },
+    timestamp: new Date().toISOString()
+  };
+}
+
+// ---------------------- Validation ----------------------
+async function validateAndRepair(output, { roles, prompts, onEvent, documents = null, degrade }) {
+  // Multi-document input also requires source_refs that point at a known document
+  const check = (o, fixes) => {
+    if (!documents) return validation.validate(o);
+    fixes.push(...traceability.resolveSourceRefs(o, documents));
+    return [...validation.validate(o), ...traceability.validateSourceRefs(o, documents)];
+  };
+
+  const repaired = validation.autoRepair(output);
+  const autoFixes = [...repaired.fixes];
+  let current = repaired.output;
+  let violations = check(current, autoFixes);
+  const initialCount = violations.length;
+
+  let rounds = 0;
+  while (violations.length > 0 && rounds < MAX_REPAIR_ROUNDS) {
+    rounds++;
+    await onEvent({ type: 'repair_round', stage: 'reviewer', index: rounds, violations: violations.length });
+    const repairSystem = renderPrompt(prompts, 'repair.system');
+    let repairResp;
+    try {
+      repairResp = await complete(roles.reviewer, repairSystem, validation.buildRepairPrompt(current, violations), { stage: 'repair', index: rounds });
+    } catch (err) {
+      // Remaining violations are handled below like any unrepaired ones
+      await degrade('repair', rounds, err);
+      break;
+    }
+    const patch = safeParseJson(repairResp);
+    if (!patch) continue;
+    const next = validation.autoRepair(validation.applyRepair(current, patch));
+    autoFixes.push(...next.fixes);
+    current = next.output;
+    violations = check(current, autoFixes);
+  }
+
+  // A missing citation is reported (and shows in the traceability matrix) but does not reject the row
+  const rowViolations = violations.filter(v => v.field !== 'source_refs');
+  const { output: clean, rejected } = validation.splitValidRows(current, rowViolations);
+  return {
+    output: clean,
+    report: {
+      schema: validation.SCHEMA_ID,
+      valid: violations.length === 0,
+      auto_fixes: autoFixes,
+      initial_violations: initialCount,
+      repair_rounds: rounds,
+      remaining_violations: violations,
+      rejected_rows: rejected
+    }
+  };
+}
+
+module.exports = {
+  STAGES: ['creator', 'reviewer', 'adjudicator', 'rcm'],
+  prepare,
+  run
+};
@@ -0,0 +1,497 @@
+// pipelines/sop-reviewer.js
+// SOP dual review: Reviewer 1 (creator role) reviews each chunk, Reviewer 2 (reviewer role) runs QA
+// and an adjudicator rules on the findings they disagree on. The request options are parsed in
+// prepare(); the evidence check, compliance mapping and compare mode are commented in runReview().
+// Shared by the synchronous /api/sop-reviewer handler and the job runner.
+
+const { resolveRoles, complete, describe, meterUsage } = require('../providers');
+const { parseChunking, chunkDocument, withContext } = require('../chunker');
+const findingsLib = require('../findings');
+const { extractUpload } = require('../ingest');
+const { parseBudget, createUsageMeter } = require('../usage');
+const { degradeStage, degradedNotice } = require('../retry');
+const { ocrNotice } = require('../ocr');
+const { resolvePrompts, renderPrompt, promptInfo } = require('../prompts');
+const { parseCacheMode, createRunCache } = require('../cache');
+const redline = require('../redline');
+const consensusLib = require('../consensus');
+const grounding = require('../grounding');
+const { parseRedaction, createRedactor } = require('../redaction');
+const { createReport, sanitizeHtml } = require('../sanitize');
+const { escapeHtml } = require('../html');
+const complianceLib = require('../compliance');
+
+const MODES = ['review', 'compare'];
+
+// Reviewer 1 fills the "creator" role, Reviewer 2 the "reviewer" role and the adjudicator settles
+// their disagreements. Override per request with body.models or per environment with
+// LLM_CREATOR / LLM_REVIEWER / LLM_ADJUDICATOR.
+const DEFAULT_ROLES = {
+  creator: { provider: 'anthropic', model: 'claude-sonnet-4-20250514', max_tokens: 16000 },
+  reviewer: { provider: 'openai', model: 'gpt-4-turbo-preview', temperature: 0.2, max_tokens: 4000 },
+  adjudicator: { provider: 'anthropic', model: 'claude-sonnet-4-20250514', temperature: 0, max_tokens: 8000 }
+};
+
+// ---------------------- Input ----------------------
+// Turns a request body into a serializable pipeline input, or an { error } to answer with.
+async function prepare(body) {
+  const user_inputs = body?.user_inputs || '';
+  let document_text = body?.document_text || '';
+
+  // Same uploaded_file support as the orchestrator: { base64, file_type?, filename? }
+  // Scanned PDFs are OCRed; their reports go into the response
+  const ocr = [];
+  if (!document_text && body?.uploaded_file?.base64) {
+    const upload = await extractUpload(body.uploaded_file);
+    if (upload.error) return { error: upload.error };
+    document_text = upload.text;
+    if (upload.ocr) ocr.push({ source: 'uploaded_file', ...upload.ocr });
+  }
+
+  // Compare mode: the previous version, as text or an uploaded file
+  let previous_document_text = body?.previous_document_text || '';
+  if (!previous_document_text && body?.previous_uploaded_file?.base64) {
+    const upload = await extractUpload(body.previous_uploaded_file);
+    if (upload.error) return { error: { status: upload.error.status, message: `previous_uploaded_file: ${upload.error.message}` } };
+    previous_document_text = upload.text;
+    if (upload.ocr) ocr.push({ source: 'previous_uploaded_file', ...upload.ocr });
+  }
+  const mode = body?.mode || (previous_document_text ? 'compare' : 'review');
+  if (!MODES.includes(mode)) return { error: { status: 400, message: `mode must be one of: ${MODES.join(', ')}` } };
+
+  console.log('=== START ===');
+  console.log('Inputs:', user_inputs.length);
+  console.log('Document:', document_text.length);
+
+  if (!user_inputs || !document_text) {
+    return { error: { status: 400, message: 'Both user_inputs and document_text (or uploaded_file) required' } };
+  }
+  if (mode === 'compare') {
+    if (!previous_document_text) {
+      return { error: { status: 400, message: 'Compare mode requires previous_document_text (or previous_uploaded_file)' } };
+    }
+    const { summary } = redline.compareVersions(previous_document_text, document_text);
+    if (!summary.added && !summary.removed && !summary.modified) {
+      return { error: { status: 400, message: 'The previous and revised versions have no differences to review' } };
+    }
+    console.log('Compare:', previous_document_text.length, '->', document_text.length, redline.describeSummary(summary));
+  }
+
+  let roles;
+  try {
+    roles = resolveRoles(body?.models, DEFAULT_ROLES);
+  } catch (e) {
+    return { error: { status: 400, message: e.message } };
+  }
+  console.log('Models:', describe(roles.creator), '->', describe(roles.reviewer));
+
+  const budget = parseBudget(body);
+  if (budget.error) return { error: budget.error };
+
+  // Prompt template: body.template / body.preset / body.template_variables
+  // (compare mode defaults to the "compare" template)
+  const selected = resolvePrompts('sop-reviewer', mode === 'compare' ? { ...body, template: body.template || 'compare' } : body);
+  if (selected.error) return { error: selected.error };
+  console.log('Prompts:', `${selected.prompts.id}@${selected.prompts.version}`, selected.prompts.preset || '');
+
+  // cache: "use" (default) | "bypass" (lib/cache.js)
+  const cacheMode = parseCacheMode(body);
+  if (cacheMode.error) return { error: cacheMode.error };
+
+  // adjudication: "auto" (default) | "off" (lib/consensus.js)
+  const adjudication = consensusLib.parseAdjudication(body);
+  if (adjudication.error) return { error: adjudication.error };
+
+  // chunking: { max_tokens: 200-8000 (default 2000), overlap_tokens: 0-2000 } (lib/chunker.js)
+  const chunking = parseChunking(body, 2000);
+  if (chunking.error) return { error: chunking.error };
+
+  // redaction: "off" (default) | "mask" | "tokenize" | { mode, rules, terms, patterns } (lib/redaction.js)
+  const redaction = parseRedaction(body);
+  if (redaction.error) return { error: redaction.error };
+
+  // compliance: "off" (default) | "all" | [checklist ids] (lib/compliance.js)
+  const compliance = complianceLib.parseCompliance(body);
+  if (compliance.error) return { error: compliance.error };
+
+  const input = { document_text, user_inputs, roles, chunking: chunking.chunking, budget_usd: budget.budget_usd, prompts: selected.prompts, cache: cacheMode.cache, adjudication: adjudication.adjudication };
+  if (mode === 'compare') Object.assign(input, { mode, previous_document_text });
+  if (ocr.length) input.ocr = ocr;
+  if (redaction.redaction) input.redaction = redaction.redaction;
+  if (compliance.compliance) input.compliance = compliance.compliance;
+  return { input };
+}
+
+// ---------------------- Pipeline ----------------------
+// `checkpoint` collects finished chunk reviews so an interrupted run can resume;
+// `onEvent` is awaited after every step (the job runner persists progress there);
+// `onDelta` receives the reviewers' HTML fragments as they stream (SSE mode).
+// Every model call is metered into the payload's `usage` (kept in the checkpoint across resumes).
+// A reviewer call that still fails after retries and failover is skipped and reported in
+// `degraded` (the payload is then `partial`) instead of failing the whole review.
+// Complete reviews and Reviewer 1 chunks are cached by content (lib/cache.js); `cache` reports hits.
+// With `input.redaction` the models, the checkpoint and streamed fragments only see placeholders
+// (lib/redaction.js); the payload is cached with the placeholders and restored when returned.
+async function run(input, { checkpoint = {}, onEvent = async () => {}, onDelta = null } = {}) {
+  checkpoint.usage = checkpoint.usage || [];
+  checkpoint.degraded = checkpoint.degraded || [];
+  const usage = createUsageMeter({ budget_usd: input.budget_usd, calls: checkpoint.usage });
+  // Jobs submitted before prompt templates existed run on the current default
+  const prompts = input.prompts || resolvePrompts('sop-reviewer', {}).prompts;
+  const cache = createRunCache('sop-reviewer', { ...input, prompts }, { onEvent });
+
+  const redactor = input.redaction ? createRedactor(input.redaction) : null;
+  const modelInput = redactor ? redactor.redactInput(input) : input;
+  const restored = (payload) => (redactor ? { ...redactor.restore(payload), redaction: redactor.summary() } : payload);
+  const cached = await cache.lookup(usage.summary());
+  if (cached) return restored(cached);
+
+  const raw = await meterUsage(usage, () => runReview(modelInput, prompts, { checkpoint, onEvent, onDelta, cache }));
+  const payload = {
+    ...raw,
+    prompt_template: promptInfo(prompts),
+    ai_output: raw.ai_output.replace('<body>', `<body>\n${degradedNotice(checkpoint.degraded)}${ocrNotice(input.ocr)}`),
+    ocr: input.ocr || null,
+    redaction: null,
+    partial: checkpoint.degraded.length > 0,
+    degraded: checkpoint.degraded,
+    usage: usage.summary(),
+    cache: cache.summary()
+  };
+  await cache.save(payload);
+  return restored(payload);
+}
+
+async function runReview(input, prompts, { checkpoint, onEvent, onDelta, cache }) {
+  const { document_text, user_inputs, roles } = input;
+  const degrade = (stage, index, err) => degradeStage(checkpoint, onEvent, stage, index, err);
+
+  // Streams the HTML part of a response (the findings JSON after the marker is held back)
+  const completeStreaming = async (spec, system, user, stage, index) => {
+    if (!onDelta) return complete(spec, system, user, { stage, index });
+    const deltas = findingsLib.htmlDeltas(text => onDelta({ stage, index, text }));
+    const text = await complete(spec, system, user, { stage, index, onDelta: deltas.onDelta });
+    deltas.flush();
+    return text;
+  };
+
+  // A cached response goes to a streaming client the same way, in one piece
+  const replay = (stage, index) => (text) => {
+    if (!onDelta) return;
+    const deltas = findingsLib.htmlDeltas(html => onDelta({ stage, index, text: html }));
+    deltas.onDelta(text);
+    deltas.flush();
+  };
+
+  // Compare mode: the reviewers read the change set (one heading per change) instead of the document
+  const diff = input.mode === 'compare' ? redline.compareVersions(input.previous_document_text, document_text) : null;
+  const reviewText = diff ? redline.changeSetText(diff) : document_text;
+
+  // Chunk (documents over ~10k chars) along headings, clauses and tables
+  const chunking = input.chunking || {};
+  const chunks = chunkDocument(reviewText, {
+    maxTokens: chunking.max_tokens || 2000,
+    overlapTokens: chunking.overlap_tokens,
+    splitAbove: 2500
+  });
+
+  console.log(`${chunks.length} chunks`);
+
+  // REVIEWER 1: creator role processes chunks
+  checkpoint.creator_pieces = checkpoint.creator_pieces || [];
+  const processedChunks = checkpoint.creator_pieces;
+  await onEvent({ type: 'stage_started', stage: 'creator', total: chunks.length });
+  for (let i = processedChunks.length; i < chunks.length; i++) {
+    console.log(`Chunk ${i + 1}/${chunks.length}`);
+    
+    const system = renderPrompt(prompts, 'creator.system', {
+      findings_instructions: findingsLib.PRIMARY_FINDINGS_INSTRUCTIONS
+    });
+    const user = renderPrompt(prompts, 'creator.user', {
+      user_inputs,
+      section_label: `${i + 1} of ${chunks.length}${chunks[i].heading_path.length ? ` (${chunks[i].heading_path.join(' > ')})` : ''}`,
+      section: withContext(chunks[i])
+    });
+    
+    await onEvent({ type: 'chunk_started', stage: 'creator', index: i + 1, total: chunks.length });
+    let result = '';
+    try {
+      // Unchanged sections of an edited document come from the chunk cache
+      result = await cache.chunk(roles.creator, system, user,
+        () => completeStreaming(roles.creator, system, user, 'creator', i + 1),
+        { stage: 'creator', index: i + 1, replay: replay('creator', i + 1) });
+    } catch (err) {
+      await degrade('creator', i + 1, err);
+    }
+    console.log('Reviewer 1 done:', result.length);
+    processedChunks.push(result);
+    await onEvent({ type: 'chunk_done', stage: 'creator', index: i + 1, total: chunks.length });
+    
+    if (i < chunks.length - 1) {
+      await new Promise(r => setTimeout(r, 500));
+    }
+  }
+
+  await onEvent({ type: 'stage_done', stage: 'creator' });
+  if (!processedChunks.some(Boolean)) {
+    throw new Error(`Reviewer 1 failed on every section: ${checkpoint.degraded.map(d => d.error).join('; ')}`);
+  }
+
+  // Separate each chunk's HTML from its findings JSON
+  const primary = findingsLib.collectPrimaryFindings(processedChunks);
+  const sanitization = createReport();
+  const primaryReview = sanitizeHtml(primary.html, sanitization, 'reviewer_1');
+  console.log('Reviewer 1 total:', primaryReview.length, 'findings:', primary.findings.length);
+
+  // REVIEWER 2: reviewer role QA and additional findings
+  console.log('Reviewer 2 review...');
+  await onEvent({ type: 'stage_started', stage: 'reviewer' });
+  
+  if (typeof checkpoint.reviewer_raw !== 'string') {
+    const secondarySystem = renderPrompt(prompts, 'reviewer.system', {
+      findings_instructions: findingsLib.SECONDARY_FINDINGS_INSTRUCTIONS
+    });
+    const secondaryUser = renderPrompt(prompts, 'reviewer.user', {
+      user_inputs,
+      document_excerpt: reviewText.substring(0, 30000),
+      primary_review: primaryReview,
+      primary_findings: findingsLib.findingsForPrompt(primary.findings)
+    });
+
+    try {
+      checkpoint.reviewer_raw = await completeStreaming(roles.reviewer, secondarySystem, secondaryUser, 'reviewer', 1);
+      await onEvent({ type: 'checkpoint', stage: 'reviewer' });
+    } catch (err) {
+      await degrade('reviewer', 1, err);
+    }
+  }
+  const secondaryRaw = checkpoint.reviewer_raw ?? '';
+  console.log('Reviewer 2 done:', secondaryRaw.length);
+
+  // Link Reviewer 2 verdicts to Reviewer 1 finding IDs
+  const secondary = findingsLib.splitReviewerOutput(secondaryRaw);
+  const secondaryReview = sanitizeHtml(secondary.html, sanitization, 'reviewer_2');
+  const reviewed = findingsLib.applySecondaryReview(primary.findings, secondary.items);
+  const { unmatched } = reviewed;
+  await onEvent({ type: 'stage_done', stage: 'reviewer' });
+
+  // ADJUDICATOR: rules on the findings the reviewers disagree on
+  const items = consensusLib.findingConsensus(reviewed.findings);
+  const adjudication = await consensusLib.runAdjudication('finding', items, reviewText, {
+    mode: input.adjudication, spec: roles.adjudicator, prompts, checkpoint, onEvent, degrade
+  });
+  const findings = findingsLib.applyAdjudication(reviewed.findings, items);
+  const consensus = consensusLib.summarizeConsensus(items, adjudication);
+
+  // Evidence check: the quotes and clauses findings cite must exist in the SOP
+  // (in compare mode, removed text is quoted from the previous version)
+  grounding.groundFindings(findings, grounding.createSourceIndex([
+    { id: 'document', text: document_text },
+    ...(diff ? [{ id: 'previous', text: input.previous_document_text }] : [])
+  ]));
+
+  // COMPLIANCE: Reviewer 1 maps the SOP (the revised version in compare mode) to each checklist's clauses
+  const compliance = await complianceLib.runCompliance(input.compliance, {
+    documentText: document_text, userInputs: user_inputs, spec: roles.creator, prompts, checkpoint, onEvent, degrade
+  });
+  
+  console.log('=== DONE ===');
+
+  // Compile final professional document
+  const finalDocument = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <style>
+    body {
+      font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+      line-height: 1.6;
+      color: #333;
+      max-width: 1200px;
+      margin: 0 auto;
+      padding: 20px;
+      background: #f9f9f9;
+    }
+    .header {
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      color: white;
+      padding: 30px;
+      border-radius: 10px;
+      margin-bottom: 30px;
+      box-shadow: 0 4px 6px rgba(0,0,0,0.1);
+    }
+    .header h1 {
+      margin: 0 0 10px 0;
+      font-size: 28px;
+    }
+    .header p {
+      margin: 5px 0;
+      opacity: 0.9;
+      font-size: 14px;
+    }
+    .review-section {
+      background: white;
+      padding: 30px;
+      margin-bottom: 25px;
+      border-radius: 10px;
+      box-shadow: 0 2px 4px rgba(0,0,0,0.08);
+    }
+    .reviewer-badge {
+      display: inline-block;
+      padding: 8px 16px;
+      border-radius: 20px;
+      font-weight: 600;
+      font-size: 13px;
+      margin-bottom: 15px;
+      text-transform: uppercase;
+      letter-spacing: 0.5px;
+    }
+    .reviewer-1 {
+      background: #e3f2fd;
+      color: #1565c0;
+      border-left: 4px solid #1565c0;
+    }
+    .reviewer-2 {
+      background: #f3e5f5;
+      color: #6a1b9a;
+      border-left: 4px solid #6a1b9a;
+    }
+    h2 {
+      color: #2c3e50;
+      border-bottom: 3px solid #667eea;
+      padding-bottom: 10px;
+      margin-top: 0;
+      font-size: 22px;
+    }
+    h3 {
+      color: #34495e;
+      margin-top: 25px;
+      font-size: 18px;
+    }
+    p {
+      margin: 12px 0;
+      text-align: justify;
+    }
+    ul, ol {
+      margin: 15px 0;
+      padding-left: 25px;
+    }
+    li {
+      margin: 8px 0;
+    }
+    strong {
+      color: #2c3e50;
+      font-weight: 600;
+    }
+    table {
+      width: 100%;
+      border-collapse: collapse;
+      margin: 20px 0;
+      background: white;
+    }
+    th {
+      background: #667eea;
+      color: white;
+      padding: 12px;
+      text-align: left;
+      font-weight: 600;
+    }
+    td {
+      padding: 10px 12px;
+      border-bottom: 1px solid #e0e0e0;
+    }
+    tr:hover {
+      background: #f5f5f5;
+    }
+    .criteria-box {
+      background: #fff3cd;
+      border-left: 4px solid #ffc107;
+      padding: 15px;
+      margin: 20px 0;
+      border-radius: 5px;
+    }
+    .footer {
+      text-align: center;
+      margin-top: 40px;
+      padding: 20px;
+      color: #7f8c8d;
+      font-size: 13px;
+      border-top: 1px solid #e0e0e0;
+    }
+  </style>
+</head>
+<body>
+
+  <div class="header">
+    <h1>📋 SOP Dual Review Report</h1>
+    <p><strong>Generated:</strong> ${new Date().toLocaleString()}</p>
+    <p><strong>Review Type:</strong> Comprehensive Regulatory Compliance & Quality Assessment</p>
+    <p><strong>Document Size:</strong> ${Math.round(document_text.length / 1024)} KB | <strong>Sections Analyzed:</strong> ${chunks.length}</p>${diff ? `
+    <p><strong>Revision Compared:</strong> ${redline.describeSummary(diff.summary)}</p>` : ''}
+  </div>
+
+  <div class="criteria-box">
+    <strong>📌 Review Criteria Provided by User:</strong><br>
+    ${escapeHtml(user_inputs).replace(/\n/g, '<br>')}
+  </div>
+${grounding.renderGroundingHtml(findings, 'finding_id')}
+
+  <div class="review-section reviewer-1">
+    <span class="reviewer-badge reviewer-1">👤 Reviewer 1 - Primary Analysis</span>
+    <h2>Primary Compliance & Quality Review</h2>
+    ${primaryReview}
+  </div>
+
+  <div class="review-section reviewer-2">
+    <span class="reviewer-badge reviewer-2">👤 Reviewer 2 - Secondary QA Review</span>
+    <h2>Quality Assurance & Verification</h2>
+    ${secondaryReview}
+  </div>
+${complianceLib.renderComplianceHtml(compliance)}
+  <div class="review-section">
+    ${consensusLib.renderConsensusHtml(consensus, { creator: 'Reviewer 1', reviewer: 'Reviewer 2' })}
+  </div>
+
+  <div class="footer">
+    <p>This report was generated using dual AI reviewer system: ${escapeHtml(describe(roles.creator))} (Primary) &amp; ${escapeHtml(describe(roles.reviewer))} (QA)</p>
+    <p>Confidential Document - For Internal Use Only</p>
+  </div>
+
+</body>
+</html>
+`;
+
+  return {
+    success: true,
+    ai_draft: primaryReview,  // Raw Reviewer 1 review
+    ai_output: finalDocument,  // Formatted dual-review document
+    gpt_review: secondaryReview,  // Raw Reviewer 2 review
+    findings,  // Structured findings with Reviewer 2 verdicts
+    findings_summary: findingsLib.summarize(findings),
+    consensus,  // Agreement score, disputed findings and the adjudicator's rulings
+    grounding: grounding.summarizeGrounding(findings),  // Findings whose citations were (not) found in the SOP
+    compliance,  // Clause coverage and gaps per regulatory checklist (null when off)
+    sanitization,  // Tags and attributes stripped from the reviewers' HTML
+    findings_report: {
+      reviewer_1_unparsed_sections: primary.parse_errors,
+      reviewer_2_parsed: !!secondary.items,
+      unmatched_verdicts: unmatched,
+      schema_issues: findingsLib.validateFindings(findings)
+    },
+    // Compare mode: the changes and the redline of the revised version with inline findings
+    ...(diff ? {
+      redline: { summary: diff.summary, changes: diff.changes },
+      redline_html: redline.renderRedline(diff, findings)
+    } : {}),
+    chunks_processed: chunks.length,
+    models: { creator: describe(roles.creator), reviewer: describe(roles.reviewer), ...(roles.adjudicator ? { adjudicator: describe(roles.adjudicator) } : {}) },
+    timestamp: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  STAGES: ['creator', 'reviewer', 'adjudicator', 'compliance'],
+  prepare,
+  run
+};
@@ -0,0 +1,255 @@
+// prompts/index.js
+// Versioned prompt templates. A template lives at <pipeline>/<name>.v<version>.txt: a JSON header
+// (description, variables with their defaults) followed by sections such as
+//   === creator.user ===
+//   ...prompt text with {{variables}}...
+// A line holding nothing but one {{variable}} disappears when the value is empty.
+// Requests pick a template with `template` ("default", or "default@1" to pin a version) and/or an
+// audit-type `preset` (presets.json), and may override declared variables with `template_variables`.
+// The response's `prompt_template` records the template, version, preset and a fingerprint.
+// PROMPT_TEMPLATES_DIR adds templates (or newer versions) and a presets.json without a code change.
+// shared/ holds the prompts of optional stages that are not part of a pipeline's own template
+// (adjudicator, rcm, compliance); a run uses the newest version of each its pipeline lists.
+// A template file is never edited once shipped: changed text goes into a new version, so a
+// version always identifies the prompt a result was produced with.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const BUILTIN_DIR = __dirname;
+const FILE_PATTERN = /^([a-z0-9_-]+)\.v(\d+)\.txt$/i;
+const SECTION_PATTERN = /^=== ([a-z0-9_.-]+) ===$/i;
+const VARIABLE_PATTERN = /\{\{\s*([a-z0-9_]+)\s*\}\}/gi;
+const SHARED = 'shared';
+
+// ---------------------- Loading ----------------------
+function parseTemplate(text, { pipeline, name, version, file }) {
+  const lines = text.replace(/\r\n?/g, '\n').replace(/\n$/, '').split('\n');
+  const first = lines.findIndex(line => SECTION_PATTERN.test(line));
+  if (first === -1) throw new Error(`Prompt template ${file} has no sections`);
+
+  let header;
+  try {
+    header = JSON.parse(lines.slice(0, first).join('\n') || '{}');
+  } catch (e) {
+    throw new Error(`Prompt template ${file} has an invalid JSON header: ${e.message}`);
+  }
+
+  const sections = {};
+  let current = null;
+  for (const line of lines.slice(first)) {
+    const m = line.match(SECTION_PATTERN);
+    if (m) {
+      current = m[1];
+      sections[current] = [];
+    } else {
+      sections[current].push(line);
+    }
+  }
+  for (const key of Object.keys(sections)) sections[key] = sections[key].join('\n');
+
+  return {
+    pipeline,
+    name,
+    version,
+    description: header.description || '',
+    variables: header.variables || {},
+    pipelines: header.pipelines || null,
+    sections
+  };
+}
+
+function scanDir(dir, templates) {
+  let pipelines = [];
+  try {
+    pipelines = fs.readdirSync(dir, { withFileTypes: true }).filter(d => d.isDirectory()).map(d => d.name);
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+    return;
+  }
+  for (const pipeline of pipelines) {
+    for (const file of fs.readdirSync(path.join(dir, pipeline))) {
+      const m = file.match(FILE_PATTERN);
+      if (!m) continue;
+      const full = path.join(dir, pipeline, file);
+      const template = parseTemplate(fs.readFileSync(full, 'utf8'), { pipeline, name: m[1], version: Number(m[2]), file: full });
+      // Later directories override earlier ones for the same name and version
+      templates.set(`${pipeline}/${template.name}@${template.version}`, template);
+    }
+  }
+}
+
+function readPresets(dir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, 'presets.json'), 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return {};
+    throw new Error(`Invalid presets.json in ${dir}: ${e.message}`);
+  }
+}
+
+let library = null;
+
+function loadLibrary() {
+  if (library) return library;
+  const dirs = [BUILTIN_DIR, process.env.PROMPT_TEMPLATES_DIR].filter(Boolean);
+  const templates = new Map();
+  const presets = {};
+  for (const dir of dirs) {
+    scanDir(dir, templates);
+    Object.assign(presets, readPresets(dir));
+  }
+  library = { templates, presets };
+  return library;
+}
+
+// Versions of a template, newest first
+function versionsOf(pipeline, name) {
+  return [...loadLibrary().templates.values()]
+    .filter(t => t.pipeline === pipeline && t.name === name)
+    .sort((a, b) => b.version - a.version);
+}
+
+function listTemplates(pipeline) {
+  const names = new Set([...loadLibrary().templates.values()].filter(t => t.pipeline === pipeline).map(t => t.name));
+  return [...names].map(name => {
+    const versions = versionsOf(pipeline, name);
+    return { name, versions: versions.map(t => t.version), description: versions[0].description };
+  });
+}
+
+function listPresets(pipeline) {
+  return Object.entries(loadLibrary().presets)
+    .filter(([, preset]) => preset[pipeline])
+    .map(([id, preset]) => ({ id, label: preset.label || id }));
+}
+
+// ---------------------- Selection ----------------------
+function presetKey(value) {
+  return String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+function fingerprint(sections, variables, shared = {}) {
+  const stages = Object.values(shared).map(s => [s.id, s.version, s.sections]);
+  return crypto.createHash('sha256').update(JSON.stringify([sections, variables, stages])).digest('hex').slice(0, 16);
+}
+
+// The newest version of the shared stage templates a pipeline uses (the header's "pipelines"),
+// in the same shape as a pipeline's prompts
+function sharedPrompts(pipeline) {
+  const shared = {};
+  for (const { name } of listTemplates(SHARED)) {
+    const template = versionsOf(SHARED, name)[0];
+    if (template.pipelines && !template.pipelines.includes(pipeline)) continue;
+    shared[name] = { id: `${SHARED}/${name}`, version: template.version, variables: { ...template.variables }, sections: template.sections };
+  }
+  return shared;
+}
+
+/**
+ * Pick the prompt template for a request: body.template / body.preset / body.template_variables.
+ * Returns { prompts } (serializable, stored on the pipeline input so a resumed job keeps its
+ * prompts) or { error: { status: 400, message } }.
+ */
+function resolvePrompts(pipeline, body) {
+  const options = body && typeof body === 'object' ? body : {};
+  const { presets } = loadLibrary();
+
+  let preset = null;
+  if (options.preset !== undefined && options.preset !== null && options.preset !== '') {
+    const key = presetKey(options.preset);
+    preset = presets[key]?.[pipeline] ? { id: key, ...presets[key][pipeline] } : null;
+    if (!preset) {
+      const known = listPresets(pipeline).map(p => p.id);
+      return { error: { status: 400, message: `Unknown preset "${options.preset}" for ${pipeline}. Available: ${known.join(', ') || 'none'}` } };
+    }
+  }
+
+  const requested = String(options.template || preset?.template || 'default').trim();
+  const [name, pinned] = requested.split('@');
+  const versions = versionsOf(pipeline, name);
+  const template = pinned ? versions.find(t => t.version === Number(pinned)) : versions[0];
+  if (!template) {
+    const known = listTemplates(pipeline).map(t => `${t.name}@${t.versions.join('|')}`);
+    return { error: { status: 400, message: `Unknown prompt template "${requested}" for ${pipeline}. Available: ${known.join(', ')}` } };
+  }
+
+  const overrides = options.template_variables || {};
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return { error: { status: 400, message: 'template_variables must be an object' } };
+  }
+  const unknown = Object.keys(overrides).filter(k => !(k in template.variables));
+  if (unknown.length) {
+    return {
+      error: {
+        status: 400,
+        message: `template_variables not declared by ${pipeline}/${template.name}@${template.version}: ${unknown.join(', ')} (declared: ${Object.keys(template.variables).join(', ')})`
+      }
+    };
+  }
+
+  const variables = { ...template.variables, ...(preset?.variables || {}) };
+  for (const [key, value] of Object.entries(overrides)) variables[key] = String(value ?? '');
+  const shared = sharedPrompts(pipeline);
+
+  return {
+    prompts: {
+      id: `${pipeline}/${template.name}`,
+      version: template.version,
+      preset: preset?.id || null,
+      variables,
+      sections: template.sections,
+      shared,
+      fingerprint: fingerprint(template.sections, variables, shared)
+    }
+  };
+}
+
+// ---------------------- Rendering ----------------------
+/**
+ * Render one section with the template's variables plus the run's `values`
+ * (document text, user inputs and blocks computed by the pipeline).
+ */
+function renderPrompt(prompts, section, values = {}) {
+  const text = prompts.sections[section];
+  if (typeof text !== 'string') throw new Error(`Prompt template ${prompts.id}@${prompts.version} has no "${section}" section`);
+  const vars = { ...prompts.variables, ...values };
+  const valueOf = (key) => (vars[key] === undefined || vars[key] === null ? '' : String(vars[key]));
+
+  return text.split('\n').map(line => {
+    const standalone = line.match(/^\{\{\s*([a-z0-9_]+)\s*\}\}$/i);
+    if (standalone && !valueOf(standalone[1])) return null;
+    return line.replace(VARIABLE_PATTERN, (_, key) => valueOf(key));
+  }).filter(line => line !== null).join('\n');
+}
+
+/**
+ * A shared stage template (adjudicator, rcm, compliance) for a run: the one stored with the
+ * run's prompts, or the newest one for inputs prepared before it existed.
+ */
+function stagePrompts(prompts, name) {
+  const stage = prompts?.shared?.[name] || sharedPrompts(prompts?.id?.split('/')[0])[name];
+  if (!stage) throw new Error(`No shared prompt template "${name}"`);
+  return stage;
+}
+
+// What the response records about the prompts used
+function promptInfo(prompts) {
+  return {
+    template: prompts.id,
+    version: prompts.version,
+    preset: prompts.preset,
+    shared: Object.values(prompts.shared || {}).map(s => ({ template: s.id, version: s.version })),
+    fingerprint: prompts.fingerprint
+  };
+}
+
+module.exports = {
+  listTemplates,
+  listPresets,
+  resolvePrompts,
+  renderPrompt,
+  stagePrompts,
+  promptInfo
+};
@@ -0,0 +1,418 @@
+// providers.js
+// Shared LLM provider registry used by both API handlers.
+// Each pipeline role ("creator", "reviewer", "adjudicator") resolves to a provider + model,
+// chosen per request (body.models) or per environment (LLM_CREATOR / LLM_REVIEWER / LLM_ADJUDICATOR).
+
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { StringDecoder } = require('string_decoder');
+const { AsyncLocalStorage } = require('async_hooks');
+const { estimateTokens } = require('./chunker');
+const { withRetries, isOutage } = require('./retry');
+
+const ROLES = ['creator', 'reviewer', 'adjudicator'];
+
+// ---------------------- Streaming ----------------------
+// Feed every "data:" line of a server-sent event stream to onData.
+async function readEventStream(stream, onData) {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+  const flushLines = (final) => {
+    let idx;
+    while ((idx = buffer.indexOf('\n')) !== -1 || (final && buffer)) {
+      const line = (idx === -1 ? buffer : buffer.slice(0, idx)).replace(/\r$/, '');
+      buffer = idx === -1 ? '' : buffer.slice(idx + 1);
+      if (line.startsWith('data:')) onData(line.slice(5).trim());
+    }
+  };
+  for await (const chunk of stream) {
+    buffer += decoder.write(chunk);
+    flushLines(false);
+  }
+  buffer += decoder.end();
+  flushLines(true);
+}
+
+// With responseType "stream" an error body is a stream too; read it so callers can report it
+async function streamingError(err) {
+  const body = err.response?.data;
+  if (body && typeof body.on === 'function') {
+    let text = '';
+    try {
+      for await (const chunk of body) text += chunk.toString('utf8');
+      err.response.data = JSON.parse(text);
+    } catch (e) {
+      err.response.data = text || null;
+    }
+  }
+  return err;
+}
+
+async function postStream(url, payload, { headers, timeout }, onEvent) {
+  let response;
+  try {
+    response = await axios.post(url, payload, { headers, timeout, responseType: 'stream' });
+  } catch (err) {
+    throw await streamingError(err);
+  }
+  await readEventStream(response.data, (data) => {
+    if (!data || data === '[DONE]') return;
+    let event;
+    try {
+      event = JSON.parse(data);
+    } catch (e) {
+      return;
+    }
+    onEvent(event);
+  });
+}
+
+// ---------------------- Backends ----------------------
+// Every backend resolves to { text, usage } where usage is { input_tokens, output_tokens }
+// from the provider's response, or null when it did not report one.
+function tokenUsage(input, output) {
+  return Number.isFinite(input) && Number.isFinite(output) ? { input_tokens: input, output_tokens: output } : null;
+}
+
+async function callAnthropic({ model, system, user, maxTokens, temperature, timeout, onDelta }) {
+  const payload = {
+    model,
+    max_tokens: maxTokens,
+    system,
+    messages: [{ role: 'user', content: user }]
+  };
+  if (typeof temperature === 'number') payload.temperature = temperature;
+
+  const url = 'https://api.anthropic.com/v1/messages';
+  const options = {
+    headers: {
+      'x-api-key': process.env.ANTHROPIC_API_KEY,
+      'anthropic-version': '2023-06-01',
+      'content-type': 'application/json'
+    },
+    timeout
+  };
+
+  if (onDelta) {
+    let text = '';
+    const usage = {};
+    await postStream(url, { ...payload, stream: true }, options, (event) => {
+      if (event.type === 'error') {
+        // e.g. overloaded_error, which the retry policy treats like a 529
+        throw Object.assign(new Error(event.error?.message || 'Anthropic stream error'), { code: event.error?.type });
+      }
+      if (event.type === 'message_start') Object.assign(usage, event.message?.usage);
+      if (event.type === 'message_delta') Object.assign(usage, event.usage);
+      if (event.type === 'content_block_delta' && event.index === 0 && typeof event.delta?.text === 'string') {
+        text += event.delta.text;
+        onDelta(event.delta.text);
+      }
+    });
+    return { text, usage: tokenUsage(usage.input_tokens, usage.output_tokens) };
+  }
+
+  const { data } = await axios.post(url, payload, options);
+  return {
+    text: data?.content?.[0]?.text ?? '',
+    usage: tokenUsage(data?.usage?.input_tokens, data?.usage?.output_tokens)
+  };
+}
+
+// OpenAI and any OpenAI-compatible server (Ollama, vLLM, llama.cpp, LM Studio...)
+async function callChatCompletions(baseUrl, apiKey, { model, system, user, maxTokens, temperature, timeout, onDelta }) {
+  const payload = {
+    model,
+    messages: [
+      { role: 'system', content: system },
+      { role: 'user', content: user }
+    ],
+    max_tokens: maxTokens
+  };
+  if (typeof temperature === 'number') payload.temperature = temperature;
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+  if (onDelta) {
+    let text = '';
+    let usage = null;
+    // include_usage adds a last chunk carrying the usage block (servers without it just omit it)
+    const streamPayload = { ...payload, stream: true, stream_options: { include_usage: true } };
+    await postStream(url, streamPayload, { headers, timeout }, (event) => {
+      if (event.error) throw new Error(event.error.message || 'Chat completions stream error');
+      if (event.usage) usage = event.usage;
+      const delta = event.choices?.[0]?.delta?.content;
+      if (typeof delta === 'string' && delta) {
+        text += delta;
+        onDelta(delta);
+      }
+    });
+    return { text, usage: tokenUsage(usage?.prompt_tokens, usage?.completion_tokens) };
+  }
+
+  const { data } = await axios.post(url, payload, {
+    headers,
+    timeout
+  });
+  return {
+    text: data?.choices?.[0]?.message?.content ?? '',
+    usage: tokenUsage(data?.usage?.prompt_tokens, data?.usage?.completion_tokens)
+  };
+}
+
+// Fixture replay: responses are looked up by a hash of the prompt pair, so a
+// recorded run can be replayed offline without API keys. fixtures/llm holds the
+// recorded SOP review that test/replay.test.js runs.
+function fixtureKey(system, user) {
+  return crypto.createHash('sha256').update(JSON.stringify([system, user])).digest('hex').slice(0, 24);
+}
+
+function replayDir() {
+  return process.env.LLM_REPLAY_DIR || path.join(process.cwd(), 'fixtures', 'llm');
+}
+
+async function callReplay({ system, user, onDelta }) {
+  const key = fixtureKey(system, user);
+  const file = path.join(replayDir(), `${key}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No replay fixture for prompt ${key} in ${replayDir()}`);
+  }
+  const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const text = typeof fixture.text === 'string' ? fixture.text : '';
+  if (onDelta && text) onDelta(text);
+  return { text, usage: null };
+}
+
+function recordFixture(spec, system, user, text) {
+  const dir = process.env.LLM_RECORD_DIR;
+  if (!dir) return;
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    const key = fixtureKey(system, user);
+    const fixture = {
+      key,
+      recorded_from: describe(spec),
+      recorded_at: new Date().toISOString(),
+      system,
+      user,
+      text
+    };
+    fs.writeFileSync(path.join(dir, `${key}.json`), JSON.stringify(fixture, null, 2));
+  } catch (e) {
+    console.warn('Fixture recording failed:', e.message || e);
+  }
+}
+
+// ---------------------- Registry ----------------------
+const PROVIDERS = {
+  anthropic: {
+    defaultModel: 'claude-sonnet-4-20250514',
+    maxTokens: 16000,
+    call: callAnthropic
+  },
+  openai: {
+    defaultModel: 'gpt-4-turbo-preview',
+    maxTokens: 4000,
+    call: (opts) => callChatCompletions(
+      process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      process.env.OPENAI_API_KEY,
+      opts
+    )
+  },
+  local: {
+    defaultModel: process.env.LLM_LOCAL_MODEL || 'llama3.1',
+    maxTokens: 4000,
+    call: (opts) => callChatCompletions(
+      process.env.LLM_LOCAL_BASE_URL || 'http://localhost:11434/v1',
+      process.env.LLM_LOCAL_API_KEY,
+      opts
+    )
+  },
+  replay: {
+    defaultModel: 'fixture',
+    maxTokens: 0,
+    call: callReplay
+  }
+};
+
+// Accepts "provider", "provider:model" or { provider, model, temperature, max_tokens, fallback }.
+function parseSpec(value) {
+  if (!value) return null;
+  if (typeof value === 'string') {
+    const idx = value.indexOf(':');
+    return idx === -1
+      ? { provider: value.trim() }
+      : { provider: value.slice(0, idx).trim(), model: value.slice(idx + 1).trim() };
+  }
+  if (typeof value === 'object') {
+    return {
+      provider: value.provider,
+      model: value.model,
+      temperature: value.temperature,
+      max_tokens: value.max_tokens,
+      fallback: value.fallback
+    };
+  }
+  return null;
+}
+
+function normalizeSpec(spec, fallback) {
+  const s = spec || {};
+  const provider = String(s.provider || fallback.provider || '').toLowerCase();
+  const backend = PROVIDERS[provider];
+  if (!backend) {
+    throw new Error(`Unknown LLM provider "${s.provider}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  // Switching provider must not inherit the fallback's model or token limit.
+  const sameProvider = provider === String(fallback.provider || '').toLowerCase();
+  const maxTokens = Number(s.max_tokens) > 0
+    ? Number(s.max_tokens)
+    : (sameProvider && fallback.max_tokens) || backend.maxTokens;
+  return {
+    provider,
+    model: s.model || (sameProvider && fallback.model) || backend.defaultModel,
+    temperature: typeof s.temperature === 'number' ? s.temperature : fallback.temperature,
+    max_tokens: maxTokens
+  };
+}
+
+// ---------------------- Failover ----------------------
+// When a role's provider is down the call moves to its fallback: models.<role>.fallback,
+// else LLM_<ROLE>_FALLBACK, else the other hosted provider when its API key is configured.
+// LLM_FAILOVER=off disables it.
+const DEFAULT_FALLBACKS = {
+  anthropic: { provider: 'openai', key: 'OPENAI_API_KEY' },
+  openai: { provider: 'anthropic', key: 'ANTHROPIC_API_KEY' }
+};
+
+function resolveFallback(role, spec, requested) {
+  if (String(process.env.LLM_FAILOVER || '').toLowerCase() === 'off') return null;
+  let fallback = parseSpec(requested) || parseSpec(process.env[`LLM_${role.toUpperCase()}_FALLBACK`]);
+  if (!fallback) {
+    const other = DEFAULT_FALLBACKS[spec.provider];
+    if (!other || !process.env[other.key]) return null;
+    fallback = { provider: other.provider };
+  }
+  const resolved = normalizeSpec(fallback, {});
+  if (resolved.provider === spec.provider && resolved.model === spec.model) return null;
+  return resolved;
+}
+
+/**
+ * Resolve the provider/model for every role, each with its failover `fallback` spec (or null).
+ * Precedence: request body `models` > LLM_<ROLE> env var > endpoint defaults.
+ * Throws on unknown providers so the handler can answer 400.
+ */
+function resolveRoles(requested, defaults) {
+  const roles = {};
+  // A pipeline only gets the roles it has defaults for (the finding drafter has no adjudicator)
+  for (const role of ROLES.filter(r => defaults[r])) {
+    const fromEnv = parseSpec(process.env[`LLM_${role.toUpperCase()}`]);
+    const fromRequest = parseSpec(requested?.[role]);
+    const base = normalizeSpec(fromEnv, defaults[role]);
+    const spec = fromRequest ? normalizeSpec(fromRequest, base) : base;
+    roles[role] = { ...spec, fallback: resolveFallback(role, spec, fromRequest?.fallback) };
+  }
+  return roles;
+}
+
+function describe(spec) {
+  return `${spec.provider}:${spec.model}`;
+}
+
+// ---------------------- Usage ----------------------
+// Meters see every completion made inside meterUsage(meter, fn), nested meters included
+// (a request's quota meter around a run's cost meter). A meter has record(call) and
+// optionally check(spec, system, user), which may throw (or reject) to stop a call before it is made.
+const usageMeters = new AsyncLocalStorage();
+
+function meterUsage(meter, fn) {
+  return usageMeters.run([...(usageMeters.getStore() || []), meter], fn);
+}
+
+// A call that failed after retries (and failover): the pipelines degrade the stage instead of failing
+function providerFailure(err, spec) {
+  err.llm = {
+    provider: spec.provider,
+    model: spec.model,
+    status: err.response?.status || null,
+    attempts: err.attempts || 1,
+    outage: isOutage(err)
+  };
+  return err;
+}
+
+/**
+ * Run one prompt on the role's provider and return the response text.
+ * Transient failures are retried with backoff (lib/retry.js); when the provider stays down the
+ * call fails over to `spec.fallback`. Errors that escape carry `err.llm` (provider, status, attempts).
+ * With `onDelta`, the response is streamed and each text fragment is passed on as it arrives;
+ * once a fragment has been passed on, the call is no longer retried.
+ * `stage` / `index` label the call in the usage report (e.g. "creator" chunk 3, "repair").
+ */
+async function complete(spec, system, user, { timeout = 120000, onDelta = null, stage = null, index = null } = {}) {
+  const meters = usageMeters.getStore() || [];
+  for (const meter of meters) await meter.check?.(spec, system, user);
+
+  let streamed = false;
+  const relay = onDelta ? (text) => { streamed = true; onDelta(text); } : null;
+  const targets = spec.fallback ? [spec, spec.fallback] : [spec];
+
+  let lastError = null;
+  let lastTarget = spec;
+  for (const target of targets) {
+    if (lastError) console.warn(`=== FAILOVER ${describe(lastTarget)} -> ${describe(target)} ===`, lastError.message);
+    const started = Date.now();
+    let attempts = 0;
+    try {
+      const { text, usage } = await withRetries(async (attempt) => {
+        attempts = attempt + 1;
+        return PROVIDERS[target.provider].call({
+          model: target.model,
+          system,
+          user,
+          maxTokens: target.max_tokens,
+          temperature: target.temperature,
+          timeout,
+          onDelta: relay
+        });
+      }, {
+        shouldRetry: () => !streamed,
+        onRetry: (err, n, delay) => console.warn(`${describe(target)} failed (${err.response?.status || err.code || err.message}), retry ${n} in ${Math.round(delay)}ms`)
+      });
+      if (target.provider !== 'replay') recordFixture(target, system, user, text);
+
+      const call = {
+        stage,
+        index,
+        provider: target.provider,
+        model: target.model,
+        input_tokens: usage ? usage.input_tokens : estimateTokens(system) + estimateTokens(user),
+        output_tokens: usage ? usage.output_tokens : estimateTokens(text),
+        estimated: !usage,
+        latency_ms: Date.now() - started,
+        attempts
+      };
+      if (target !== spec) call.failover_from = describe(spec);
+      for (const meter of meters) meter.record(call);
+      return text;
+    } catch (err) {
+      lastError = providerFailure(err, target);
+      lastTarget = target;
+      if (!isOutage(err) || streamed) break;
+    }
+  }
+  throw lastError;
+}
+
+module.exports = {
+  PROVIDERS,
+  resolveRoles,
+  complete,
+  meterUsage,
+  describe,
+  fixtureKey
+};
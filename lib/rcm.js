@@ -0,0 +1,304 @@
+// rcm.js
+// Risk and control matrix (orchestrator `mode: "rcm"`). After the working program is final, one
+// more call (reviewer role) derives the RCM from the document: the risks with likelihood and impact
+// ratings, the key controls that mitigate them (preventive/detective, manual/automated, frequency)
+// and, for each control, the working program procedures that test it. The links are checked here:
+//   - procedure IDs the model cites must exist; a procedure whose assertion_or_control_ref names
+//     a control (C3) is linked to it as well
+//   - a risk is `tested` when one of its controls has a procedure, `untested` when its controls
+//     have none and `no_controls` when nothing mitigates it; both of the latter are coverage gaps
+// Ratings: likelihood x impact (low 1, medium 2, high 3) gives a score of 1-9, rated high from 6
+// and medium from 3. See schemas/risk-control-matrix.schema.json; the prompt is lib/prompts/shared/rcm.
+
+const Ajv = require('ajv');
+const schema = require('./schemas/risk-control-matrix.schema.json');
+const { complete, describe } = require('./providers');
+const { escapeHtml } = require('./html');
+const { safeParseJson } = require('./json');
+const { renderPrompt, stagePrompts } = require('./prompts');
+
+const ajv = new Ajv({ allErrors: true });
+const validateRcm = ajv.compile(schema);
+
+const MODES = ['program', 'rcm'];
+const LEVELS = ['low', 'medium', 'high'];
+const CONTROL_FREQUENCIES = schema.definitions.control.properties.frequency.enum.filter(Boolean);
+
+// ---------------------- Prompt ----------------------
+function procedureSummary(p) {
+  return {
+    procedure_id: p.procedure_id,
+    procedure_text: String(p.procedure_text || '').slice(0, 300),
+    assertion_or_control_ref: p.assertion_or_control_ref || '',
+    risk_addressed: p.risk_addressed || ''
+  };
+}
+
+function buildRcmPrompt(prompts, documentText, procedures, userInputs = '') {
+  const template = stagePrompts(prompts, 'rcm');
+  return {
+    system: renderPrompt(template, 'system'),
+    user: renderPrompt(template, 'user', {
+      document_text: documentText,
+      user_inputs: userInputs,
+      procedures: JSON.stringify(procedures.map(procedureSummary)),
+      frequencies: CONTROL_FREQUENCIES.map(f => `"${f}"`).join(', ')
+    })
+  };
+}
+
+// ---------------------- Normalization ----------------------
+function text(value) {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'string' ? value.trim() : String(value);
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function ids(value) {
+  const list = Array.isArray(value) ? value : typeof value === 'string' ? value.split(/[,;]/) : [];
+  return [...new Set(list.map(text).filter(Boolean))];
+}
+
+// "High", "H", 4 (of 5) -> high
+function level(value) {
+  if (typeof value === 'number') return value >= 4 ? 'high' : value >= 3 ? 'medium' : 'low';
+  const v = text(value).toLowerCase();
+  if (/^\d+$/.test(v)) return level(Number(v));
+  if (/^(h|high|very high|critical|major|severe|catastrophic|likely|almost certain)/.test(v)) return 'high';
+  if (/^(m|med|medium|moderate|possible)/.test(v)) return 'medium';
+  if (/^(l|low|very low|minor|negligible|insignificant|rare|unlikely|remote)/.test(v)) return 'low';
+  return null;
+}
+
+function rate(likelihood, impact) {
+  const score = (LEVELS.indexOf(likelihood) + 1) * (LEVELS.indexOf(impact) + 1);
+  return { score, rating: score >= 6 ? 'high' : score >= 3 ? 'medium' : 'low' };
+}
+
+function controlType(value) {
+  const v = text(value).toLowerCase();
+  if (/prevent/.test(v)) return 'preventive';
+  if (/detect/.test(v)) return 'detective';
+  return null;
+}
+
+function controlNature(value) {
+  const v = text(value).toLowerCase();
+  // IT-dependent manual controls are performed by a person
+  if (/manual|it[\s-]?dependent/.test(v)) return 'manual';
+  if (/auto|system|application/.test(v)) return 'automated';
+  return null;
+}
+
+function controlFrequency(value) {
+  const v = text(value).toLowerCase().replace(/[\s-]+/g, '_');
+  if (CONTROL_FREQUENCIES.includes(v)) return v;
+  if (/transaction|each|every|occurrence|event/.test(v)) return 'per_transaction';
+  if (/continu|real_?time/.test(v)) return 'continuous';
+  if (/annual|year/.test(v)) return 'annually';
+  if (/quarter/.test(v)) return 'quarterly';
+  if (/month/.test(v)) return 'monthly';
+  if (/week/.test(v)) return 'weekly';
+  if (/day|daily/.test(v)) return 'daily';
+  if (/ad_?hoc|as_needed|on_demand|when_required/.test(v)) return 'ad_hoc';
+  return null;
+}
+
+/**
+ * Normalize the model's RCM and link it to the final procedures. Returns
+ * { risks, controls, summary, issues } (issues: what was dropped or could not be read).
+ */
+function buildRcm(raw, procedures) {
+  const parsed = typeof raw === 'string' ? safeParseJson(raw) : raw;
+  const issues = [];
+  const rawRisks = Array.isArray(parsed?.risks) ? parsed.risks : [];
+  const rawControls = Array.isArray(parsed?.controls) ? parsed.controls : [];
+  const procedureIds = new Set(procedures.map(p => text(p.procedure_id)).filter(Boolean));
+
+  // Stable IDs: R1, R2... and C1, C2... in the model's order, with its own IDs mapped onto them
+  const riskIds = new Map();
+  const controlIds = new Map();
+  rawRisks.forEach((r, i) => { if (text(r?.risk_id)) riskIds.set(text(r.risk_id), `R${i + 1}`); });
+  rawControls.forEach((c, i) => { if (text(c?.control_id)) controlIds.set(text(c.control_id), `C${i + 1}`); });
+
+  const controls = rawControls.map((c, i) => {
+    const control = {
+      control_id: `C${i + 1}`,
+      description: text(c?.description || c?.control || c?.title),
+      type: controlType(c?.type),
+      nature: controlNature(c?.nature ?? c?.automation),
+      frequency: controlFrequency(c?.frequency),
+      owner: text(c?.owner),
+      key_control: c?.key_control !== false,
+      risk_ids: ids(c?.risk_ids).map(id => riskIds.get(id)).filter(Boolean),
+      procedure_ids: []
+    };
+    for (const field of ['type', 'nature', 'frequency']) {
+      if (!control[field] && c?.[field]) issues.push({ item: control.control_id, message: `unrecognized ${field} "${text(c[field])}"` });
+    }
+    for (const id of ids(c?.procedure_ids)) {
+      if (procedureIds.has(id)) control.procedure_ids.push(id);
+      else issues.push({ item: control.control_id, message: `cites unknown procedure ${id}` });
+    }
+    return control;
+  });
+
+  // Procedures that name a control in their control reference ("C3") test it too
+  rawControls.forEach((c, i) => {
+    const modelId = text(c?.control_id);
+    if (!modelId) return;
+    const pattern = new RegExp(`(^|[^\\w.])${escapeRegExp(modelId)}(?![\\w.])`);
+    for (const p of procedures) {
+      const id = text(p.procedure_id);
+      if (id && pattern.test(text(p.assertion_or_control_ref)) && !controls[i].procedure_ids.includes(id)) {
+        controls[i].procedure_ids.push(id);
+      }
+    }
+  });
+
+  const risks = rawRisks.map((r, i) => {
+    const riskId = `R${i + 1}`;
+    const likelihood = level(r?.likelihood) || 'medium';
+    const impact = level(r?.impact) || 'medium';
+    if (!level(r?.likelihood) || !level(r?.impact)) issues.push({ item: riskId, message: 'likelihood or impact missing; rated medium' });
+    const linked = new Set(ids(r?.control_ids).map(id => controlIds.get(id)).filter(Boolean));
+    for (const c of controls) if (c.risk_ids.includes(riskId)) linked.add(c.control_id);
+    const controlList = [...linked].sort((a, b) => Number(a.slice(1)) - Number(b.slice(1)));
+    const procedureList = [...new Set(controlList.flatMap(id => controls[Number(id.slice(1)) - 1].procedure_ids))];
+    const coverage = !controlList.length ? 'no_controls' : procedureList.length ? 'tested' : 'untested';
+    return {
+      risk_id: riskId,
+      title: text(r?.title || r?.risk || r?.description) || riskId,
+      description: text(r?.description),
+      process: text(r?.process),
+      likelihood,
+      impact,
+      ...rate(likelihood, impact),
+      source_ref: text(r?.source_ref),
+      control_ids: controlList,
+      procedure_ids: procedureList,
+      coverage,
+      coverage_gap: coverage !== 'tested'
+    };
+  });
+
+  // Back-links, so a control lists every risk it mitigates
+  for (const c of controls) {
+    c.risk_ids = risks.filter(r => r.control_ids.includes(c.control_id)).map(r => r.risk_id);
+    c.tested = c.procedure_ids.length > 0;
+    if (!c.risk_ids.length) issues.push({ item: c.control_id, message: 'mitigates no listed risk' });
+  }
+
+  if (!validateRcm({ risks, controls })) {
+    for (const e of validateRcm.errors) issues.push({ item: null, message: `${e.instancePath || '/'} ${e.message}` });
+  }
+
+  return { risks, controls, summary: summarizeRcm(risks, controls), issues };
+}
+
+function summarizeRcm(risks, controls) {
+  const tested = risks.filter(r => r.coverage === 'tested').length;
+  return {
+    risks: risks.length,
+    controls: controls.length,
+    key_controls: controls.filter(c => c.key_control).length,
+    tested_controls: controls.filter(c => c.tested).length,
+    untested_controls: controls.filter(c => !c.tested).length,
+    risks_tested: tested,
+    coverage_gaps: risks.length - tested,
+    coverage: risks.length ? Math.round((tested / risks.length) * 100) : null,
+    by_rating: Object.fromEntries(LEVELS.slice().reverse().map(l => [l, risks.filter(r => r.rating === l).length]))
+  };
+}
+
+// ---------------------- Stage ----------------------
+/**
+ * The RCM stage. `mode` is the request's mode: anything but "rcm" skips it. Returns the RCM
+ * with `status` (done | off | failed | unparsed) and `model`, or null when skipped.
+ */
+async function runRcm(mode, { documentText, userInputs, procedures, spec, prompts, checkpoint, onEvent, degrade }) {
+  if (mode !== 'rcm') {
+    await onEvent({ type: 'stage_done', stage: 'rcm', skipped: 'off' });
+    return null;
+  }
+
+  await onEvent({ type: 'stage_started', stage: 'rcm' });
+  if (checkpoint.rcm_raw === undefined) {
+    const prompt = buildRcmPrompt(prompts, documentText, procedures, userInputs);
+    try {
+      checkpoint.rcm_raw = await complete(spec, prompt.system, prompt.user, { stage: 'rcm', index: 1 });
+      await onEvent({ type: 'checkpoint', stage: 'rcm' });
+    } catch (err) {
+      await degrade('rcm', 1, err);
+      checkpoint.rcm_raw = null;
+    }
+  }
+  await onEvent({ type: 'stage_done', stage: 'rcm' });
+
+  if (checkpoint.rcm_raw === null) return { status: 'failed', model: describe(spec), ...buildRcm(null, procedures) };
+  const parsed = safeParseJson(checkpoint.rcm_raw);
+  const status = parsed && Array.isArray(parsed.risks) ? 'done' : 'unparsed';
+  return { status, model: describe(spec), ...buildRcm(parsed, procedures) };
+}
+
+// ---------------------- Report ----------------------
+const COVERAGE_LABELS = {
+  tested: 'Tested',
+  untested: '<strong style="color:#b00020">Gap: controls not tested</strong>',
+  no_controls: '<strong style="color:#b00020">Gap: no control</strong>'
+};
+
+function label(value) {
+  return value ? escapeHtml(String(value).replace(/_/g, ' ')) : '?';
+}
+
+/**
+ * The RCM section of the working program: one row per risk and control, gaps in red.
+ */
+function renderRcmHtml(rcm) {
+  if (!rcm) return '';
+  if (rcm.status !== 'done' && !rcm.risks.length) {
+    return `
+<h2>Risk and Control Matrix</h2>
+<p><strong style="color:#b00020">The risk and control matrix could not be generated (${escapeHtml(rcm.status)}).</strong></p>
+`;
+  }
+
+  const byId = new Map(rcm.controls.map(c => [c.control_id, c]));
+  const rows = rcm.risks.map(r => {
+    const controls = r.control_ids.map(id => byId.get(id));
+    const span = Math.max(1, controls.length);
+    const riskCells = `<td rowspan="${span}"><strong>${escapeHtml(r.risk_id)}</strong> ${escapeHtml(r.title)}${r.source_ref ? `<br><small>${escapeHtml(r.source_ref)}</small>` : ''}</td>`
+      + `<td rowspan="${span}">${label(r.likelihood)} / ${label(r.impact)}<br><strong>${label(r.rating)}</strong> (${r.score})</td>`;
+    const coverageCell = `<td rowspan="${span}">${COVERAGE_LABELS[r.coverage]}</td>`;
+    if (!controls.length) return `<tr${r.coverage_gap ? ' style="background:#fdecea"' : ''}>${riskCells}<td colspan="3"><em>None identified</em></td>${coverageCell}</tr>`;
+    return controls.map((c, i) => `<tr${r.coverage_gap ? ' style="background:#fdecea"' : ''}>${i === 0 ? riskCells : ''}`
+      + `<td><strong>${escapeHtml(c.control_id)}</strong>${c.key_control ? ' (key)' : ''} ${escapeHtml(c.description)}${c.owner ? `<br><small>Owner: ${escapeHtml(c.owner)}</small>` : ''}</td>`
+      + `<td>${label(c.type)}, ${label(c.nature)}<br>${label(c.frequency)}</td>`
+      + `<td>${c.procedure_ids.length ? escapeHtml(c.procedure_ids.join(', ')) : '<em style="color:#b00020">None</em>'}</td>`
+      + `${i === 0 ? coverageCell : ''}</tr>`).join('\n');
+  }).join('\n');
+
+  const s = rcm.summary;
+  return `
+<h2>Risk and Control Matrix</h2>
+<p>${s.risks} risks (${s.by_rating.high} high, ${s.by_rating.medium} medium, ${s.by_rating.low} low) and ${s.controls} controls. ${s.risks_tested} of ${s.risks} risks are covered by a testing procedure (${s.coverage ?? 0}%)${s.coverage_gaps ? `; <strong style="color:#b00020">${s.coverage_gaps} coverage gap${s.coverage_gaps === 1 ? '' : 's'}</strong>` : ''}.</p>
+<table style="width:100%;border-collapse:collapse" border="1" cellpadding="6">
+<thead><tr><th>Risk</th><th>Likelihood / Impact</th><th>Control</th><th>Type / Frequency</th><th>Testing Procedures</th><th>Coverage</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+`;
+}
+
+module.exports = {
+  MODES,
+  buildRcmPrompt,
+  buildRcm,
+  runRcm,
+  renderRcmHtml
+};
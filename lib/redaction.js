@@ -0,0 +1,354 @@
+// redaction.js
+// Removes personal and confidential data from the pipeline input before any of it is sent to a
+// provider: the document, the user inputs, the previous version (SOP compare mode), each
+// source document and the finding drafter's test results. The models only see placeholders:
+//   tokenize  reversible: each distinct value gets a numbered placeholder ([EMAIL_1]) that is put
+//             back into the final HTML, findings and procedures when the models are done
+//   mask      irreversible: values become [EMAIL] and stay that way in the response
+//   off       text is sent as is (default)
+// Rules are the built-in patterns below, dictionary terms (employee, vendor or bank names) and
+// extra regular expressions from the request. body.redaction: "off" | "mask" | "tokenize" or
+// { mode, rules: [built-in names], terms: ["Jane Doe", { term, label }], patterns: [{ name, pattern, flags }] }.
+// Request patterns match within a line and are refused when they could backtrack exponentially.
+//   REDACTION        default mode for requests that don't choose one
+//   REDACTION_RULES  built-in rules to apply (comma-separated, default all)
+//   REDACTION_TERMS  dictionary terms redacted in every request (comma-separated)
+// The summary (`redaction` in the response) counts what was redacted, never the values.
+
+const { escapeHtml } = require('./html');
+
+const REDACTION_MODES = ['off', 'mask', 'tokenize'];
+const MAX_TERMS = 500;
+const MAX_PATTERNS = 20;
+// Custom patterns run line by line on slices of at most this many characters
+const PATTERN_SLICE = 1000;
+
+// ---------------------- Rules ----------------------
+function digits(value) {
+  return value.replace(/\D/g, '');
+}
+
+function luhn(number) {
+  let sum = 0;
+  for (let i = 0; i < number.length; i++) {
+    let d = Number(number[number.length - 1 - i]);
+    if (i % 2) d = d * 2 > 9 ? d * 2 - 9 : d * 2;
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+// ISO 13616 mod-97 check
+function validIban(value) {
+  const compact = value.replace(/\s+/g, '').toUpperCase();
+  const rearranged = compact.slice(4) + compact.slice(0, 4);
+  let remainder = 0;
+  for (const ch of rearranged) {
+    const n = /\d/.test(ch) ? ch : String(ch.charCodeAt(0) - 55);
+    for (const d of n) remainder = (remainder * 10 + Number(d)) % 97;
+  }
+  return remainder === 1;
+}
+
+// Checked in this order; where two matches overlap the earlier-starting (then longer) one wins
+const BUILTIN_RULES = {
+  email: { label: 'EMAIL', pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g },
+  iban: { label: 'IBAN', pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g, valid: validIban },
+  card: { label: 'CARD', pattern: /\b\d(?:[ -]?\d){12,18}\b/g, valid: v => luhn(digits(v)) },
+  account_number: {
+    label: 'ACCOUNT',
+    pattern: /(?<=\b(?:account|acct|a\/c)(?:\s*(?:no\.?|number|#))?\s*[:#]?\s*)\d[\d -]{4,24}\d\b/gi
+  },
+  bank_code: {
+    label: 'BANK_CODE',
+    pattern: /(?<=\b(?:swift|bic|routing|aba|sort code)(?:\s*(?:code|no\.?|number|#))?\s*[:#]?\s*)(?:[A-Z]{6}[A-Z0-9]{2}(?:[A-Z0-9]{3})?|\d{2}[- ]?\d{2}[- ]?\d{2,5})\b/gi
+  },
+  ssn: { label: 'SSN', pattern: /\b\d{3}-\d{2}-\d{4}\b/g },
+  phone: {
+    label: 'PHONE',
+    pattern: /(?<![\w+])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}[ .-]\d{3,4}[ .-]?\d{3,4}(?![\w-])/g,
+    valid: v => digits(v).length >= 9 && digits(v).length <= 15
+  },
+  titled_name: { label: 'PERSON', pattern: /\b(?:Mr|Mrs|Ms|Miss|Dr|Prof)\.?\s+[A-Z][a-z'’-]+(?:\s+[A-Z][a-z'’-]+)?/g }
+};
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function normalizeLabel(label, fallback) {
+  const clean = String(label || '').toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  return /^[A-Z]/.test(clean) ? clean : fallback;
+}
+
+// Request patterns run on our CPU, so the shapes that backtrack exponentially are refused:
+// a repeated group that itself contains a quantifier or an alternation ((a+)+, (a|ab)*, (\w+\s?){2,})
+// and backreferences. Returns the reason, or null when the pattern is acceptable.
+function backtrackingRisk(source) {
+  const groups = [{ quantified: false, alternation: false }];
+  const isQuantifier = (i) => /[*+?]/.test(source[i]) || (source[i] === '{' && /^\{\d+(,\d*)?\}/.test(source.slice(i)));
+  let inClass = false;
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (ch === '\\') {
+      if (!inClass && /[1-9k]/.test(source[i + 1] || '')) return 'backreferences are not supported';
+      i++;
+    } else if (inClass) {
+      if (ch === ']') inClass = false;
+    } else if (ch === '[') {
+      inClass = true;
+    } else if (ch === '(') {
+      groups.push({ quantified: false, alternation: false });
+    } else if (ch === '|') {
+      groups[groups.length - 1].alternation = true;
+    } else if (ch === ')' && groups.length > 1) {
+      const group = groups.pop();
+      if (isQuantifier(i + 1) && source[i + 1] !== '?' && (group.quantified || group.alternation)) {
+        return 'a repeated group may not contain another quantifier or an alternation';
+      }
+      if (group.quantified) groups[groups.length - 1].quantified = true;
+    } else if (isQuantifier(i) && i > 0 && source[i - 1] !== '(') {
+      groups[groups.length - 1].quantified = true;
+    }
+  }
+  return null;
+}
+
+// [offset, text] slices for the custom patterns: lines, cut to PATTERN_SLICE characters
+function patternSlices(text) {
+  const slices = [];
+  let offset = 0;
+  for (const line of text.split('\n')) {
+    for (let i = 0; i < line.length; i += PATTERN_SLICE) slices.push([offset + i, line.slice(i, i + PATTERN_SLICE)]);
+    offset += line.length + 1;
+  }
+  return slices;
+}
+
+function envList(name) {
+  return String(process.env[name] || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Read the redaction option from a request body. Returns { redaction } with the serializable
+ * settings (null when off) or an { error } for prepare() to answer with.
+ */
+function parseRedaction(body) {
+  const value = body && typeof body === 'object' ? body.redaction : undefined;
+  const options = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+  let mode = value && typeof value === 'object' ? options.mode ?? 'tokenize' : value;
+  if (mode === undefined || mode === null || mode === '') mode = process.env.REDACTION || 'off';
+  mode = mode === true ? 'tokenize' : mode === false ? 'off' : String(mode).trim().toLowerCase();
+  if (!REDACTION_MODES.includes(mode)) {
+    return { error: { status: 400, message: `redaction must be one of: ${REDACTION_MODES.join(', ')}` } };
+  }
+  if (mode === 'off') return { redaction: null };
+
+  const rules = options.rules ?? (envList('REDACTION_RULES').length ? envList('REDACTION_RULES') : Object.keys(BUILTIN_RULES));
+  if (!Array.isArray(rules)) return { error: { status: 400, message: 'redaction.rules must be an array' } };
+  const unknown = rules.filter(r => !BUILTIN_RULES[r]);
+  if (unknown.length) {
+    return { error: { status: 400, message: `Unknown redaction rule(s): ${unknown.join(', ')} (available: ${Object.keys(BUILTIN_RULES).join(', ')})` } };
+  }
+
+  const rawTerms = options.terms ?? [];
+  if (!Array.isArray(rawTerms) || rawTerms.length > MAX_TERMS) {
+    return { error: { status: 400, message: `redaction.terms must be an array of at most ${MAX_TERMS} terms` } };
+  }
+  const terms = [];
+  for (const t of [...envList('REDACTION_TERMS'), ...rawTerms]) {
+    const term = String(typeof t === 'object' && t ? t.term ?? '' : t).trim();
+    if (term.length < 2) continue;
+    terms.push({ term, label: normalizeLabel(typeof t === 'object' && t ? t.label : null, 'TERM') });
+  }
+
+  const rawPatterns = options.patterns ?? [];
+  if (!Array.isArray(rawPatterns) || rawPatterns.length > MAX_PATTERNS) {
+    return { error: { status: 400, message: `redaction.patterns must be an array of at most ${MAX_PATTERNS} patterns` } };
+  }
+  const patterns = [];
+  for (const p of rawPatterns) {
+    const source = typeof p === 'string' ? p : p?.pattern;
+    const flags = String((typeof p === 'object' && p?.flags) || '').replace(/[^imsu]/g, '');
+    if (typeof source !== 'string' || !source || source.length > 300) {
+      return { error: { status: 400, message: 'Each redaction pattern must be a regular expression of 1-300 characters' } };
+    }
+    // Compiled here only to report a syntax error to the caller; compileRules builds the real one
+    try { new RegExp(source, flags); } catch (e) {
+      return { error: { status: 400, message: `Invalid redaction pattern ${JSON.stringify(source)}: ${e.message}` } };
+    }
+    const risk = backtrackingRisk(source);
+    if (risk) return { error: { status: 400, message: `Unsafe redaction pattern ${JSON.stringify(source)}: ${risk}` } };
+    patterns.push({ label: normalizeLabel(typeof p === 'object' ? p.name : null, 'CUSTOM'), pattern: source, flags });
+  }
+
+  return { redaction: { mode, rules, terms, patterns } };
+}
+
+// Compiled matchers for the settings from parseRedaction
+function compileRules(settings) {
+  const matchers = settings.rules.map(name => ({ name, ...BUILTIN_RULES[name] }));
+  for (const t of settings.terms) {
+    matchers.push({ name: 'term', label: t.label, pattern: new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(t.term)}(?![\\p{L}\\p{N}])`, 'giu') });
+  }
+  for (const p of settings.patterns) {
+    matchers.push({ name: 'pattern', label: p.label, pattern: new RegExp(p.pattern, `g${p.flags}`) });
+  }
+  return matchers;
+}
+
+// ---------------------- Redactor ----------------------
+const PLACEHOLDER = /\[([A-Z][A-Z0-9_]*?)_(\d+)\]/g;
+
+// Fields that carry HTML: restored values are escaped there
+const HTML_FIELDS = new Set(['ai_output', 'ai_draft', 'gpt_review', 'html_output', 'html_program', 'redline_html']);
+
+/**
+ * One redactor per run. Texts are redacted in a fixed order, so a resumed job gets the same
+ * placeholders again. Fields are named after the grounding sources (document, previous, D1...)
+ * so the source offsets grounding reports can be mapped back to the original text.
+ */
+function createRedactor(settings) {
+  const matchers = compileRules(settings);
+  const tokens = new Map();   // label:value -> placeholder
+  const values = new Map();   // placeholder -> original value
+  const nextNumber = {};
+  const spans = {};           // field -> [{ start, end, delta }] in redacted offsets
+  const counts = { fields: {}, labels: {} };
+  const restoreStats = { restored: 0, unknown: new Set() };
+
+  const placeholderFor = (label, value) => {
+    if (settings.mode === 'mask') return `[${label}]`;
+    const key = `${label}:${value.toLowerCase()}`;
+    if (!tokens.has(key)) {
+      nextNumber[label] = (nextNumber[label] || 0) + 1;
+      const token = `[${label}_${nextNumber[label]}]`;
+      tokens.set(key, token);
+      values.set(token, value);
+    }
+    return tokens.get(key);
+  };
+
+  function redact(text, field) {
+    if (!text) return text;
+    const source = String(text);
+    const found = [];
+    for (const m of matchers) {
+      m.pattern.lastIndex = 0;
+      // Request patterns never see more than one line slice, which bounds any backtracking
+      for (const [offset, part] of m.name === 'pattern' ? patternSlices(source) : [[0, source]]) {
+        for (const match of part.matchAll(m.pattern)) {
+          if (!match[0] || (m.valid && !m.valid(match[0]))) continue;
+          found.push({ start: offset + match.index, end: offset + match.index + match[0].length, label: m.label });
+        }
+      }
+    }
+    found.sort((a, b) => a.start - b.start || b.end - a.end);
+
+    let out = '';
+    let cursor = 0;
+    let delta = 0;
+    const fieldSpans = [];
+    for (const f of found) {
+      if (f.start < cursor) continue;
+      const token = placeholderFor(f.label, source.slice(f.start, f.end));
+      out += source.slice(cursor, f.start);
+      const start = out.length;
+      out += token;
+      delta += (f.end - f.start) - token.length;
+      fieldSpans.push({ start, end: out.length, delta });
+      cursor = f.end;
+      counts.labels[f.label] = (counts.labels[f.label] || 0) + 1;
+      counts.fields[field] = (counts.fields[field] || 0) + 1;
+    }
+    spans[field] = fieldSpans;
+    return out + source.slice(cursor);
+  }
+
+  /** A copy of the pipeline input with every text a model will see redacted. */
+  function redactInput(input) {
+    const copy = { ...input };
+    copy.user_inputs = redact(input.user_inputs, 'user_inputs');
+    if (input.documents) copy.documents = input.documents.map(d => ({ ...d, text: redact(d.text, d.id) }));
+    copy.document_text = redact(input.document_text, 'document');
+    if (input.previous_document_text) copy.previous_document_text = redact(input.previous_document_text, 'previous');
+    if (input.finding) copy.finding = redactValue(input.finding, 'finding');
+    return copy;
+  }
+
+  // Strings anywhere in a structured input (the finding drafter's test results and exceptions)
+  function redactValue(value, field) {
+    if (typeof value === 'string') return redact(value, field);
+    if (Array.isArray(value)) return value.map(v => redactValue(v, field));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactValue(v, field)]));
+    }
+    return value;
+  }
+
+  // Offset in the original text of an offset in the redacted one; inside a placeholder it is
+  // the start or the end of the value it replaced
+  function originalOffset(field, pos, side) {
+    let delta = 0;
+    for (const s of spans[field] || []) {
+      if (s.end <= pos) delta = s.delta;
+      else if (s.start < pos) return side === 'end' ? s.end + s.delta : s.start + delta;
+      else break;
+    }
+    return pos + delta;
+  }
+
+  function restoreText(text, html) {
+    if (settings.mode === 'mask') return text;
+    return text.replace(PLACEHOLDER, (token) => {
+      if (!values.has(token)) {
+        restoreStats.unknown.add(token);
+        return token;
+      }
+      restoreStats.restored++;
+      return html ? escapeHtml(values.get(token)) : values.get(token);
+    });
+  }
+
+  /**
+   * A copy of a pipeline result with the placeholders replaced by the original values and the
+   * grounding locations moved back to offsets in the original text.
+   */
+  function restore(value, key = null, html = false) {
+    if (typeof value === 'string') return restoreText(value, html || HTML_FIELDS.has(key));
+    if (Array.isArray(value)) return value.map(v => restore(v, key, html));
+    if (!value || typeof value !== 'object') return value;
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = restore(v, k, html || HTML_FIELDS.has(k));
+    if (key === 'location' && typeof out.source === 'string' && spans[out.source] && Number.isInteger(out.start)) {
+      out.start = originalOffset(out.source, out.start, 'start');
+      out.end = originalOffset(out.source, out.end, 'end');
+    }
+    return out;
+  }
+
+  /** The data-protection record: what was redacted, by field and by label, without the values. */
+  function summary() {
+    return {
+      mode: settings.mode,
+      rules: settings.rules,
+      terms: settings.terms.length,
+      patterns: settings.patterns.length,
+      redacted: Object.values(counts.labels).reduce((sum, n) => sum + n, 0),
+      distinct_values: settings.mode === 'tokenize' ? values.size : null,
+      by_label: counts.labels,
+      by_field: counts.fields,
+      placeholders_restored: settings.mode === 'tokenize' ? restoreStats.restored : 0,
+      // Placeholders in the output that no input value maps to (altered by a model)
+      unknown_placeholders: [...restoreStats.unknown]
+    };
+  }
+
+  return { redact, redactInput, restore, summary };
+}
+
+module.exports = {
+  BUILTIN_RULES,
+  parseRedaction,
+  createRedactor
+};
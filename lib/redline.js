@@ -0,0 +1,362 @@
+// redline.js
+// Version comparison for the SOP reviewer's compare mode. Both versions are split into
+// structural units (headings, clauses, paragraphs, tables — lib/chunker.js), the units are
+// aligned in order, and what does not line up becomes a change: added, removed, or modified
+// (a removed and an added unit with the same clause number or mostly the same wording).
+// Changes carry IDs C1, C2... that the reviewers cite in their findings; the redline HTML
+// shows the revised document with deletions and insertions marked and those findings inline.
+
+const { escapeHtml } = require('./html');
+const { listUnits } = require('./chunker');
+
+// Beyond this many cells the alignment falls back to clause numbers and similarity only
+const MAX_ALIGN_CELLS = 4000000;
+const MAX_WORD_DIFF_CELLS = 2000000;
+const MODIFIED_SIMILARITY = 0.5;
+
+// ---------------------- Alignment ----------------------
+function normalize(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function words(text) {
+  return normalize(text).match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// Dice coefficient over word multisets
+function similarity(a, b) {
+  const wa = words(a);
+  const wb = words(b);
+  if (!wa.length && !wb.length) return 1;
+  const counts = new Map();
+  for (const w of wa) counts.set(w, (counts.get(w) || 0) + 1);
+  let shared = 0;
+  for (const w of wb) {
+    const n = counts.get(w);
+    if (n) {
+      shared++;
+      counts.set(w, n - 1);
+    }
+  }
+  return (2 * shared) / (wa.length + wb.length);
+}
+
+/**
+ * Longest common subsequence of two arrays under `same`; returns the ops
+ * [{ op: 'equal' | 'delete' | 'insert', a, b }] with indexes into each side,
+ * or null when the table would exceed `maxCells`.
+ */
+function lcsOps(a, b, same, maxCells) {
+  const n = a.length;
+  const m = b.length;
+  if ((n + 1) * (m + 1) > maxCells) return null;
+  const table = new Uint32Array((n + 1) * (m + 1));
+  const at = (i, j) => i * (m + 1) + j;
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[at(i, j)] = same(a[i], b[j])
+        ? table[at(i + 1, j + 1)] + 1
+        : Math.max(table[at(i + 1, j)], table[at(i, j + 1)]);
+    }
+  }
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (same(a[i], b[j])) {
+      ops.push({ op: 'equal', a: i++, b: j++ });
+    } else if (table[at(i + 1, j)] >= table[at(i, j + 1)]) {
+      ops.push({ op: 'delete', a: i++ });
+    } else {
+      ops.push({ op: 'insert', b: j++ });
+    }
+  }
+  while (i < n) ops.push({ op: 'delete', a: i++ });
+  while (j < m) ops.push({ op: 'insert', b: j++ });
+  return ops;
+}
+
+// Pair the removed and added units of one gap between aligned units
+function pairGap(removed, added) {
+  const pairs = new Map();
+  const taken = new Set();
+  for (const r of removed) {
+    let best = null;
+    for (const a of added) {
+      if (taken.has(a)) continue;
+      if (r.clause && a.clause && r.clause === a.clause && r.type === a.type) {
+        best = { unit: a, score: 1 };
+        break;
+      }
+      const score = similarity(r.text, a.text);
+      if (score >= MODIFIED_SIMILARITY && (!best || score > best.score)) best = { unit: a, score };
+    }
+    if (best) {
+      pairs.set(r, best.unit);
+      taken.add(best.unit);
+    }
+  }
+  return pairs;
+}
+
+function sectionOf(unit) {
+  return unit.path.join(' > ');
+}
+
+/**
+ * Compare two versions of a document. Returns { items, changes, summary }:
+ * `items` walks the revised document in order (unchanged units included) for rendering,
+ * `changes` lists only what changed:
+ *   { change_id, type: added|removed|modified, section, clause, previous, revised, similarity }
+ */
+function compareVersions(previousText, revisedText) {
+  const before = listUnits(previousText);
+  const after = listUnits(revisedText);
+  const keysA = before.map(u => normalize(u.text));
+  const keysB = after.map(u => normalize(u.text));
+
+  // Identical leading and trailing units need no alignment table
+  let start = 0;
+  while (start < before.length && start < after.length && keysA[start] === keysB[start]) start++;
+  let endA = before.length;
+  let endB = after.length;
+  while (endA > start && endB > start && keysA[endA - 1] === keysB[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = before.slice(start, endA);
+  const midB = after.slice(start, endB);
+  const ops = lcsOps(keysA.slice(start, endA), keysB.slice(start, endB), (x, y) => x === y, MAX_ALIGN_CELLS)
+    || [...midA.map((_, a) => ({ op: 'delete', a })), ...midB.map((_, b) => ({ op: 'insert', b }))];
+
+  const items = before.slice(0, start).map((unit, i) => ({ type: 'unchanged', unit: after[i] }));
+  let removed = [];
+  let added = [];
+  const flushGap = () => {
+    const pairs = pairGap(removed, added);
+    const paired = new Set(pairs.values());
+    for (const r of removed) {
+      if (pairs.has(r)) {
+        const a = pairs.get(r);
+        items.push({ type: 'modified', previous: r, revised: a, similarity: Math.round(similarity(r.text, a.text) * 100) / 100 });
+      } else {
+        items.push({ type: 'removed', previous: r });
+      }
+    }
+    for (const a of added) {
+      if (!paired.has(a)) items.push({ type: 'added', revised: a });
+    }
+    removed = [];
+    added = [];
+  };
+  for (const op of ops) {
+    if (op.op === 'equal') {
+      flushGap();
+      items.push({ type: 'unchanged', unit: midB[op.b] });
+    } else if (op.op === 'delete') {
+      removed.push(midA[op.a]);
+    } else {
+      added.push(midB[op.b]);
+    }
+  }
+  flushGap();
+  items.push(...after.slice(endB).map(unit => ({ type: 'unchanged', unit })));
+
+  const merged = mergeRuns(items);
+  return { items: merged, ...describeChanges(merged) };
+}
+
+// Consecutive added (or removed) units of one section read as a single change
+function mergeRuns(items) {
+  const out = [];
+  for (const item of items) {
+    const last = out[out.length - 1];
+    const side = item.type === 'added' ? 'revised' : 'previous';
+    if (last && (item.type === 'added' || item.type === 'removed') && last.type === item.type
+      && sectionOf(last[side][0]) === sectionOf(item[side])) {
+      last[side].push(item[side]);
+      continue;
+    }
+    out.push(item.type === 'added' || item.type === 'removed' ? { ...item, [side]: [item[side]] } : item);
+  }
+  let n = 0;
+  for (const item of out) {
+    if (item.type !== 'unchanged') item.change_id = `C${++n}`;
+  }
+  return out;
+}
+
+function joinUnits(units) {
+  return units.map(u => u.text).join('\n\n');
+}
+
+function describeChanges(items) {
+  const changes = items.filter(item => item.type !== 'unchanged').map(item => {
+    const previous = item.type === 'modified' ? item.previous.text : item.type === 'removed' ? joinUnits(item.previous) : '';
+    const revised = item.type === 'modified' ? item.revised.text : item.type === 'added' ? joinUnits(item.revised) : '';
+    const unit = item.type === 'modified' ? item.revised : (item.revised || item.previous)[0];
+    return {
+      change_id: item.change_id,
+      type: item.type,
+      section: sectionOf(unit),
+      clause: unit.clause || (item.type === 'modified' ? item.previous.clause : null) || null,
+      previous,
+      revised,
+      similarity: item.type === 'modified' ? item.similarity : null
+    };
+  });
+  const count = (type) => changes.filter(c => c.type === type).length;
+  return {
+    changes,
+    summary: {
+      added: count('added'),
+      removed: count('removed'),
+      modified: count('modified'),
+      unchanged: items.filter(item => item.type === 'unchanged').length,
+      sections_changed: [...new Set(changes.map(c => c.section).filter(Boolean))]
+    }
+  };
+}
+
+// ---------------------- Reviewer Input ----------------------
+// The change set the reviewers read in place of the document: one "## C<n>" heading per change
+// (so the chunker splits between changes) with the quoted previous and revised text.
+function changeSetText(diff) {
+  const quote = (text) => text.split('\n').map(line => `> ${line}`).join('\n');
+  return diff.changes.map(c => {
+    const where = [c.section, c.clause && !c.section.includes(c.clause) ? `clause ${c.clause}` : ''].filter(Boolean).join(', ');
+    const parts = [`## ${c.change_id} ${c.type.toUpperCase()}${where ? ` - ${where}` : ''}`];
+    if (c.previous) parts.push(`PREVIOUS VERSION:\n${quote(c.previous)}`);
+    if (c.revised) parts.push(`REVISED VERSION:\n${quote(c.revised)}`);
+    return parts.join('\n');
+  }).join('\n\n');
+}
+
+function describeSummary(summary) {
+  return `${summary.modified} modified, ${summary.added} added, ${summary.removed} removed`;
+}
+
+// ---------------------- Redline HTML ----------------------
+function unitHtml(unit, inner = escapeHtml(unit.text).replace(/\n/g, '<br>')) {
+  if (unit.type === 'heading') return `<h3>${inner}</h3>`;
+  if (unit.type === 'table') return `<pre class="table">${inner}</pre>`;
+  return `<p>${inner}</p>`;
+}
+
+// Word-level <del>/<ins> markup of a modified unit
+function wordDiffHtml(previous, revised) {
+  const a = previous.match(/\s+|[^\s]+/g) || [];
+  const b = revised.match(/\s+|[^\s]+/g) || [];
+  const ops = lcsOps(a, b, (x, y) => x === y, MAX_WORD_DIFF_CELLS);
+  if (!ops) return `<del>${escapeHtml(previous)}</del> <ins>${escapeHtml(revised)}</ins>`;
+
+  let html = '';
+  let del = '';
+  let ins = '';
+  const flush = () => {
+    if (del) html += `<del>${escapeHtml(del)}</del>`;
+    if (ins) html += `<ins>${escapeHtml(ins)}</ins>`;
+    del = '';
+    ins = '';
+  };
+  for (const op of ops) {
+    if (op.op === 'equal') {
+      flush();
+      html += escapeHtml(a[op.a]);
+    } else if (op.op === 'delete') {
+      del += a[op.a];
+    } else {
+      ins += b[op.b];
+    }
+  }
+  flush();
+  return html.replace(/\n/g, '<br>');
+}
+
+function commentHtml(f) {
+  const verdict = f.review && f.review.verdict !== 'unreviewed'
+    ? ` <em>Reviewer 2 ${escapeHtml(f.review.verdict)}${f.review.comment ? `: ${escapeHtml(f.review.comment)}` : ''}</em>`
+    : '';
+  const standard = f.standard ? ` (${escapeHtml(f.standard)})` : '';
+  const ungrounded = f.grounding?.status === 'ungrounded' ? ' <span class="ungrounded">⚠ citation not found in the document</span>' : '';
+  return `<li class="severity-${escapeHtml(f.severity)}"><strong>${escapeHtml(f.finding_id)} [${escapeHtml(f.severity)}]</strong> ${escapeHtml(f.title)}${standard}${ungrounded}`
+    + `${f.recommendation ? `<br>Recommendation: ${escapeHtml(f.recommendation)}` : ''}${verdict}</li>`;
+}
+
+function commentsHtml(findings) {
+  return findings.length ? `<ul class="comments">${findings.map(commentHtml).join('')}</ul>` : '';
+}
+
+const CHANGE_LABELS = { added: 'Added', removed: 'Removed', modified: 'Modified' };
+
+function changeHtml(item, findings) {
+  let body;
+  if (item.type === 'modified') body = unitHtml(item.revised, wordDiffHtml(item.previous.text, item.revised.text));
+  else if (item.type === 'added') body = item.revised.map(u => unitHtml(u, `<ins>${escapeHtml(u.text).replace(/\n/g, '<br>')}</ins>`)).join('\n');
+  else body = item.previous.map(u => unitHtml(u, `<del>${escapeHtml(u.text).replace(/\n/g, '<br>')}</del>`)).join('\n');
+
+  return `<div class="change change-${item.type}" id="${item.change_id}">
+<div class="change-label">${item.change_id} &middot; ${CHANGE_LABELS[item.type]}</div>
+${body}
+${commentsHtml(findings)}
+</div>`;
+}
+
+/**
+ * The revised document as a redline: unchanged text as is, changes marked up with the
+ * findings that cite them (finding.change_id) as inline comments. Findings about the
+ * revision as a whole are listed first.
+ */
+function renderRedline(diff, findings = [], { title = 'SOP Redline' } = {}) {
+  const byChange = new Map();
+  const general = [];
+  const ids = new Set(diff.changes.map(c => c.change_id));
+  for (const f of findings) {
+    if (f.change_id && ids.has(f.change_id)) {
+      if (!byChange.has(f.change_id)) byChange.set(f.change_id, []);
+      byChange.get(f.change_id).push(f);
+    } else {
+      general.push(f);
+    }
+  }
+
+  const body = diff.items.map(item => (item.type === 'unchanged'
+    ? unitHtml(item.unit)
+    : changeHtml(item, byChange.get(item.change_id) || []))).join('\n');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; max-width: 1000px; margin: 0 auto; padding: 20px; }
+    del { background: #fde2e2; color: #9b1c1c; }
+    ins { background: #def7e5; color: #1b6b35; text-decoration: none; border-bottom: 1px solid #1b6b35; }
+    .change { border-left: 4px solid #667eea; padding: 4px 12px; margin: 12px 0; background: #fafbff; }
+    .change-removed { border-left-color: #b00020; }
+    .change-added { border-left-color: #1b6b35; }
+    .change-label { font-size: 12px; font-weight: 600; color: #555; text-transform: uppercase; letter-spacing: 0.5px; }
+    .comments { background: #fff8e1; border: 1px solid #f0c36d; padding: 8px 12px 8px 28px; font-size: 14px; }
+    .severity-critical strong, .severity-high strong { color: #b00020; }
+    .ungrounded { color: #b00020; font-weight: 600; }
+    pre.table { white-space: pre-wrap; font-family: inherit; }
+  </style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p><strong>Changes:</strong> ${describeSummary(diff.summary)}</p>
+${general.length ? `<div class="general"><h2>Comments on the revision as a whole</h2>${commentsHtml(general)}</div>` : ''}
+${body}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  compareVersions,
+  changeSetText,
+  describeSummary,
+  renderRedline
+};
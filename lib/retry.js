@@ -0,0 +1,127 @@
+// retry.js
+// Retry policy for model calls: exponential backoff with full jitter, honouring the provider's
+// retry-after header. Rate limits (429), overload (529) and transient server or network errors
+// are retried; anything else (bad request, auth, budget stops) fails at once.
+//   LLM_MAX_RETRIES   retries per provider (default 3)
+//   LLM_RETRY_BASE_MS first backoff step (default 1000), doubled per attempt
+//   LLM_RETRY_MAX_MS  longest single wait (default 20000); a longer retry-after skips straight to failover
+// Calls that still fail are degraded by the pipelines (degradeStage) so finished work is kept.
+
+const { escapeHtml } = require('./html');
+
+const RETRYABLE_STATUS = [408, 409, 425, 429, 500, 502, 503, 504, 529];
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'ETIMEDOUT',
+  'overloaded_error', 'rate_limit_error', 'api_error'];
+
+function settings() {
+  return {
+    retries: Math.max(0, Number(process.env.LLM_MAX_RETRIES ?? 3)),
+    baseMs: Number(process.env.LLM_RETRY_BASE_MS) || 1000,
+    maxMs: Number(process.env.LLM_RETRY_MAX_MS) || 20000
+  };
+}
+
+function statusOf(err) {
+  return err?.response?.status || null;
+}
+
+// Worth another attempt on the same provider
+function isRetryable(err) {
+  const status = statusOf(err);
+  if (status) return RETRYABLE_STATUS.includes(status);
+  return RETRYABLE_CODES.includes(err?.code);
+}
+
+// Worth trying another provider: the retryable failures plus timeouts
+function isOutage(err) {
+  return isRetryable(err) || err?.code === 'ECONNABORTED';
+}
+
+// retry-after (seconds or an HTTP date) or retry-after-ms, in milliseconds
+function retryAfterMs(err) {
+  const headers = err?.response?.headers || {};
+  const get = (name) => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+  const ms = Number(get('retry-after-ms'));
+  if (ms > 0) return ms;
+  const value = get('retry-after');
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+function backoffMs(attempt, { baseMs, maxMs }) {
+  return Math.random() * Math.min(maxMs, baseMs * 2 ** attempt);
+}
+
+/**
+ * Run `fn(attempt)` until it succeeds, fails with a non-retryable error or runs out of retries.
+ * `shouldRetry(err)` can veto a retry (e.g. once streamed output has reached the client).
+ * The error finally thrown carries `attempts`.
+ */
+async function withRetries(fn, { shouldRetry = () => true, onRetry = () => {} } = {}) {
+  const config = settings();
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      err.attempts = attempt + 1;
+      if (attempt >= config.retries || !isRetryable(err) || !shouldRetry(err)) throw err;
+      const hinted = retryAfterMs(err);
+      if (hinted !== null && hinted > config.maxMs) throw err;
+      const delay = hinted !== null ? hinted : backoffMs(attempt, config);
+      onRetry(err, attempt + 1, delay);
+      await new Promise(r => setTimeout(r, delay));
+    }
+  }
+}
+
+/**
+ * Record a stage (or chunk) whose model call failed for good, so the pipeline can carry on
+ * with what it has. Errors that did not come from a model call are rethrown.
+ */
+async function degradeStage(checkpoint, onEvent, stage, index, err) {
+  if (!err?.llm) throw err;
+  const entry = {
+    stage,
+    index,
+    provider: err.llm.provider,
+    model: err.llm.model,
+    status: err.llm.status,
+    attempts: err.llm.attempts,
+    error: err.response?.data?.error?.message || err.message || String(err)
+  };
+  console.error(`=== ${stage.toUpperCase()} ${index} DEGRADED ===`, entry.error);
+  checkpoint.degraded.push(entry);
+  await onEvent({ type: 'degraded', ...entry });
+}
+
+const STAGE_LABELS = {
+  creator: (i) => `creator chunk ${i}`,
+  reviewer: () => 'reviewer',
+  retry: () => 'reviewer JSON retry',
+  repair: (i) => `schema repair round ${i}`,
+  adjudicator: () => 'adjudication',
+  rcm: () => 'risk and control matrix',
+  compliance: (i) => `compliance checklist ${i}`
+};
+
+// Banner for the top of a partial result's HTML
+function degradedNotice(degraded) {
+  if (!degraded.length) return '';
+  const items = degraded.map(d => {
+    const label = (STAGE_LABELS[d.stage] || (() => d.stage))(d.index);
+    return `<li>${escapeHtml(label)}: ${escapeHtml(`${d.provider}:${d.model}`)} failed after ${d.attempts} attempt(s) (${escapeHtml(d.error)})</li>`;
+  }).join('');
+  return `<div style="border:1px solid #b00020;padding:8px 12px;margin-bottom:12px"><strong>Partial result:</strong> some model calls failed and were skipped.<ul>${items}</ul></div>\n`;
+}
+
+module.exports = {
+  isRetryable,
+  isOutage,
+  retryAfterMs,
+  withRetries,
+  degradeStage,
+  degradedNotice
+};
@@ -0,0 +1,168 @@
+// sanitize.js
+// Allowlist sanitizer for model-generated HTML before it goes into a report. A crafted document
+// or a prompt injection can make a model emit script, event handlers or javascript: links, and
+// the reports are rendered as HTML by the client app. Only formatting and table markup survives:
+//   - script, style (outside a document head), iframe, object, embed, svg, math, form controls,
+//     template, noscript... are removed with their content
+//   - other unknown tags are unwrapped (their text is kept)
+//   - attributes outside the allowlist (on* handlers included) are dropped; href must be
+//     http(s), mailto or a #fragment; inline style may not load or run anything
+// Text and attribute values are re-escaped. Every removal is counted in a report so the
+// response can say what was stripped.
+
+const { Parser } = require('htmlparser2');
+const { escapeHtml } = require('./html');
+
+const ALLOWED_TAGS = new Set([
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'div', 'span', 'section', 'article', 'header', 'footer',
+  'strong', 'b', 'em', 'i', 'u', 's', 'del', 'ins', 'mark', 'small', 'sub', 'sup', 'abbr',
+  'blockquote', 'pre', 'code', 'ul', 'ol', 'li', 'dl', 'dt', 'dd', 'a', 'figure', 'figcaption',
+  'table', 'caption', 'colgroup', 'col', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td',
+  // A model may return a whole document (html_program)
+  'html', 'head', 'body', 'title', 'meta', 'style'
+]);
+
+// Removed together with everything inside them
+const DROPPED_WITH_CONTENT = new Set([
+  'script', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'svg', 'math', 'template',
+  'noscript', 'noembed', 'noframes', 'textarea', 'select', 'button', 'xmp', 'plaintext', 'canvas', 'audio', 'video'
+]);
+
+const VOID_TAGS = new Set(['br', 'hr', 'col', 'meta']);
+
+const GLOBAL_ATTRIBUTES = new Set(['class', 'title', 'style', 'lang', 'dir']);
+const TAG_ATTRIBUTES = {
+  a: new Set(['href', 'target', 'name']),
+  td: new Set(['colspan', 'rowspan', 'align', 'valign', 'width']),
+  th: new Set(['colspan', 'rowspan', 'align', 'valign', 'width', 'scope']),
+  table: new Set(['border', 'cellpadding', 'cellspacing', 'width']),
+  col: new Set(['span', 'width']),
+  colgroup: new Set(['span']),
+  ol: new Set(['start', 'type']),
+  meta: new Set(['charset']),
+  abbr: new Set(['title'])
+};
+
+const SAFE_URL = /^(https?:|mailto:|#)/i;
+// CSS that loads a resource or runs code
+const UNSAFE_CSS = /url\s*\(|expression\s*\(|javascript:|vbscript:|@import|behavior\s*:|-moz-binding|\\/i;
+
+function createReport() {
+  return { stripped: 0, tags: {}, attributes: {}, fields: {} };
+}
+
+function count(map, key) {
+  map[key] = (map[key] || 0) + 1;
+}
+
+function cleanUrl(value) {
+  // Browsers ignore control characters and whitespace inside a scheme ("java\tscript:")
+  const compact = String(value).replace(/[\u0000- \u007F-\u009F]/g, '');
+  if (SAFE_URL.test(compact)) return value;
+  // Relative links have no scheme
+  return /^[a-z][a-z0-9+.-]*:/i.test(compact) ? null : value;
+}
+
+function cleanAttribute(name, value) {
+  if (name === 'href') return cleanUrl(value);
+  if (name === 'style') return UNSAFE_CSS.test(value) ? null : value;
+  if (name === 'target') return value === '_blank' ? '_blank' : null;
+  return value;
+}
+
+/**
+ * Sanitize an HTML string. Removals are added to `report` (from createReport), with `field`
+ * naming where they came from when given. Returns the clean HTML.
+ */
+function sanitizeHtml(html, report = createReport(), field = null) {
+  if (!html) return '';
+  const out = [];
+  let dropDepth = 0;
+  let dropTag = null;
+  let inHead = false;
+  const open = [];
+  const note = (kind, key) => {
+    report.stripped++;
+    count(kind === 'tag' ? report.tags : report.attributes, /^[a-z][\w:*-]*( \(.*\))?$/.test(key) ? key : '(malformed)');
+    if (field) count(report.fields, field);
+  };
+
+  const parser = new Parser({
+    onopentag(name, attribs) {
+      if (dropDepth) {
+        if (name === dropTag) dropDepth++;
+        return;
+      }
+      // <style> is only kept in a document head, and only when its rules are inert
+      if (DROPPED_WITH_CONTENT.has(name) || (name === 'style' && !inHead)) {
+        note('tag', name);
+        dropDepth = 1;
+        dropTag = name;
+        return;
+      }
+      if (!ALLOWED_TAGS.has(name)) {
+        note('tag', name);
+        open.push(null);
+        return;
+      }
+      if (name === 'head') inHead = true;
+
+      const allowed = TAG_ATTRIBUTES[name];
+      const attrs = [];
+      for (const [attr, value] of Object.entries(attribs)) {
+        const key = attr.toLowerCase();
+        const clean = GLOBAL_ATTRIBUTES.has(key) || (allowed && allowed.has(key)) ? cleanAttribute(key, value) : null;
+        if (clean === null) {
+          note('attribute', key.startsWith('on') ? 'on*' : key);
+          continue;
+        }
+        attrs.push(` ${key}="${escapeHtml(clean)}"`);
+      }
+      if (name === 'a' && attribs.target === '_blank') attrs.push(' rel="noopener noreferrer"');
+      out.push(`<${name}${attrs.join('')}>`);
+      if (!VOID_TAGS.has(name)) open.push(name);
+    },
+    ontext(text) {
+      if (dropDepth) return;
+      const current = open[open.length - 1];
+      if (current === 'style') {
+        if (UNSAFE_CSS.test(text)) note('tag', 'style (unsafe rules)');
+        else out.push(text.replace(/<\//g, '<\\/'));
+        return;
+      }
+      out.push(escapeHtml(text));
+    },
+    onclosetag(name) {
+      if (dropDepth) {
+        if (name === dropTag && --dropDepth === 0) dropTag = null;
+        return;
+      }
+      if (VOID_TAGS.has(name)) return;
+      if (name === 'head') inHead = false;
+      const i = open.lastIndexOf(ALLOWED_TAGS.has(name) ? name : null);
+      if (i === -1) return;
+      // Close whatever the model left open inside this element
+      for (const tag of open.splice(i).reverse()) {
+        if (tag) out.push(`</${tag}>`);
+      }
+    },
+    oncomment() {
+      // Comments can hide conditional markup for old browsers
+    },
+    onprocessinginstruction(name, data) {
+      if (/^!doctype/i.test(data)) out.push('<!DOCTYPE html>');
+    }
+  }, { decodeEntities: true, lowerCaseTags: true, lowerCaseAttributeNames: true, recognizeSelfClosing: true });
+
+  parser.write(String(html));
+  parser.end();
+  for (const tag of open.reverse()) {
+    if (tag) out.push(`</${tag}>`);
+  }
+  return out.join('');
+}
+
+module.exports = {
+  createReport,
+  sanitizeHtml
+};
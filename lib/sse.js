@@ -0,0 +1,88 @@
+// sse.js
+// Server-Sent Events mode for the synchronous endpoints. Ask for it with
+// `Accept: text/event-stream`, `?stream=1` or `"stream": true` in the body; the run is
+// then reported as it happens instead of in one JSON response at the end:
+//   event: extracted      document text is ready (characters, estimated tokens, documents)
+//   event: stage_started  / chunk_started / chunk_done / stage_done / repair_round / checkpoint
+//   event: delta          { stage, index, text } fragment of model output as it streams, raw and
+//                         unsanitized (only the final result is): render it as text (textContent),
+//                         never as HTML. A fragment can end inside a tag or an entity. With redaction
+//                         on it carries placeholders, not the redacted values
+//   event: cache_hit      { level: result | chunk } the result or a creator chunk came from lib/cache.js
+//   event: result         the usual JSON payload (with `export` when output_format is a file)
+//   event: error          { error, details }
+
+const { estimateTokens } = require('./chunker');
+const { exportPayload } = require('./export');
+
+const HEARTBEAT_MS = 15000;
+
+function wantsStream(req) {
+  const flag = req.query?.stream ?? req.body?.stream;
+  if (flag === true || flag === 'true' || flag === '1' || flag === 1) return true;
+  return String(req.headers?.accept || '').includes('text/event-stream');
+}
+
+function openStream(res) {
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Proxies (nginx and friends) must not buffer the stream
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.status(200);
+  if (typeof res.flushHeaders === 'function') res.flushHeaders();
+
+  let closed = false;
+  let id = 0;
+  res.on('close', () => { closed = true; });
+
+  // Comment lines keep idle connections open while a model is thinking
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(': ping\n\n');
+  }, HEARTBEAT_MS);
+  if (typeof heartbeat.unref === 'function') heartbeat.unref();
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      res.write(`id: ${++id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      clearInterval(heartbeat);
+      if (!closed) res.end();
+      closed = true;
+    }
+  };
+}
+
+/**
+ * Run a prepared pipeline input and report it over SSE.
+ * `output` is the { format, delivery } export choice made on the request.
+ */
+async function streamPipeline(res, pipelineName, pipeline, input, output = {}) {
+  const stream = openStream(res);
+  stream.send('extracted', {
+    pipeline: pipelineName,
+    characters: input.document_text.length,
+    estimated_tokens: estimateTokens(input.document_text),
+    documents: (input.documents || []).map(d => ({ id: d.id, name: d.name, role: d.role, characters: d.text.length }))
+  });
+
+  try {
+    const result = await pipeline.run(input, {
+      onEvent: async (event) => stream.send(event.type, event),
+      onDelta: (delta) => stream.send('delta', delta)
+    });
+    stream.send('result', await exportPayload(pipelineName, result, output.format));
+  } catch (err) {
+    console.error(`=== ${pipelineName.toUpperCase()} STREAM ERROR ===`, err);
+    stream.send('error', { error: err.message || String(err), details: err.response?.data || null, usage: err.usage });
+  }
+  stream.close();
+}
+
+module.exports = {
+  wantsStream,
+  openStream,
+  streamPipeline
+};
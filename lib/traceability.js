@@ -0,0 +1,254 @@
+// traceability.js
+// Multi-document input for the working program: each source document has an ID (D1, D2...)
+// and a role, procedures cite the requirements they test in source_refs, and the
+// requirement -> procedure traceability matrix is built from those citations.
+
+const { escapeHtml } = require('./html');
+const { listSections } = require('./chunker');
+
+const DOCUMENT_ROLES = ['policy', 'sop', 'regulation', 'prior_audit_report'];
+
+const ROLE_LABELS = {
+  policy: 'Policy',
+  sop: 'SOP',
+  regulation: 'Regulation',
+  prior_audit_report: 'Prior Audit Report'
+};
+
+const ROLE_ALIASES = {
+  procedure: 'sop',
+  standard_operating_procedure: 'sop',
+  law: 'regulation',
+  standard: 'regulation',
+  regulatory: 'regulation',
+  prior_audit: 'prior_audit_report',
+  audit_report: 'prior_audit_report',
+  prior_report: 'prior_audit_report'
+};
+
+const MAX_DOCUMENTS = Number(process.env.MAX_DOCUMENTS ?? 10);
+
+function normalizeRole(role) {
+  const key = String(role || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  if (DOCUMENT_ROLES.includes(key)) return key;
+  return ROLE_ALIASES[key] || null;
+}
+
+function describeDocument(doc) {
+  return `${doc.id}: "${doc.name}" (${ROLE_LABELS[doc.role]})`;
+}
+
+// The reviewer and the single-prompt fallbacks see every document one after the other
+function combineDocuments(documents) {
+  return documents.map(d => `=== ${describeDocument(d)} ===\n${d.text}`).join('\n\n');
+}
+
+// ---------------------- Source refs ----------------------
+function normText(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9.]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function findDocument(documents, ref) {
+  const wanted = normText(ref);
+  if (!wanted) return null;
+  const byId = documents.find(d => d.id.toLowerCase() === wanted);
+  if (byId) return byId;
+  const byName = documents.find(d => normText(d.name) === wanted || normText(d.name.replace(/\.[a-z0-9]+$/i, '')) === wanted);
+  if (byName) return byName;
+  // A role label is only good enough when exactly one document has that role
+  const role = normalizeRole(ref);
+  const withRole = role ? documents.filter(d => d.role === role) : [];
+  return withRole.length === 1 ? withRole[0] : null;
+}
+
+/**
+ * Rewrite source_refs documents given by name or role to their document IDs.
+ * Returns the list of fixes applied (same register as validation.autoRepair).
+ */
+function resolveSourceRefs(output, documents) {
+  const fixes = [];
+  const procedures = Array.isArray(output?.procedures) ? output.procedures : [];
+  procedures.forEach((p, i) => {
+    if (!Array.isArray(p?.source_refs)) return;
+    for (const ref of p.source_refs) {
+      const doc = findDocument(documents, ref.document);
+      if (doc && doc.id !== ref.document) {
+        fixes.push(`procedures[${i}]: source document "${ref.document}" resolved to ${doc.id}`);
+        ref.document = doc.id;
+      }
+    }
+  });
+  return fixes;
+}
+
+// Violations in validation.validate's shape, so they feed the same repair loop
+function validateSourceRefs(output, documents) {
+  const ids = documents.map(d => d.id);
+  const violations = [];
+  const procedures = Array.isArray(output?.procedures) ? output.procedures : [];
+  procedures.forEach((p, i) => {
+    if (!p || typeof p !== 'object') return;
+    const refs = Array.isArray(p.source_refs) ? p.source_refs : [];
+    const base = { target: 'procedures', index: i, field: 'source_refs', procedure_id: p.procedure_id };
+    if (!refs.length) {
+      violations.push({ ...base, message: `must cite at least one source document section (documents: ${ids.join(', ')})` });
+      return;
+    }
+    const unknown = refs.filter(r => !ids.includes(r.document)).map(r => r.document);
+    if (unknown.length) {
+      violations.push({ ...base, message: `references unknown document ${unknown.join(', ')} (documents: ${ids.join(', ')})` });
+    }
+  });
+  return violations;
+}
+
+// ---------------------- Matrix ----------------------
+function clauseNumber(text) {
+  const m = String(text || '').match(/^\s*(?:section|clause|article|art\.?|§)?\s*(\d+(?:\.\d+)*)\b/i);
+  return m ? m[1] : null;
+}
+
+// Score how well a cited section matches a heading path (0 = no match)
+function matchScore(section, path) {
+  const leaf = path[path.length - 1];
+  const refClause = clauseNumber(section);
+  if (refClause && refClause === clauseNumber(leaf)) return 3;
+  const a = normText(section);
+  const b = normText(leaf);
+  if (!a || !b) return 0;
+  if (a === b) return 3;
+  if (a.length >= 4 && b.length >= 4 && (a.includes(b) || b.includes(a))) return 2;
+  return normText(path.join(' ')).includes(a) ? 1 : 0;
+}
+
+function isWithin(path, ancestor) {
+  return ancestor.length <= path.length && ancestor.every((title, i) => path[i] === title);
+}
+
+/**
+ * Build the requirement -> procedure matrix. Requirements are the sections of every
+ * source document (plus cited sections the heading parser did not find); a section
+ * counts as covered when it, an enclosing section, a subsection or the whole document is cited.
+ */
+function buildTraceability(procedures, documents) {
+  const rows = [];
+  const untraced = [];
+
+  const docRows = new Map(documents.map(doc => {
+    const list = listSections(doc.text).map(path => ({ path, procedures: [] }));
+    return [doc.id, list];
+  }));
+
+  for (const p of procedures) {
+    const refs = Array.isArray(p?.source_refs) ? p.source_refs : [];
+    const cited = refs.filter(r => docRows.has(r.document));
+    if (!cited.length) {
+      if (p?.procedure_id) untraced.push(p.procedure_id);
+      continue;
+    }
+    for (const ref of cited) {
+      const list = docRows.get(ref.document);
+      let best = null;
+      let bestScore = 0;
+      for (const row of list) {
+        const score = ref.section ? matchScore(ref.section, row.path) : 0;
+        if (score > bestScore || (score && score === bestScore && row.path.length > best.path.length)) {
+          best = row;
+          bestScore = score;
+        }
+      }
+      if (!best) {
+        // Cited section the heading parser did not see (or no section given)
+        const title = ref.section || '(whole document)';
+        best = list.find(r => r.extra && r.path[0] === title);
+        if (!best) {
+          best = { path: [title], procedures: [], extra: true };
+          list.push(best);
+        }
+      }
+      if (!best.procedures.includes(p.procedure_id)) best.procedures.push(p.procedure_id);
+    }
+  }
+
+  for (const doc of documents) {
+    const list = docRows.get(doc.id);
+    if (!list.length) list.push({ path: ['(whole document)'], procedures: [], extra: true });
+    const wholeCited = list.some(r => r.extra && r.path[0] === '(whole document)' && r.procedures.length);
+    for (const row of list) {
+      const covered = row.procedures.length > 0 || wholeCited || list.some(other =>
+        other !== row && other.procedures.length && !other.extra && !row.extra &&
+        (isWithin(row.path, other.path) || isWithin(other.path, row.path)));
+      rows.push({
+        document: doc.id,
+        document_name: doc.name,
+        role: doc.role,
+        section: row.path.join(' > '),
+        procedures: row.procedures,
+        covered
+      });
+    }
+  }
+
+  const covered = rows.filter(r => r.covered).length;
+  return {
+    documents: documents.map(({ id, name, role }) => ({ id, name, role })),
+    requirements: rows,
+    untraced_procedures: untraced,
+    summary: {
+      requirements: rows.length,
+      covered,
+      not_covered: rows.length - covered,
+      coverage: rows.length ? Math.round((covered / rows.length) * 100) : 0
+    }
+  };
+}
+
+function renderTraceabilityHtml(trace) {
+  const names = new Map(trace.documents.map(d => [d.id, d]));
+  const body = trace.requirements.map(r => {
+    const doc = names.get(r.document);
+    let procedures = escapeHtml(r.procedures.join(', '));
+    if (!r.procedures.length) {
+      procedures = r.covered
+        ? '<em style="color:#666">Covered via related section</em>'
+        : '<strong style="color:#b00020">Not covered</strong>';
+    }
+    return `<tr><td>${escapeHtml(`${doc.id} ${doc.name}`)}</td><td>${ROLE_LABELS[doc.role]}</td><td>${escapeHtml(r.section)}</td><td>${procedures}</td></tr>`;
+  }).join('\n');
+
+  const untraced = trace.untraced_procedures.length
+    ? `\n<p><strong>Procedures without a source reference:</strong> ${escapeHtml(trace.untraced_procedures.join(', '))}</p>`
+    : '';
+
+  return `
+<h2>Traceability Matrix</h2>
+<p>${trace.summary.covered} of ${trace.summary.requirements} source sections are covered by at least one procedure (${trace.summary.coverage}%).</p>
+<table style="width:100%;border-collapse:collapse" border="1" cellpadding="6">
+<thead><tr><th>Source Document</th><th>Role</th><th>Requirement / Section</th><th>Procedures</th></tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>${untraced}
+`;
+}
+
+// Insert the matrix before the end of the program body (or append it)
+function appendToProgram(html, section) {
+  if (/<\/body>/i.test(html)) return html.replace(/<\/body>(?![\s\S]*<\/body>)/i, `${section}</body>`);
+  if (/<\/div>\s*$/i.test(html)) return html.replace(/<\/div>\s*$/i, `${section}</div>`);
+  return html + section;
+}
+
+module.exports = {
+  DOCUMENT_ROLES,
+  ROLE_LABELS,
+  MAX_DOCUMENTS,
+  normalizeRole,
+  describeDocument,
+  combineDocuments,
+  resolveSourceRefs,
+  validateSourceRefs,
+  buildTraceability,
+  renderTraceabilityHtml,
+  appendToProgram
+};
@@ -0,0 +1,175 @@
+// usage.js
+// Token usage and cost accounting for a pipeline run. Every model call is recorded with its
+// input/output tokens (from the provider's usage block, estimated when it has none), model,
+// latency and estimated cost; the response's `usage` section has per-stage and overall totals.
+// Prices are USD per million tokens, matched on the longest model-name prefix; override or
+// extend them with LLM_PRICES='{"gpt-4o": {"input": 2.5, "output": 10}}' or LLM_PRICES_FILE=path.
+// budget_usd (request) / REQUEST_BUDGET_USD (env) stops the run before a call would overspend.
+
+const fs = require('fs');
+const { estimateTokens } = require('./chunker');
+
+const DEFAULT_PRICES = {
+  'claude-opus-4': { input: 15, output: 75 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4-0125-preview': { input: 10, output: 30 },
+  'gpt-4-1106-preview': { input: 10, output: 30 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4': { input: 30, output: 60 },
+  'o3-mini': { input: 1.1, output: 4.4 }
+};
+
+// Self-hosted and replayed models cost nothing unless a price is configured for them
+const FREE_PROVIDERS = ['local', 'replay'];
+
+let priceTable = null;
+
+function loadPrices() {
+  if (priceTable) return priceTable;
+  priceTable = { ...DEFAULT_PRICES };
+  try {
+    if (process.env.LLM_PRICES_FILE) Object.assign(priceTable, JSON.parse(fs.readFileSync(process.env.LLM_PRICES_FILE, 'utf8')));
+    if (process.env.LLM_PRICES) Object.assign(priceTable, JSON.parse(process.env.LLM_PRICES));
+  } catch (e) {
+    console.warn('Ignoring invalid LLM price configuration:', e.message || e);
+  }
+  return priceTable;
+}
+
+/**
+ * Price of a provider spec in USD per million tokens: { input, output, known }.
+ * "provider:model" entries win over model-name prefixes.
+ */
+function priceFor(spec) {
+  const prices = loadPrices();
+  const model = String(spec.model || '').toLowerCase();
+  const exact = prices[`${spec.provider}:${model}`];
+  if (exact) return { input: Number(exact.input) || 0, output: Number(exact.output) || 0, known: true };
+
+  const match = Object.keys(prices)
+    .filter(prefix => !prefix.includes(':') && model.startsWith(prefix.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0];
+  if (match) return { input: Number(prices[match].input) || 0, output: Number(prices[match].output) || 0, known: true };
+  return { input: 0, output: 0, known: FREE_PROVIDERS.includes(spec.provider) };
+}
+
+function costOf(price, inputTokens, outputTokens) {
+  return (inputTokens * price.input + outputTokens * price.output) / 1e6;
+}
+
+function roundUsd(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+function budgetFrom(value) {
+  if (value === undefined || value === null || value === '') {
+    const fromEnv = Number(process.env.REQUEST_BUDGET_USD);
+    return fromEnv > 0 ? fromEnv : null;
+  }
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : NaN;
+}
+
+/**
+ * Read budget_usd from a request body. Returns { budget_usd } (null = no cap) or an
+ * { error } for prepare() to answer with.
+ */
+function parseBudget(body) {
+  const budget = budgetFrom(body?.budget_usd);
+  if (Number.isNaN(budget)) return { error: { status: 400, message: 'budget_usd must be a positive number' } };
+  return { budget_usd: budget };
+}
+
+function budgetError(message, usage) {
+  const err = new Error(message);
+  err.code = 'budget_exceeded';
+  err.usage = usage;
+  return err;
+}
+
+// ---------------------- Meter ----------------------
+function emptyTotals() {
+  return { calls: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0, latency_ms: 0, estimated_calls: 0 };
+}
+
+function addTo(totals, call) {
+  totals.calls += 1;
+  totals.input_tokens += call.input_tokens;
+  totals.output_tokens += call.output_tokens;
+  totals.cost_usd = roundUsd(totals.cost_usd + call.cost_usd);
+  totals.latency_ms += call.latency_ms;
+  if (call.estimated) totals.estimated_calls += 1;
+}
+
+/**
+ * Meter for one pipeline run (pass it to providers.meterUsage). `calls` may be a checkpointed
+ * array from an earlier invocation of the same job; new calls are appended to it.
+ */
+function createUsageMeter({ budget_usd = null, calls = [] } = {}) {
+  const spent = () => calls.reduce((sum, c) => sum + c.cost_usd, 0);
+
+  const meter = {
+    calls,
+    budget_usd,
+
+    // Throws before a call whose estimated cost would take the run over its budget
+    check(spec, system, user) {
+      if (!budget_usd) return;
+      const price = priceFor(spec);
+      const outputs = calls.map(c => c.output_tokens);
+      const expectedOutput = outputs.length
+        ? outputs.reduce((a, b) => a + b, 0) / outputs.length
+        : (spec.max_tokens || 0) / 4;
+      const projected = spent() + costOf(price, estimateTokens(system) + estimateTokens(user), expectedOutput);
+      if (projected > budget_usd) {
+        throw budgetError(
+          `Budget of $${budget_usd} would be exceeded: $${roundUsd(spent())} spent, next ${spec.provider}:${spec.model} call estimated to bring the run to $${roundUsd(projected)}`,
+          meter.summary()
+        );
+      }
+    },
+
+    record(call) {
+      const price = priceFor(call);
+      calls.push({
+        ...call,
+        cost_usd: roundUsd(costOf(price, call.input_tokens, call.output_tokens)),
+        priced: price.known
+      });
+    },
+
+    summary() {
+      const stages = {};
+      const total = emptyTotals();
+      for (const call of calls) {
+        addTo(stages[call.stage] = stages[call.stage] || emptyTotals(), call);
+        addTo(total, call);
+      }
+      return {
+        currency: 'USD',
+        total,
+        stages,
+        calls,
+        budget_usd,
+        unpriced_models: [...new Set(calls.filter(c => !c.priced).map(c => `${c.provider}:${c.model}`))]
+      };
+    }
+  };
+  return meter;
+}
+
+module.exports = {
+  DEFAULT_PRICES,
+  priceFor,
+  parseBudget,
+  createUsageMeter
+};
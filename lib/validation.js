@@ -0,0 +1,338 @@
+// validation.js
+// JSON Schema validation and repair for the working program contract
+// (html_program + procedures + finding_templates, see schemas/working-program.schema.json).
+// Deterministic fixes are applied first; whatever is left is handed back to the
+// reviewer as a targeted list of violations, and rows that still fail are rejected.
+
+const Ajv = require('ajv');
+const schema = require('./schemas/working-program.schema.json');
+
+const ajv = new Ajv({ allErrors: true });
+const validateSchema = ajv.compile(schema);
+
+const PROCEDURE_FIELDS = schema.definitions.procedure.required;
+const FIVE_C_FIELDS = schema.definitions.finding_template.required.filter(f => f !== 'procedure_id');
+
+// Common alternative keys models use for the contract fields
+const PROCEDURE_ALIASES = {
+  id: 'procedure_id',
+  procedure_no: 'procedure_id',
+  procedure_number: 'procedure_id',
+  step: 'procedure_text',
+  procedure: 'procedure_text',
+  description: 'procedure_text',
+  evidence: 'expected_evidence',
+  notes: 'notes_for_auditor',
+  auditor_notes: 'notes_for_auditor',
+  tips_for_auditor: 'notes_for_auditor',
+  risk: 'risk_addressed',
+  control_ref: 'assertion_or_control_ref',
+  assertion: 'assertion_or_control_ref',
+  source_ref: 'source_refs',
+  sources: 'source_refs',
+  source_references: 'source_refs'
+};
+
+const TEMPLATE_ALIASES = {
+  id: 'procedure_id',
+  procedure_ref: 'procedure_id',
+  corrective: 'corrective_action',
+  corrective_actions: 'corrective_action',
+  recommendation: 'corrective_action',
+  effect: 'consequence'
+};
+
+function normalizeKey(key) {
+  return String(key).trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+function toText(value) {
+  if (value === null || value === undefined) return value;
+  if (typeof value === 'string') return value.trim();
+  if (Array.isArray(value)) return value.map(toText).join('; ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function normalizeRow(row, aliases, fields) {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) return row;
+  const out = {};
+  for (const [key, value] of Object.entries(row)) {
+    const norm = normalizeKey(key);
+    const target = aliases[norm] || norm;
+    if (out[target] === undefined || out[target] === '') out[target] = value;
+  }
+  for (const field of fields) {
+    if (out[field] !== undefined) out[field] = toText(out[field]);
+  }
+  return out;
+}
+
+// source_refs as [{ document, section }]; models also send "D1 §4.2" strings or other key names
+function parseSourceRef(ref) {
+  if (typeof ref === 'string') {
+    const m = ref.match(/^\s*(D\d+)\b[\s:,;§-]*(.*)$/i);
+    return m ? { document: m[1].toUpperCase(), section: m[2].trim() } : { document: ref.trim(), section: '' };
+  }
+  if (!ref || typeof ref !== 'object') return null;
+  const doc = ref.document ?? ref.document_id ?? ref.doc ?? ref.source ?? ref.source_document ?? ref.id ?? ref.name;
+  const section = ref.section ?? ref.clause ?? ref.reference ?? ref.ref ?? ref.requirement ?? '';
+  return { document: toText(doc) || '', section: toText(section) || '' };
+}
+
+function isSourceRefList(value) {
+  return Array.isArray(value) && value.every(r =>
+    r && typeof r === 'object' && typeof r.document === 'string' && (r.section === undefined || typeof r.section === 'string'));
+}
+
+function normalizeSourceRefs(value) {
+  const list = typeof value === 'string' ? value.split(/\s*;\s*/) : Array.isArray(value) ? value : [value];
+  return list.map(parseSourceRef).filter(ref => ref && ref.document);
+}
+
+// ---------------------- Deterministic repair ----------------------
+/**
+ * Fixes what can be fixed without a model: key aliases and casing, non-string
+ * values, blank optional columns, missing/duplicate procedure IDs and 5C templates
+ * that only lost their procedure_id. Returns { output, fixes }.
+ */
+function autoRepair(input) {
+  const fixes = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { output: input, fixes };
+  }
+  const output = { ...input };
+
+  if (typeof output.html_program !== 'string' && typeof output.html === 'string') {
+    output.html_program = output.html;
+    delete output.html;
+    fixes.push('renamed "html" to "html_program"');
+  }
+
+  for (const key of ['procedures', 'finding_templates']) {
+    if (output[key] && typeof output[key] === 'object' && !Array.isArray(output[key])) {
+      output[key] = Object.values(output[key]);
+      fixes.push(`converted ${key} object to array`);
+    }
+    if (output[key] === undefined || output[key] === null) {
+      output[key] = [];
+      if (key === 'finding_templates') fixes.push('added empty finding_templates array');
+    }
+  }
+
+  if (Array.isArray(output.procedures)) {
+    const seen = new Set();
+    output.procedures = output.procedures.map((row, i) => {
+      const p = normalizeRow(row, PROCEDURE_ALIASES, PROCEDURE_FIELDS);
+      if (!p || typeof p !== 'object') return p;
+      for (const field of ['subsection', 'assertion_or_control_ref', 'risk_addressed', 'notes_for_auditor']) {
+        if (p[field] === undefined || p[field] === null) p[field] = '';
+      }
+      if (p.source_refs === null) delete p.source_refs;
+      if (p.source_refs !== undefined && !isSourceRefList(p.source_refs)) {
+        p.source_refs = normalizeSourceRefs(p.source_refs);
+        fixes.push(`procedures[${i}]: normalized source_refs`);
+      }
+      if (!p.procedure_id) {
+        p.procedure_id = `P-${i + 1}`;
+        fixes.push(`procedures[${i}]: assigned procedure_id ${p.procedure_id}`);
+      }
+      if (seen.has(p.procedure_id)) {
+        const renamed = `${p.procedure_id}-${i + 1}`;
+        fixes.push(`procedures[${i}]: duplicate procedure_id ${p.procedure_id} renamed to ${renamed}`);
+        p.procedure_id = renamed;
+      }
+      seen.add(p.procedure_id);
+      return p;
+    });
+  }
+
+  if (Array.isArray(output.finding_templates)) {
+    const procedureIds = Array.isArray(output.procedures)
+      ? output.procedures.map(p => p?.procedure_id)
+      : [];
+    const sameLength = output.finding_templates.length === procedureIds.length;
+    output.finding_templates = output.finding_templates.map((row, i) => {
+      const t = normalizeRow(row, TEMPLATE_ALIASES, ['procedure_id', ...FIVE_C_FIELDS]);
+      if (!t || typeof t !== 'object') return t;
+      for (const field of FIVE_C_FIELDS) {
+        if (t[field] === undefined || t[field] === null) t[field] = '';
+      }
+      // One template per procedure, in order: the link can be inferred
+      if (!t.procedure_id && sameLength && procedureIds[i]) {
+        t.procedure_id = procedureIds[i];
+        fixes.push(`finding_templates[${i}]: linked to ${t.procedure_id} by position`);
+      }
+      return t;
+    });
+  }
+
+  return { output, fixes };
+}
+
+// ---------------------- Validation ----------------------
+function describeError(err) {
+  const parts = err.instancePath.split('/').filter(Boolean);
+  const violation = {
+    target: parts[0] || null,
+    index: parts[1] !== undefined && /^\d+$/.test(parts[1]) ? Number(parts[1]) : null,
+    field: parts[2] || null,
+    message: err.message
+  };
+  if (err.keyword === 'required') {
+    if (violation.index === null) violation.target = err.params.missingProperty;
+    else violation.field = err.params.missingProperty;
+    violation.message = 'is required';
+  } else if (err.keyword === 'pattern' || err.keyword === 'minLength') {
+    violation.message = 'must not be empty';
+  }
+  return violation;
+}
+
+/**
+ * Validate against the schema plus the cross-row rules JSON Schema cannot
+ * express (unique procedure IDs, templates must point at a known procedure).
+ */
+function validate(output) {
+  const violations = [];
+  if (!validateSchema(output)) {
+    const seen = new Set();
+    for (const err of validateSchema.errors) {
+      const v = describeError(err);
+      const key = `${v.target}|${v.index}|${v.field}|${v.message}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        violations.push(v);
+      }
+    }
+  }
+
+  const procedures = Array.isArray(output?.procedures) ? output.procedures : [];
+  const ids = new Map();
+  procedures.forEach((p, i) => {
+    if (!p?.procedure_id) return;
+    if (ids.has(p.procedure_id)) {
+      violations.push({ target: 'procedures', index: i, field: 'procedure_id', message: `duplicates procedures[${ids.get(p.procedure_id)}]` });
+    } else {
+      ids.set(p.procedure_id, i);
+    }
+  });
+
+  const templates = Array.isArray(output?.finding_templates) ? output.finding_templates : [];
+  templates.forEach((t, i) => {
+    if (t?.procedure_id && !ids.has(t.procedure_id)) {
+      violations.push({ target: 'finding_templates', index: i, field: 'procedure_id', message: `references unknown procedure ${t.procedure_id}` });
+    }
+  });
+
+  for (const v of violations) {
+    const row = v.index !== null ? output?.[v.target]?.[v.index] : null;
+    if (row?.procedure_id) v.procedure_id = row.procedure_id;
+  }
+  return violations;
+}
+
+// ---------------------- Reviewer repair loop ----------------------
+function formatViolation(v) {
+  const where = v.index !== null ? `${v.target}[${v.index}]${v.field ? '.' + v.field : ''}` : (v.target || '(root)');
+  return `- ${where}${v.procedure_id ? ` (${v.procedure_id})` : ''}: ${v.message}`;
+}
+
+function buildRepairPrompt(output, violations) {
+  const rows = { procedures: [], finding_templates: [] };
+  const rootIssues = [];
+  for (const v of violations) {
+    if (v.index === null || !rows[v.target]) {
+      rootIssues.push(v);
+      continue;
+    }
+    if (!rows[v.target].some(r => r._index === v.index)) {
+      rows[v.target].push({ _index: v.index, ...output[v.target][v.index] });
+    }
+  }
+
+  return `
+The working program JSON you produced does not satisfy the required schema.
+
+VIOLATIONS:
+${violations.map(formatViolation).join('\n')}
+
+OFFENDING ROWS (each carries its position as "_index"):
+${JSON.stringify(rows)}
+
+ROW SCHEMAS:
+procedures: ${JSON.stringify(schema.definitions.procedure.required)} — procedure_id, section, procedure_text and expected_evidence must be non-empty strings.
+finding_templates: ${JSON.stringify(schema.definitions.finding_template.required)} — procedure_id must match an existing procedure.
+${violations.some(v => v.field === 'source_refs') ? 'source_refs: [{ "document": "<source document ID>", "section": "<section or clause>" }] — cite the requirement(s) the procedure tests.\n' : ''}${rootIssues.length ? '\nThe root-level issues above mean the array is missing or empty: return the complete array for it.\n' : ''}
+TASK:
+Return ONLY a JSON object of the form
+{ "procedures": [...corrected rows...], "finding_templates": [...corrected rows...] }
+Keep "_index" on every corrected row so it replaces the original. Rows without "_index" are appended.
+Do not return rows that had no violations. Do NOT output anything other than this JSON.
+`;
+}
+
+function applyRepair(output, patch) {
+  if (!patch || typeof patch !== 'object') return output;
+  const next = { ...output };
+  if (typeof patch.html_program === 'string' && patch.html_program.trim()) next.html_program = patch.html_program;
+  for (const key of ['procedures', 'finding_templates']) {
+    if (!Array.isArray(patch[key])) continue;
+    const rows = Array.isArray(next[key]) ? [...next[key]] : [];
+    for (const row of patch[key]) {
+      if (!row || typeof row !== 'object') continue;
+      const { _index, ...fixed } = row;
+      if (Number.isInteger(_index) && _index >= 0 && _index < rows.length) rows[_index] = fixed;
+      else rows.push(fixed);
+    }
+    next[key] = rows;
+  }
+  return next;
+}
+
+/**
+ * Drop rows that still violate the schema so downstream consumers (the Bubble
+ * repeating group) only ever receive well-formed rows.
+ */
+function splitValidRows(output, violations) {
+  const bad = { procedures: new Set(), finding_templates: new Set() };
+  for (const v of violations) {
+    if (v.index !== null && bad[v.target]) bad[v.target].add(v.index);
+  }
+  const rejected = { procedures: [], finding_templates: [] };
+  const clean = { ...output };
+  for (const key of ['procedures', 'finding_templates']) {
+    const rows = Array.isArray(output?.[key]) ? output[key] : [];
+    clean[key] = [];
+    rows.forEach((row, i) => {
+      if (bad[key].has(i)) {
+        rejected[key].push({
+          index: i,
+          row,
+          errors: violations.filter(v => v.target === key && v.index === i).map(v => `${v.field || 'row'} ${v.message}`)
+        });
+      } else {
+        clean[key].push(row);
+      }
+    });
+  }
+  // A template whose procedure was rejected would dangle
+  const keptIds = new Set(clean.procedures.map(p => p.procedure_id));
+  clean.finding_templates = clean.finding_templates.filter(t => {
+    if (keptIds.has(t.procedure_id)) return true;
+    rejected.finding_templates.push({ index: null, row: t, errors: [`procedure ${t.procedure_id} was rejected`] });
+    return false;
+  });
+  return { output: clean, rejected };
+}
+
+module.exports = {
+  SCHEMA_ID: schema.$id,
+  schema,
+  autoRepair,
+  validate,
+  formatViolation,
+  buildRepairPrompt,
+  applyRepair,
+  splitValidRows
+};
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+// api-keys.js
+// Manage API keys in the key store configured by KEY_STORE / KEY_STORE_DIR (see lib/key-store.js).
+//   node scripts/api-keys.js issue --name "Bubble app" [--pipelines orchestrator,sop-reviewer] [--rpm 30] [--daily-tokens 2000000]
+//   node scripts/api-keys.js list
+//   node scripts/api-keys.js export   (the key records as JSON for the API_KEYS environment variable)
+//   node scripts/api-keys.js disable <id>   |   enable <id>
+//   node scripts/api-keys.js token --sub <subject> [--expires 3600] [--pipelines ...]   (needs AUTH_TOKEN_SECRET)
+
+const { getKeyStore } = require('../lib/key-store');
+const { issueKey, signToken } = require('../lib/auth');
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const m = argv[i].match(/^--([a-z-]+)(?:=(.*))?$/);
+    if (!m) args._.push(argv[i]);
+    else args[m[1]] = m[2] ?? argv[++i];
+  }
+  return args;
+}
+
+function list(value) {
+  return value ? String(value).split(',').map(s => s.trim()).filter(Boolean) : null;
+}
+
+function number(value) {
+  return value === undefined ? null : Number(value);
+}
+
+async function setDisabled(store, id, disabled) {
+  const record = await store.getKey(id);
+  if (!record) throw new Error(`No key with id ${id}`);
+  record.disabled = disabled;
+  await store.putKey(record);
+  console.log(`${id} ${disabled ? 'disabled' : 'enabled'}`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const store = getKeyStore();
+  const [command, id] = args._;
+
+  if (command === 'issue') {
+    const { key, record } = await issueKey(store, {
+      name: args.name,
+      pipelines: list(args.pipelines),
+      rate_limit_per_minute: number(args.rpm),
+      daily_token_quota: number(args['daily-tokens'])
+    });
+    console.log(`Issued key ${record.id} (${record.name}). Store it now; it is not shown again:\n${key}`);
+  } else if (command === 'list') {
+    for (const k of await store.listKeys()) {
+      console.log([k.id, k.name, k.disabled ? 'disabled' : 'active', `pipelines=${(k.pipelines || ['*']).join(',')}`,
+        `rpm=${k.rate_limit_per_minute ?? 'default'}`, `daily_tokens=${k.daily_token_quota ?? 'default'}`, k.created_at].join('\t'));
+    }
+  } else if (command === 'export') {
+    // Only hashes: the output is safe to paste into the deployment's environment
+    console.log(JSON.stringify(await store.listKeys()));
+  } else if (command === 'disable' || command === 'enable') {
+    if (!id) throw new Error(`Usage: ${command} <id>`);
+    await setDisabled(store, id, command === 'disable');
+  } else if (command === 'token') {
+    if (!args.sub) throw new Error('Usage: token --sub <subject>');
+    const claims = { sub: args.sub };
+    if (args.pipelines) claims.pipelines = list(args.pipelines);
+    if (args.rpm) claims.rpm = Number(args.rpm);
+    if (args['daily-tokens']) claims.daily_tokens = Number(args['daily-tokens']);
+    console.log(signToken(claims, undefined, { expiresIn: Number(args.expires ?? 3600) }));
+  } else {
+    console.log('Commands: issue, list, export, disable <id>, enable <id>, token (see the header of scripts/api-keys.js)');
+    process.exitCode = command ? 1 : 0;
+  }
+}
+
+main().catch(err => {
+  console.error(err.message || err);
+  process.exitCode = 1;
+});
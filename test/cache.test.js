@@ -0,0 +1,113 @@
+// cache.test.js
+// Result cache scoping, concurrent writes and redacted runs (lib/cache.js).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.CACHE_STORE = 'memory';
+
+const { createMemoryCache, createFileCache, createRunCache, resultKey, getCache } = require('../lib/cache');
+const { PROVIDERS } = require('../lib/providers');
+const sopReviewer = require('../lib/pipelines/sop-reviewer');
+const findingDrafter = require('../lib/pipelines/finding-drafter');
+
+const input = { document_text: 'Vendors must be approved before payment.', user_inputs: 'review', roles: {}, cache: 'use' };
+
+test('a cached result is only served to the caller that produced it', async () => {
+  const store = createMemoryCache();
+  const mine = createRunCache('sop-reviewer', { ...input, owner: 'key_a' }, { store });
+  await mine.save({ success: true, ai_output: 'for a', partial: false });
+
+  const again = createRunCache('sop-reviewer', { ...input, owner: 'key_a' }, { store });
+  assert.equal((await again.lookup({})).ai_output, 'for a');
+  const other = createRunCache('sop-reviewer', { ...input, owner: 'key_b' }, { store });
+  assert.equal(await other.lookup({}), null);
+  const anonymous = createRunCache('sop-reviewer', input, { store });
+  assert.equal(await anonymous.lookup({}), null);
+});
+
+test('chunk calls are scoped to the caller too', async () => {
+  const store = createMemoryCache();
+  const spec = { provider: 'local', model: 'x' };
+  let calls = 0;
+  const call = async () => `reply ${++calls}`;
+  await createRunCache('orchestrator', { ...input, owner: 'key_a' }, { store }).chunk(spec, 's', 'u', call);
+  assert.equal(await createRunCache('orchestrator', { ...input, owner: 'key_a' }, { store }).chunk(spec, 's', 'u', call), 'reply 1');
+  assert.equal(await createRunCache('orchestrator', { ...input, owner: 'key_b' }, { store }).chunk(spec, 's', 'u', call), 'reply 2');
+});
+
+test('the owner is part of the result key', () => {
+  assert.notEqual(resultKey('orchestrator', { ...input, owner: 'a' }), resultKey('orchestrator', { ...input, owner: 'b' }));
+});
+
+test('concurrent writes to the file cache do not collide', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+  const store = createFileCache(dir);
+  const key = 'a'.repeat(64);
+  await Promise.all(Array.from({ length: 20 }, (_, i) => store.put(key, { n: i })));
+  assert.equal(typeof (await store.get(key)).value.n, 'number');
+  assert.deepEqual(fs.readdirSync(dir).filter(f => f.endsWith('.tmp')), []);
+});
+
+// Both answer by quoting the first placeholder of their prompt
+const approver = (user) => (user.match(/\[EMAIL_\d+\]/) || ['nobody'])[0];
+PROVIDERS['test-redaction'] = {
+  defaultModel: 'm',
+  maxTokens: 0,
+  call: async ({ user }) => ({ text: `<p>Approved by ${approver(user)}</p>`, usage: { input_tokens: 1, output_tokens: 1 } })
+};
+PROVIDERS['test-redaction-finding'] = {
+  defaultModel: 'm',
+  maxTokens: 0,
+  call: async ({ user }) => ({
+    text: JSON.stringify({ title: 'Late approval', condition: `Approved by ${approver(user)}`, risk_rating: 'high' }),
+    usage: { input_tokens: 1, output_tokens: 1 }
+  })
+};
+
+test('a redacted run is cached with its placeholders and restored on every hit', async () => {
+  const body = {
+    document_text: 'Invoices are approved by jane.doe@example.com after payment.',
+    user_inputs: 'Review the approval step.',
+    redaction: 'tokenize',
+    adjudication: 'off',
+    models: { creator: 'test-redaction', reviewer: 'test-redaction' }
+  };
+  const { input } = await sopReviewer.prepare(body);
+  const first = await sopReviewer.run(input);
+  assert.match(first.ai_draft, /Approved by jane\.doe@example\.com/);
+  assert.equal(first.cache.status, 'miss');
+
+  const { value } = await getCache().get(first.cache.key);
+  assert.doesNotMatch(JSON.stringify(value), /jane\.doe@example\.com/);
+  assert.match(value.ai_draft, /Approved by \[EMAIL_1\]/);
+
+  const second = await sopReviewer.run((await sopReviewer.prepare(body)).input);
+  assert.equal(second.cache.status, 'hit');
+  assert.match(second.ai_draft, /Approved by jane\.doe@example\.com/);
+  assert.equal(second.redaction.mode, 'tokenize');
+});
+
+test('a redacted finding draft is cached with its placeholders and restored on every hit', async () => {
+  const body = {
+    procedure_id: 'P-1',
+    test_results: 'Invoice 7 approved by jane.doe@example.com after payment.',
+    redaction: 'tokenize',
+    models: { creator: 'test-redaction-finding', reviewer: 'test-redaction-finding' }
+  };
+  const { input } = await findingDrafter.prepare(body);
+  const first = await findingDrafter.run(input);
+  assert.equal(first.finding.condition, 'Approved by jane.doe@example.com');
+  assert.equal(first.cache.status, 'miss');
+
+  const { value } = await getCache().get(first.cache.key);
+  assert.doesNotMatch(JSON.stringify(value), /jane\.doe@example\.com/);
+  assert.equal(value.finding.condition, 'Approved by [EMAIL_1]');
+
+  const second = await findingDrafter.run((await findingDrafter.prepare(body)).input);
+  assert.equal(second.cache.status, 'hit');
+  assert.equal(second.finding.condition, 'Approved by jane.doe@example.com');
+});
@@ -0,0 +1,59 @@
+// chunker.test.js
+// Token budget of lib/chunker.js on text that has no structure to split on, and the request's chunking option.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseChunking, chunkDocument, estimateTokens } = require('../lib/chunker');
+
+const MAX_TOKENS = 2000;
+
+function assertWithinBudget(text) {
+  const chunks = chunkDocument(text, { maxTokens: MAX_TOKENS });
+  assert.ok(chunks.length > 1);
+  for (const c of chunks) assert.ok(estimateTokens(c.text) <= MAX_TOKENS, `chunk ${c.index} has ${estimateTokens(c.text)} tokens`);
+  return chunks;
+}
+
+test('splits prose without punctuation by words', () => {
+  const chunks = assertWithinBudget('word '.repeat(40000));
+  const words = chunks.map(c => c.text).join(' ').match(/word/g).length;
+  assert.ok(words >= 40000);
+});
+
+test('splits unpunctuated lines by lines', () => {
+  const lines = Array.from({ length: 3000 }, (_, i) => `line ${i} of a log without punctuation`);
+  const chunks = assertWithinBudget(lines.join('\n'));
+  assert.ok(chunks[0].text.startsWith('line 0 of a log'));
+  assert.match(chunks[chunks.length - 1].text, /line 2999 of a log/);
+});
+
+test('cuts text without whitespace by characters', () => {
+  assertWithinBudget('x'.repeat(200000));
+});
+
+test('splits a table row too wide for the budget', () => {
+  assertWithinBudget(`a | b | c\n${`x | ${'y'.repeat(30000)} | z\n`.repeat(3)}`);
+});
+
+test('keeps sentences whole when they fit', () => {
+  const chunks = assertWithinBudget('The payment is approved by the controller. '.repeat(3000));
+  for (const c of chunks) assert.match(c.text.trim(), /controller\.$/);
+});
+
+test('honours a custom token counter', () => {
+  const countTokens = (text) => text.length;
+  const chunks = chunkDocument('abc'.repeat(1000), { maxTokens: 100, countTokens });
+  for (const c of chunks) assert.ok(c.text.length <= 100);
+});
+
+test('chunking options outside the accepted range are refused', () => {
+  for (const chunking of [{ max_tokens: 1 }, { max_tokens: 100000 }, { max_tokens: 'abc' }, { max_tokens: 2500.5 }, { overlap_tokens: -1 }, { overlap_tokens: 5000 }, 'big']) {
+    const { error } = parseChunking({ chunking }, 2000);
+    assert.equal(error?.status, 400, JSON.stringify(chunking));
+  }
+});
+
+test('chunking options default per pipeline and accept values in range', () => {
+  assert.deepEqual(parseChunking({}, 2000).chunking, { max_tokens: 2000, overlap_tokens: undefined });
+  assert.deepEqual(parseChunking({ chunking: { max_tokens: '4000', overlap_tokens: 0 } }, 2000).chunking, { max_tokens: 4000, overlap_tokens: 0 });
+});
@@ -0,0 +1,123 @@
+// compliance.test.js
+// Checking the model's clause assessment against the checklist and the SOP (buildCoverage in lib/compliance.js).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCoverage } = require('../lib/compliance');
+const grounding = require('../lib/grounding');
+
+const checklist = {
+  id: 'test',
+  title: 'Test standard',
+  clauses: [
+    { clause_id: 'A1', title: 'Approval', requirement: 'Suppliers are approved before use.' },
+    { clause_id: 'A2', title: 'Records', requirement: 'Approval records are retained.' },
+    { clause_id: 'A3', title: 'Review', requirement: 'Approved suppliers are re-evaluated.' }
+  ]
+};
+
+const sop = [
+  '1. Vendor Approval',
+  'New vendors are approved by the Procurement Manager before the first purchase order.',
+  '2. Records',
+  'Signed approval forms are filed in the vendor master folder.'
+].join('\n');
+const index = grounding.createSourceIndex([{ id: 'document', text: sop }]);
+
+const approved = 'New vendors are approved by the Procurement Manager before the first purchase order.';
+const filed = 'Signed approval forms are filed in the vendor master folder.';
+
+const cases = [
+  {
+    name: 'every clause assessed and grounded',
+    clauses: [
+      { clause_id: 'A1', status: 'met', evidence: approved },
+      { clause_id: 'A2', status: 'Compliant', evidence: filed },
+      { clause_id: 'A3', status: 'met', evidence: approved }
+    ],
+    statuses: ['met', 'met', 'met'],
+    coverage: 100,
+    issues: []
+  },
+  {
+    name: 'a skipped clause counts as missing',
+    clauses: [
+      { clause_id: 'A1', status: 'met', evidence: approved },
+      { clause_id: 'A2', status: 'partially met', evidence: filed }
+    ],
+    statuses: ['met', 'partial', 'missing'],
+    // (1 met + 1/2 partial) / 3 applicable
+    coverage: 50,
+    gaps: ['A2', 'A3'],
+    issues: [/^A3 not assessed; counted as missing$/]
+  },
+  {
+    name: 'an invented clause ID is reported and ignored',
+    clauses: [
+      { clause_id: 'A1', status: 'met', evidence: approved },
+      { clause_id: 'A2', status: 'met', evidence: filed },
+      { clause_id: 'A3', status: 'missing' },
+      { clause_id: 'Z9', status: 'met', evidence: approved }
+    ],
+    statuses: ['met', 'met', 'missing'],
+    coverage: 67,
+    issues: [/^Z9 is not a clause of the checklist$/]
+  },
+  {
+    name: 'met with evidence that is not in the SOP is reported',
+    clauses: [
+      { clause_id: 'A1', status: 'met', evidence: 'Suppliers are audited on site every two years.' },
+      { clause_id: 'A2', status: 'met', evidence: filed },
+      { clause_id: 'A3', status: 'missing' }
+    ],
+    statuses: ['met', 'met', 'missing'],
+    coverage: 67,
+    evidenceFound: [false, true, null],
+    issues: [/^A1 marked met, but its evidence was not found in the SOP$/]
+  },
+  {
+    name: 'not applicable clauses are left out of the coverage',
+    clauses: [
+      { clause_id: 'A1', status: 'met', evidence: approved },
+      { clause_id: 'A2', status: 'N/A' },
+      { clause_id: 'A3', status: 'partial' }
+    ],
+    statuses: ['met', 'not_applicable', 'partial'],
+    // (1 met + 1/2 partial) / 2 applicable
+    coverage: 75,
+    issues: []
+  },
+  {
+    name: 'an unrecognized status counts as missing',
+    clauses: [
+      { clause_id: 'A1', status: 'met', evidence: approved },
+      { clause_id: 'A2', status: 'maybe' },
+      { clause_id: 'A3', status: 'missing' }
+    ],
+    statuses: ['met', 'missing', 'missing'],
+    coverage: 33,
+    issues: [/^A2 unrecognized status "maybe"; counted as missing$/]
+  },
+  {
+    name: 'an unreadable answer leaves every clause missing',
+    raw: 'Sorry, I cannot assess this document.',
+    statuses: ['missing', 'missing', 'missing'],
+    coverage: 0,
+    issues: [/^no clause assessment could be read$/]
+  }
+];
+
+for (const c of cases) {
+  test(c.name, () => {
+    const raw = c.raw ?? '```json\n' + JSON.stringify({ clauses: c.clauses }) + '\n```';
+    const coverage = buildCoverage(checklist, raw, index);
+    assert.deepEqual(coverage.clauses.map(k => k.clause_id), ['A1', 'A2', 'A3']);
+    assert.deepEqual(coverage.clauses.map(k => k.status), c.statuses);
+    assert.equal(coverage.summary.coverage, c.coverage);
+    if (c.gaps) assert.deepEqual(coverage.gaps, c.gaps);
+    if (c.evidenceFound) assert.deepEqual(coverage.clauses.map(k => k.evidence_found), c.evidenceFound);
+    const issues = coverage.issues.map(i => (i.item ? `${i.item} ${i.message}` : i.message));
+    assert.equal(issues.length, c.issues.length, issues.join('; '));
+    c.issues.forEach((pattern, i) => assert.match(issues[i], pattern));
+  });
+}
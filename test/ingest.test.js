@@ -0,0 +1,23 @@
+// ingest.test.js
+// Text decoding of uploaded files (lib/ingest.js).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractUpload } = require('../lib/ingest');
+
+const upload = (buf, filename = 'procedure.txt') => ({ base64: buf.toString('base64'), filename });
+const utf16be = (text) => Buffer.from(text, 'utf16le').swap16();
+
+test('UTF-16 text with a byte order mark is decoded', async () => {
+  const le = Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from('Vendor approval', 'utf16le')]);
+  const be = Buffer.concat([Buffer.from([0xFE, 0xFF]), utf16be('Vendor approval')]);
+  assert.equal((await extractUpload(upload(le))).text, 'Vendor approval');
+  assert.equal((await extractUpload(upload(be))).text, 'Vendor approval');
+});
+
+test('big-endian UTF-16 with an odd byte count is read, not a server error', async () => {
+  const truncated = Buffer.concat([Buffer.from([0xFE, 0xFF]), utf16be('Vendor approval'), Buffer.from([0x00])]);
+  const result = await extractUpload(upload(truncated));
+  assert.equal(result.error, undefined);
+  assert.equal(result.text, 'Vendor approval');
+});
@@ -0,0 +1,87 @@
+// jobs.test.js
+// Job claiming, the attempt cap and lost claims of the asynchronous job runner (lib/jobs.js, lib/job-store.js).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const pipelines = require('../lib/pipelines');
+const { submitJob, runJob } = require('../lib/jobs');
+const { createMemoryStore, createFileStore } = require('../lib/job-store');
+
+let runs = 0;
+pipelines['test-pipeline'] = {
+  STAGES: ['creator'],
+  async run() {
+    runs++;
+    await new Promise(r => setTimeout(r, 20));
+    return { success: true };
+  }
+};
+
+// Another invocation takes the job over while this run is between two events
+let takeOver = null;
+pipelines['test-takeover'] = {
+  STAGES: ['creator'],
+  async run(input, { onEvent }) {
+    await onEvent({ type: 'stage_started', stage: 'creator' });
+    await takeOver();
+    await onEvent({ type: 'stage_done', stage: 'creator' });
+    runs++;
+    return { success: true };
+  }
+};
+
+for (const [kind, createStore] of [
+  ['memory', () => createMemoryStore()],
+  ['file', () => createFileStore(fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-test-')))]
+]) {
+  test(`${kind} store: concurrent polls run a queued job once`, async () => {
+    const store = createStore();
+    const job = await submitJob(store, 'test-pipeline', { document_text: 'x' });
+    runs = 0;
+    const results = await Promise.all([runJob(store, job.id), runJob(store, job.id), runJob(store, job.id)]);
+    assert.equal(runs, 1);
+    assert.equal((await store.get(job.id)).status, 'succeeded');
+    assert.equal((await store.get(job.id)).attempts, 1);
+    assert.ok(results.every(r => r.id === job.id));
+  });
+
+  test(`${kind} store: a job that keeps going stale fails after the attempt cap`, async () => {
+    const store = createStore();
+    const job = await submitJob(store, 'test-pipeline', { document_text: 'x' });
+    // Three interrupted runs: running, with a heartbeat older than JOB_STALE_MS
+    await store.put({ ...job, status: 'running', attempts: 3, updated_at: new Date(Date.now() - 3600000).toISOString() });
+    runs = 0;
+    const result = await runJob(store, job.id);
+    assert.equal(runs, 0);
+    assert.equal(result.status, 'failed');
+    assert.equal(result.error.code, 'max_attempts');
+    assert.equal((await store.get(job.id)).status, 'failed');
+  });
+
+  test(`${kind} store: claim only writes over the expected version`, async () => {
+    const store = createStore();
+    const job = await submitJob(store, 'test-pipeline', { document_text: 'x' });
+    const expected = { updated_at: job.updated_at, attempts: job.attempts };
+    assert.equal(await store.claim({ ...job, attempts: 1, updated_at: 'a' }, expected), true);
+    assert.equal(await store.claim({ ...job, attempts: 1, updated_at: 'b' }, expected), false);
+    assert.equal((await store.get(job.id)).updated_at, 'a');
+  });
+
+  test(`${kind} store: a run that lost its claim stops without overwriting the job`, async () => {
+    const store = createStore();
+    const job = await submitJob(store, 'test-takeover', { document_text: 'x' });
+    takeOver = async () => {
+      const current = await store.get(job.id);
+      await store.put({ ...current, attempts: current.attempts + 1, updated_at: new Date(Date.now() + 1000).toISOString() });
+    };
+    runs = 0;
+    const result = await runJob(store, job.id);
+    assert.equal(runs, 0);
+    assert.equal(result.status, 'running');
+    assert.equal(result.attempts, 2);
+    assert.equal(result.result, null);
+  });
+}
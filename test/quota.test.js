@@ -0,0 +1,90 @@
+// quota.test.js
+// Per-call daily token quota and request limits (lib/auth.js) and the key store (lib/key-store.js).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.KEY_STORE = 'memory';
+delete process.env.CORS_ALLOWED_ORIGINS;
+delete process.env.API_KEYS;
+
+const { PROVIDERS, complete } = require('../lib/providers');
+const { withQuota, checkLimits, applyCors } = require('../lib/auth');
+const { getKeyStore, createFileKeyStore, createMemoryKeyStore, withEnvKeys } = require('../lib/key-store');
+
+// Every call uses 100 tokens
+PROVIDERS['test-quota'] = {
+  defaultModel: 'm',
+  maxTokens: 0,
+  call: async () => ({ text: 'ok', usage: { input_tokens: 60, output_tokens: 40 } })
+};
+const spec = { provider: 'test-quota', model: 'm' };
+const today = () => new Date().toISOString().slice(0, 10);
+
+test('a run stops at the first call after the quota is used up', async () => {
+  const principal = { id: 'quota-run', daily_token_quota: 250 };
+  let calls = 0;
+  await assert.rejects(withQuota(principal, async () => {
+    for (let i = 0; i < 10; i++) {
+      await complete(spec, 'system', 'user');
+      calls += 1;
+    }
+  }), (err) => err.code === 'quota_exceeded' && err.status === 429 && err.retryAfter > 0);
+  assert.equal(calls, 3);
+  assert.equal(await getKeyStore().count('tokens:quota-run', today()), 300);
+});
+
+test('concurrent runs of one caller share the quota', async () => {
+  const principal = { id: 'quota-shared', daily_token_quota: 300 };
+  const run = () => withQuota(principal, async () => {
+    for (let i = 0; i < 10; i++) await complete(spec, 'system', 'user');
+  });
+  const results = await Promise.allSettled([run(), run()]);
+  assert.ok(results.every(r => r.status === 'rejected' && r.reason.code === 'quota_exceeded'));
+  assert.ok(await getKeyStore().count('tokens:quota-shared', today()) <= 500);
+});
+
+test('without a principal nothing is metered', async () => {
+  assert.equal(await withQuota(null, () => complete(spec, 'system', 'user')), 'ok');
+});
+
+test('file counters for similar subjects do not collide', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'key-store-test-'));
+  const store = createFileKeyStore(path.join(dir, 'keys'), path.join(dir, 'counters'));
+  await store.increment('tokens:a/b', 'day', 5);
+  await store.increment('tokens:a_b', 'day', 7);
+  assert.equal(await store.count('tokens:a/b', 'day'), 5);
+  assert.equal(await store.count('tokens:a_b', 'day'), 7);
+  assert.deepEqual(fs.readdirSync(path.join(dir, 'counters')).filter(f => f.endsWith('.tmp')), []);
+  assert.equal(fs.existsSync(path.join(dir, 'keys')), false);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a counter that cannot be written skips the limit instead of failing the request', async () => {
+  const broken = async () => { throw Object.assign(new Error('EROFS: read-only file system'), { code: 'EROFS' }); };
+  const store = { ...createMemoryKeyStore(), increment: broken, count: broken };
+  const headers = {};
+  const res = { setHeader: (name, value) => { headers[name] = value; } };
+  const principal = { id: 'broken-counter', rate_limit_per_minute: 1, daily_token_quota: 1 };
+  assert.deepEqual(await checkLimits(store, principal, res), {});
+  assert.deepEqual(await checkLimits(store, principal, res), {});
+  assert.equal(headers['X-RateLimit-Limit'], undefined);
+});
+
+test('keys from API_KEYS are found behind the store, which can still override them', async () => {
+  const store = withEnvKeys(createMemoryKeyStore(), [{ id: 'abcdef123456', hash: 'aa', disabled: false }]);
+  assert.equal((await store.getKey('abcdef123456')).hash, 'aa');
+  await store.putKey({ id: 'abcdef123456', hash: 'aa', disabled: true });
+  assert.equal((await store.getKey('abcdef123456')).disabled, true);
+  assert.equal((await store.listKeys()).length, 1);
+});
+
+test('without CORS_ALLOWED_ORIGINS browser origins are refused and server calls allowed', () => {
+  const res = { headers: {}, setHeader(name, value) { this.headers[name] = value; } };
+  assert.equal(applyCors({ headers: { origin: 'https://evil.example' } }, res, 'POST'), false);
+  assert.equal(res.headers['Access-Control-Allow-Origin'], undefined);
+  assert.equal(applyCors({ headers: {} }, res, 'POST'), true);
+});
@@ -0,0 +1,86 @@
+// rcm.test.js
+// Normalizing and linking the model's risk and control matrix (buildRcm in lib/rcm.js).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildRcm } = require('../lib/rcm');
+
+const procedures = [
+  { procedure_id: 'P1', procedure_text: 'Test approvals', assertion_or_control_ref: 'Existence' },
+  { procedure_id: 'P2', procedure_text: 'Inspect the duplicate report', assertion_or_control_ref: 'Control K2; K20' }
+];
+
+// A model response in the shape the prompt asks for, with the model's own IDs and loose labels
+const response = '```json\n' + JSON.stringify({
+  risks: [
+    { risk_id: 'RISK-1', title: 'Payments to unapproved vendors', likelihood: 'High', impact: 'high', control_ids: ['K1'] },
+    { risk_id: 'RISK-2', title: 'Duplicate vendor records', likelihood: 2, impact: 'medium', control_ids: ['K2'] },
+    { risk_id: 'RISK-3', title: 'Bank detail fraud', likelihood: 'rare', impact: 'catastrophic', control_ids: [] },
+    { risk_id: 'RISK-4', title: 'Vendor master changes', likelihood: 'moderate', impact: 'major' }
+  ],
+  controls: [
+    { control_id: 'K1', description: 'Vendor approval before payment', type: 'Preventive', nature: 'IT-dependent manual', frequency: 'each transaction', risk_ids: ['RISK-1'], procedure_ids: ['P1', 'P99'] },
+    { control_id: 'K2', description: 'Monthly duplicate check', type: 'detective', nature: 'automated', frequency: 'Monthly', risk_ids: ['RISK-2'] },
+    { control_id: 'K3', description: 'Change log review', type: 'detective', nature: 'manual', frequency: 'weekly', risk_ids: ['RISK-4'] },
+    { control_id: 'K4', description: 'Orphan', type: 'corrective', nature: 'manual', frequency: 'weekly', risk_ids: [] }
+  ]
+}) + '\n```';
+
+const rcm = buildRcm(response, procedures);
+const risk = (id) => rcm.risks.find(r => r.risk_id === id);
+const control = (id) => rcm.controls.find(c => c.control_id === id);
+
+test('model IDs are replaced with R and C IDs in order and the links follow them', () => {
+  assert.deepEqual(rcm.risks.map(r => [r.risk_id, r.title]), [
+    ['R1', 'Payments to unapproved vendors'],
+    ['R2', 'Duplicate vendor records'],
+    ['R3', 'Bank detail fraud'],
+    ['R4', 'Vendor master changes']
+  ]);
+  assert.deepEqual(rcm.controls.map(c => [c.control_id, c.risk_ids]), [['C1', ['R1']], ['C2', ['R2']], ['C3', ['R4']], ['C4', []]]);
+  assert.deepEqual(risk('R1').control_ids, ['C1']);
+  assert.deepEqual(risk('R4').control_ids, ['C3']);
+});
+
+test('procedures are linked from the model and from assertion_or_control_ref', () => {
+  assert.deepEqual(control('C1').procedure_ids, ['P1']);
+  // "Control K2; K20" names K2, and K20 is not K2
+  assert.deepEqual(control('C2').procedure_ids, ['P2']);
+  assert.deepEqual(control('C3').procedure_ids, []);
+  assert.ok(rcm.issues.some(i => i.item === 'C1' && /unknown procedure P99/.test(i.message)));
+});
+
+test('a risk is tested, untested or has no controls', () => {
+  assert.deepEqual(rcm.risks.map(r => [r.risk_id, r.coverage, r.coverage_gap]), [
+    ['R1', 'tested', false],
+    ['R2', 'tested', false],
+    ['R3', 'no_controls', true],
+    ['R4', 'untested', true]
+  ]);
+  assert.deepEqual([control('C1').tested, control('C3').tested], [true, false]);
+  assert.ok(rcm.issues.some(i => i.item === 'C4' && /mitigates no listed risk/.test(i.message)));
+  assert.ok(rcm.issues.some(i => i.item === 'C4' && /unrecognized type/.test(i.message)));
+});
+
+test('likelihood x impact is rated high from 6 and medium from 3', () => {
+  const table = [
+    // [risk, likelihood, impact, score, rating]
+    ['R1', 'high', 'high', 9, 'high'],
+    ['R4', 'medium', 'high', 6, 'high'],
+    ['R3', 'low', 'high', 3, 'medium'],
+    ['R2', 'low', 'medium', 2, 'low']
+  ];
+  for (const [id, likelihood, impact, score, rating] of table) {
+    assert.deepEqual([risk(id).likelihood, risk(id).impact, risk(id).score, risk(id).rating], [likelihood, impact, score, rating], id);
+  }
+  const { risks } = buildRcm({ risks: [{ title: 'Unrated' }] }, procedures);
+  assert.deepEqual([risks[0].score, risks[0].rating], [4, 'medium']);
+});
+
+test('the summary counts coverage over all risks', () => {
+  assert.equal(rcm.summary.risks, 4);
+  assert.equal(rcm.summary.risks_tested, 2);
+  assert.equal(rcm.summary.coverage_gaps, 2);
+  assert.equal(rcm.summary.coverage, 50);
+  assert.deepEqual(rcm.summary.by_rating, { high: 2, medium: 1, low: 1 });
+});
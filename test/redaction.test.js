@@ -0,0 +1,50 @@
+// redaction.test.js
+// Validation and matching of request-supplied redaction patterns (lib/redaction.js).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRedaction, createRedactor } = require('../lib/redaction');
+
+const withPatterns = (...patterns) => parseRedaction({ redaction: { mode: 'mask', rules: [], patterns } });
+
+test('nested quantifiers and repeated alternations are refused', () => {
+  for (const pattern of ['(a+)+$', '(a*)*b', '(\\w+\\s?){2,}x', '((ab)+c)+', '(a|ab)*c', '(?:x+y)+']) {
+    const { error } = withPatterns(pattern);
+    assert.equal(error?.status, 400, pattern);
+    assert.match(error.message, /Unsafe redaction pattern/);
+  }
+});
+
+test('backreferences are refused', () => {
+  assert.match(withPatterns('(a)\\1').error.message, /backreferences/);
+  assert.match(withPatterns('(?<x>a)\\k<x>').error.message, /backreferences/);
+});
+
+test('ordinary patterns are accepted', () => {
+  for (const pattern of ['EMP-\\d{6}', '(?:PO|INV)-\\d+', '([A-Z]{2})?\\d{4,8}', '[(+*)]+', 'ab(cd)?ef', '\\(\\d+\\)+']) {
+    const { redaction, error } = withPatterns(pattern);
+    assert.equal(error, undefined, pattern);
+    assert.equal(redaction.patterns[0].pattern, pattern);
+  }
+});
+
+test('invalid syntax is reported with the compiler message', () => {
+  const { error } = withPatterns('(unclosed');
+  assert.equal(error.status, 400);
+  assert.match(error.message, /Invalid redaction pattern/);
+});
+
+test('custom patterns redact on every line with the right offsets', () => {
+  const { redaction } = withPatterns({ name: 'employee', pattern: 'EMP-\\d{6}' });
+  const redactor = createRedactor(redaction);
+  const text = 'Approved by EMP-123456\nReviewed by EMP-654321 and EMP-111111';
+  assert.equal(redactor.redact(text, 'document'), 'Approved by [EMPLOYEE]\nReviewed by [EMPLOYEE] and [EMPLOYEE]');
+});
+
+test('a long line without a match finishes quickly', () => {
+  const { redaction } = withPatterns('a+b');
+  const redactor = createRedactor(redaction);
+  const started = Date.now();
+  assert.equal(redactor.redact('a'.repeat(200000), 'document'), 'a'.repeat(200000));
+  assert.ok(Date.now() - started < 2000);
+});
@@ -0,0 +1,56 @@
+// replay.test.js
+// End-to-end SOP review on the replay provider, from the recorded responses in fixtures/llm.
+// The fixtures are keyed by the exact prompts: after a prompt template change, re-record them by
+// running the same request against a live provider with LLM_RECORD_DIR=fixtures/llm.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+process.env.LLM_REPLAY_DIR = path.join(__dirname, '..', 'fixtures', 'llm');
+process.env.CACHE_STORE = 'off';
+
+const pipeline = require('../lib/pipelines/sop-reviewer');
+
+const body = {
+  document_text: [
+    'SOP-PUR-004 Vendor Approval',
+    '1. Purpose and Scope',
+    'This procedure describes how new vendors are approved for purchasing.',
+    '2. Vendor Approval',
+    'New vendors are approved by the Procurement Manager before the first purchase order.',
+    '3. Records',
+    'Signed approval forms are filed in the vendor master folder.'
+  ].join('\n'),
+  user_inputs: 'Review against ISO 9001 and EU GMP supplier controls.',
+  cache: 'bypass',
+  models: { creator: 'replay', reviewer: 'replay', adjudicator: 'replay' }
+};
+
+test('the SOP reviewer runs end to end on recorded responses', async () => {
+  const { input, error } = await pipeline.prepare(body);
+  assert.equal(error, undefined);
+
+  const events = [];
+  const result = await pipeline.run(input, { onEvent: async (event) => { events.push(event); } });
+
+  assert.equal(result.success, true);
+  assert.deepEqual(result.degraded, []);
+  assert.deepEqual(result.usage.calls.map(c => `${c.stage}:${c.provider}`), ['creator:replay', 'reviewer:replay', 'adjudicator:replay']);
+
+  assert.deepEqual(result.findings.map(f => [f.finding_id, f.severity, f.review.verdict]), [
+    ['R1-001', 'high', 'verified'],
+    ['R1-002', 'high', 'corrected']
+  ]);
+  assert.equal(result.consensus.adjudication.status, 'done');
+  assert.equal(result.consensus.items.find(i => i.item_id === 'R1-002').adjudication.ruling, 'reviewer');
+
+  assert.match(result.ai_output, /no due diligence or conflict-of-interest declaration/);
+  assert.match(result.ai_output, /replay:fixture \(Primary\)/);
+  assert.ok(events.some(e => e.type === 'stage_done' && e.stage === 'adjudicator'));
+});
+
+test('a prompt without a recording fails instead of calling a live provider', async () => {
+  const { input } = await pipeline.prepare({ ...body, user_inputs: 'A request nobody recorded.' });
+  await assert.rejects(pipeline.run(input), /No replay fixture for prompt/);
+});
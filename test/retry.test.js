@@ -0,0 +1,92 @@
+// retry.test.js
+// Retry policy for model calls (withRetries in lib/retry.js) and failover in lib/providers.js.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LLM_MAX_RETRIES = '3';
+process.env.LLM_RETRY_BASE_MS = '5';
+process.env.LLM_RETRY_MAX_MS = '2000';
+
+const { withRetries, retryAfterMs } = require('../lib/retry');
+const { PROVIDERS, complete } = require('../lib/providers');
+
+function httpError(status, headers = {}) {
+  return Object.assign(new Error(`HTTP ${status}`), { response: { status, headers } });
+}
+
+// Fails with the given errors in turn, then returns "ok"
+function failing(...errors) {
+  const fn = async (attempt) => {
+    fn.calls++;
+    if (attempt < errors.length) throw errors[attempt];
+    return 'ok';
+  };
+  fn.calls = 0;
+  return fn;
+}
+
+async function delaysOf(fn) {
+  const delays = [];
+  const result = await withRetries(fn, { onRetry: (err, n, delay) => delays.push(delay) });
+  return { result, delays };
+}
+
+test('retry-after in seconds is waited for', async () => {
+  const { result, delays } = await delaysOf(failing(httpError(429, { 'retry-after': '0.02' })));
+  assert.equal(result, 'ok');
+  assert.deepEqual(delays, [20]);
+});
+
+test('retry-after as an HTTP date is waited for until that time', async () => {
+  const at = new Date(Date.now() + 1000).toUTCString();
+  const { delays } = await delaysOf(failing(httpError(503, { 'retry-after': at })));
+  assert.equal(delays.length, 1);
+  assert.ok(delays[0] >= 0 && delays[0] <= 1000, String(delays[0]));
+  assert.equal(retryAfterMs(httpError(503, { 'retry-after': 'Thu, 01 Jan 1970 00:00:00 GMT' })), 0);
+});
+
+test('retry-after-ms takes precedence, also from a Headers object', async () => {
+  const headers = new Headers({ 'retry-after-ms': '15', 'retry-after': '1' });
+  const { delays } = await delaysOf(failing(httpError(529, headers)));
+  assert.deepEqual(delays, [15]);
+});
+
+test('without a hint the backoff stays within the doubling base', async () => {
+  const { delays } = await delaysOf(failing(httpError(500), httpError(502), Object.assign(new Error('reset'), { code: 'ECONNRESET' })));
+  assert.equal(delays.length, 3);
+  delays.forEach((delay, i) => assert.ok(delay >= 0 && delay <= 5 * 2 ** i, `retry ${i + 1}: ${delay}`));
+});
+
+test('a retry-after longer than LLM_RETRY_MAX_MS is rethrown at once', async () => {
+  const fn = failing(httpError(429, { 'retry-after': '60' }));
+  await assert.rejects(withRetries(fn), (err) => err.response.status === 429 && err.attempts === 1);
+  assert.equal(fn.calls, 1);
+});
+
+test('non-retryable 4xx errors fail on the first attempt', async () => {
+  for (const status of [400, 401, 403, 404, 422]) {
+    const fn = failing(httpError(status));
+    await assert.rejects(withRetries(fn), (err) => err.attempts === 1, String(status));
+    assert.equal(fn.calls, 1, String(status));
+  }
+});
+
+test('the last error is thrown once the retries are used up', async () => {
+  const fn = failing(httpError(503), httpError(503), httpError(503), httpError(503), httpError(503));
+  await assert.rejects(withRetries(fn), (err) => err.attempts === 4);
+  assert.equal(fn.calls, 4);
+});
+
+test('a provider that asks to wait too long fails over to the fallback', async () => {
+  let primaryCalls = 0;
+  PROVIDERS['test-busy'] = {
+    defaultModel: 'm',
+    maxTokens: 0,
+    call: async () => { primaryCalls++; throw httpError(429, { 'retry-after': '120' }); }
+  };
+  PROVIDERS['test-spare'] = { defaultModel: 'm', maxTokens: 0, call: async () => ({ text: 'from spare', usage: null }) };
+  const spec = { provider: 'test-busy', model: 'm', fallback: { provider: 'test-spare', model: 'm' } };
+  assert.equal(await complete(spec, 'system', 'user'), 'from spare');
+  assert.equal(primaryCalls, 1);
+});
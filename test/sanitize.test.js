@@ -0,0 +1,115 @@
+// sanitize.test.js
+// Malicious payloads against the model HTML sanitizer (lib/sanitize.js).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createReport, sanitizeHtml } = require('../lib/sanitize');
+
+// Nothing that can run script may survive, whatever the casing or encoding
+function assertInert(html) {
+  assert.doesNotMatch(html, /<script|<svg|<iframe|\son[a-z]+\s*=|javascript:|vbscript:|url\s*\(/i);
+}
+
+test('drops event handler attributes and counts them', () => {
+  const report = createReport();
+  const html = sanitizeHtml('<p onclick="alert(1)" ONMOUSEOVER=alert(2) class="x">hi</p><img src=x onerror=alert(3)>', report, 'reviewer_1');
+  assert.equal(html, '<p class="x">hi</p>');
+  assert.equal(report.attributes['on*'], 2);
+  assert.equal(report.tags.img, 1);
+  assert.equal(report.fields.reviewer_1, report.stripped);
+  assertInert(html);
+});
+
+test('drops javascript: links, also when obfuscated with entities or whitespace', () => {
+  const payloads = [
+    'javascript:alert(1)',
+    'JaVaScRiPt:alert(1)',
+    '  javascript:alert(1)',
+    'java\tscript:alert(1)',
+    'java&#x0A;script:alert(1)',
+    '&#106;&#97;&#118;&#97;&#115;&#99;&#114;&#105;&#112;&#116;&#58;alert(1)',
+    '&#x6A;avascript&colon;alert(1)',
+    'vbscript:msgbox(1)',
+    'data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg=='
+  ];
+  for (const href of payloads) {
+    const report = createReport();
+    const html = sanitizeHtml(`<a href="${href}">x</a>`, report);
+    assert.equal(html, '<a>x</a>', href);
+    assert.equal(report.attributes.href, 1, href);
+  }
+});
+
+test('keeps safe and relative links', () => {
+  const html = sanitizeHtml('<a href="https://example.com/a?b=1&amp;c=2" target="_blank">a</a><a href="#s2">b</a><a href="docs/sop.pdf">c</a><a href="mailto:qa@example.com">d</a>');
+  assert.equal(html, '<a href="https://example.com/a?b=1&amp;c=2" target="_blank" rel="noopener noreferrer">a</a><a href="#s2">b</a><a href="docs/sop.pdf">c</a><a href="mailto:qa@example.com">d</a>');
+});
+
+test('removes script inside svg and math with their content', () => {
+  const report = createReport();
+  const html = sanitizeHtml('<p>a</p><svg><script>alert(1)</script><circle onload="alert(2)"/></svg><math><mi xlink:href="javascript:alert(3)">x</mi></math><p>b</p>', report);
+  assert.equal(html, '<p>a</p><p>b</p>');
+  assert.equal(report.tags.svg, 1);
+  assert.equal(report.tags.math, 1);
+});
+
+test('removes script, iframe and nested payloads', () => {
+  const html = sanitizeHtml('<script>alert(1)</script><scr<script>ipt>alert(2)</script><iframe src="//evil"><p>x</p></iframe><object data="x"></object>ok');
+  assertInert(html);
+  assert.match(html, /ok$/);
+});
+
+test('drops inline styles that load or run anything', () => {
+  const report = createReport();
+  const html = sanitizeHtml([
+    '<p style="background:url(javascript:alert(1))">a</p>',
+    '<p style="background:URL  (\'//evil/x.png\')">b</p>',
+    '<p style="width:expression(alert(1))">c</p>',
+    '<p style="background:u\\72l(javascript:alert(1))">d</p>',
+    '<p style="color:red">e</p>'
+  ].join(''), report);
+  assert.equal(html, '<p>a</p><p>b</p><p>c</p><p>d</p><p style="color:red">e</p>');
+  assert.equal(report.attributes.style, 4);
+});
+
+test('keeps <style> only in a document head, and only with inert rules', () => {
+  const report = createReport();
+  const html = sanitizeHtml('<html><head><style>h1{color:red}</style><style>body{background:url(javascript:alert(1))}</style></head><body><style>p{}</style><h1>T</h1></body></html>', report);
+  assert.equal(html, '<html><head><style>h1{color:red}</style><style></style></head><body><h1>T</h1></body></html>');
+  assert.equal(report.tags['style (unsafe rules)'], 1);
+  assert.equal(report.tags.style, 1);
+});
+
+test('a closing style tag inside head CSS cannot break out', () => {
+  const html = sanitizeHtml('<head><style>h1{}</style><script>alert(1)</script><style>p{}</style></head>');
+  assertInert(html);
+});
+
+test('re-escapes attribute values so quotes cannot break out', () => {
+  const html = sanitizeHtml('<p title=\'x" onmouseover="alert(1)\'>a</p><td title="&quot; onfocus=&quot;alert(2)">b</td><a href="https://e.com/&quot;&gt;&lt;script&gt;">c</a>');
+  assert.equal(html, '<p title="x&quot; onmouseover=&quot;alert(1)">a</p><td title="&quot; onfocus=&quot;alert(2)">b</td><a href="https://e.com/&quot;&gt;&lt;script&gt;">c</a>');
+});
+
+test('escapes text, including decoded entities', () => {
+  assert.equal(sanitizeHtml('<p>&lt;script&gt;alert(1)&lt;/script&gt; & "q"</p>'), '<p>&lt;script&gt;alert(1)&lt;/script&gt; &amp; &quot;q&quot;</p>');
+});
+
+test('reports malformed attribute names without echoing them', () => {
+  const report = createReport();
+  const html = sanitizeHtml('<p "onclick"=x ="y">a</p>', report);
+  assert.equal(html, '<p>a</p>');
+  assert.ok(report.attributes['(malformed)'] >= 1);
+});
+
+test('unwraps unknown tags and closes what the model left open', () => {
+  const report = createReport();
+  assert.equal(sanitizeHtml('<custom-tag>text</custom-tag><ul><li>a<li>b', report), 'text<ul><li>a</li><li>b</li></ul>');
+  assert.equal(report.tags['custom-tag'], 1);
+});
+
+test('empty input gives an empty string and an empty report', () => {
+  const report = createReport();
+  assert.equal(sanitizeHtml('', report), '');
+  assert.equal(sanitizeHtml(null, report), '');
+  assert.deepEqual(report, { stripped: 0, tags: {}, attributes: {}, fields: {} });
+});
@@ -0,0 +1,43 @@
+// sse.test.js
+// Server-Sent Events framing (lib/sse.js): streamed model output reaches the client unchanged.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { streamPipeline } = require('../lib/sse');
+
+function fakeResponse() {
+  return {
+    chunks: [],
+    headers: {},
+    setHeader(k, v) { this.headers[k] = v; },
+    status() { return this; },
+    on() {},
+    write(c) { this.chunks.push(String(c)); return true; },
+    end() { this.ended = true; }
+  };
+}
+
+function events(res) {
+  return res.chunks.join('').split('\n\n').filter(Boolean).map(block => {
+    const event = block.match(/^event: (.*)$/m)?.[1];
+    const data = block.match(/^data: (.*)$/m)?.[1];
+    return { event, data: data && JSON.parse(data) };
+  });
+}
+
+test('model deltas are streamed as the raw text, one JSON-encoded event each', async () => {
+  const res = fakeResponse();
+  const pipeline = {
+    async run(input, { onDelta }) {
+      onDelta({ stage: 'creator', index: 1, text: '<img src=x onerror="alert(1)">\n\ndata: x' });
+      return { success: true };
+    }
+  };
+  await streamPipeline(res, 'orchestrator', pipeline, { document_text: 'text' });
+
+  const deltas = events(res).filter(e => e.event === 'delta');
+  assert.equal(deltas.length, 1);
+  assert.deepEqual(deltas[0].data, { stage: 'creator', index: 1, text: '<img src=x onerror="alert(1)">\n\ndata: x' });
+  assert.equal(events(res).at(-1).event, 'result');
+  assert.ok(res.ended);
+});